@@ -0,0 +1,2609 @@
+/**
+ * ===========================
+ * PERSONAL FINANCE TRACKER - ENGINE CORE
+ * ===========================
+ *
+ * PURPOSE:
+ * The platform-independent half of the finance tracker. Everything in this file
+ * works on plain objects, arrays and Dates: no SpreadsheetApp, Utilities, Session
+ * or ScriptApp. FnanceTrackerEngine.js is the Apps Script adapter that reads the
+ * input sheets, calls into this core and writes the rows it returns.
+ *
+ * CONTENTS:
+ * - Transaction schedule: recurrence expansion, overrides, business-day rolls,
+ *   income allocation and split transactions
+ * - Card statements and interest: statement payments, savings APY and card APR
+ * - Ledger: chronological sorting, running balances, Net Worth and the
+ *   month-to-month balance carry-forward
+ * - Daily projection: end-of-day balances for any date in the operating period
+ * - Balance alerts: first projected crossing of each account threshold
+ * - Reconciliation: cleared balances and statement discrepancies
+ * - Budgets: spending per category against monthly budgets
+ * - Annual summary: monthly cash flow, category totals and account balances
+ * - Savings goals: progress, projected reach dates and monthly shortfalls
+ * - Debt payoff: avalanche, snowball and custom-order card payoff simulation
+ * - Bank import: CSV and OFX parsing, column mapping and duplicate detection
+ * - Category rules: pattern-based categorization of single transactions
+ * - Input validation: cell-level checks of the Recurring and Single Transactions rows
+ * - Date helpers, holiday calendar and the shared sign rules
+ *
+ * RUNNING OUTSIDE APPS SCRIPT:
+ * Apps Script loads every project file into one global scope, so the adapter
+ * calls these functions directly. Node loads this file with require() (see the
+ * exports at the bottom); the test suite in test/ runs with `node --test test/`.
+ *
+ * INPUT OBJECTS:
+ * Recurring items, single transactions, overrides and holidays use the shapes
+ * produced by the adapter's sheet readers (getRecurringItems,
+ * getSingleTransactions, getRecurringOverrides, getHolidays).
+ */
+
+// ===========================
+// TRANSACTION SCHEDULE
+// ===========================
+
+/**
+ * Builds every transaction of the operating period (start month through December).
+ *
+ * @param {Object} inputs - { settings, accounts, recurringItems, singleTransactions,
+ *   overrides, holidays }, as returned by the adapter's loadEngineInputs
+ * @returns {Array<Object>} - Recurring, single, card payment and interest transaction
+ *   objects, unsorted
+ */
+function buildTransactionSchedule(inputs) {
+    const periodStart = new Date(inputs.settings.year, inputs.settings.startMonth - 1, 1);
+    const periodEnd = new Date(inputs.settings.year, 12, 0);
+    const nextYearStart = new Date(inputs.settings.year + 1, 0, 1);
+
+    const scheduled = [
+        ...buildRecurringTransactions(inputs, periodStart, periodEnd),
+        ...inputs.singleTransactions.filter(trans => trans.date >= periodStart && trans.date < nextYearStart)
+    ];
+    return scheduled.concat(buildGeneratedTransactions(inputs.accounts || [], scheduled, periodStart, periodEnd));
+}
+
+/**
+ * Folds split parts into their parent rows.
+ *
+ * @param {Array<Object>} transactions - Single transactions in sheet order, with splitId
+ *   ('' when not split); parts may have a null date and a blank account
+ * @returns {Array<Object>} - Transactions without the part rows; each parent
+ *   (Category 'Split') gets `parts` and the parts' net amount
+ * @throws {Error} - If parts have no parent, a parent has no parts, or a Split ID
+ *   is used by two parents
+ *
+ * SPLIT LAYOUT:
+ * The parent row has Category "Split", the total Amount and a Split ID. Each part
+ * row repeats the Split ID with its own Category and Amount; its Date, Account
+ * and Status come from the parent unless the part names its own Account.
+ * Parts follow the usual sign rules (see normalizeAmount), so a paycheck can be
+ * split into Income for Checking and Income for Savings.
+ */
+function combineSplitTransactions(transactions) {
+    const parents = {};
+    const partsById = {};
+    transactions.forEach(trans => {
+        if (!trans.splitId) return;
+        if (trans.category === 'Split') {
+            if (parents[trans.splitId]) throw new Error(`Split ID "${trans.splitId}" is used by two Split rows`);
+            parents[trans.splitId] = trans;
+        } else {
+            (partsById[trans.splitId] = partsById[trans.splitId] || []).push(trans);
+        }
+    });
+
+    Object.keys(partsById).forEach(id => {
+        if (!parents[id]) {
+            throw new Error(`Split ID "${id}" (row ${partsById[id][0].statusRow}) has no row with Category "Split"`);
+        }
+    });
+
+    return transactions
+        .filter(trans => !trans.splitId || trans.category === 'Split')
+        .map(trans => {
+            if (!trans.splitId) return trans;
+            if (!partsById[trans.splitId]) {
+                throw new Error(`Split "${trans.description}" (Split ID "${trans.splitId}") has no part rows`);
+            }
+
+            const parts = partsById[trans.splitId].map(part => Object.assign({}, part, {
+                date: trans.date,
+                description: part.description || trans.description,
+                account: part.account || trans.account,
+                status: trans.status,
+                statusRow: trans.statusRow
+            }));
+            return Object.assign({}, trans, {
+                amount: Math.round(parts.reduce((sum, part) => sum + part.amount, 0) * 100) / 100,
+                parts: parts
+            });
+        });
+}
+
+/**
+ * Splits a schedule into calendar months.
+ *
+ * @param {Array<Object>} transactions - Transactions within a single year
+ * @returns {Array<Array<Object>>} - 12 arrays, index 0 = January
+ */
+function groupTransactionsByMonth(transactions) {
+    const months = Array.from({ length: 12 }, () => []);
+    transactions.forEach(trans => months[trans.date.getMonth()].push(trans));
+    return months;
+}
+
+/**
+ * Generates recurring transactions for a range of whole months in one pass per item.
+ *
+ * @param {Object} inputs - recurringItems, overrides, holidays and allocations (see loadEngineInputs)
+ * @param {Date} rangeStart - First day of the first month
+ * @param {Date} rangeEnd - Last day of the last month
+ * @returns {Array<Object>} - Transaction objects dated within the range
+ */
+function buildRecurringTransactions(inputs, rangeStart, rangeEnd) {
+    const transactions = [];
+
+    inputs.recurringItems.forEach(item => {
+        // Calculate scheduled dates for this item. Items that roll to a business day
+        // can cross a month boundary, so the neighbouring months are included too.
+        const rolls = item.rollRule !== 'none';
+        const dates = getScheduledDates(
+            item,
+            rolls ? new Date(rangeStart.getFullYear(), rangeStart.getMonth() - 1, 1) : rangeStart,
+            rolls ? new Date(rangeEnd.getFullYear(), rangeEnd.getMonth() + 2, 0) : rangeEnd
+        );
+
+        // Apply overrides (skips, amount changes, moved dates) and business-day rolls
+        const occurrences = applyRecurringOverrides(
+            item, dates, rangeStart, rangeEnd, inputs.overrides, inputs.holidays);
+
+        // Create transaction objects for each occurrence, split across accounts
+        // when the item has allocation rules
+        const allocation = (inputs.allocations || {})[item.description];
+        occurrences.forEach(occurrence => {
+            const trans = {
+                date: occurrence.date,
+                description: item.description,
+                category: item.category,
+                account: item.account,
+                amount: normalizeAmount(occurrence.amount, item.category, item.transferTo),
+                source: occurrence.overridden ? 'Recurring (Override)' : 'Recurring',
+                transferTo: item.transferTo,
+                status: occurrence.status,
+                statusRow: occurrence.statusRow
+            };
+            transactions.push(...(allocation ? allocateIncome(trans, allocation) : [trans]));
+        });
+    });
+
+    return transactions;
+}
+
+/**
+ * Distributes one income occurrence across accounts.
+ *
+ * @param {Object} trans - Income transaction (positive amount) for the primary account
+ * @param {Array<Object>} rules - [{ account, percent, fixed }] in sheet order; each
+ *   rule has either a percent (of the gross, e.g. 20) or a fixed amount
+ * @returns {Array<Object>} - The primary account's transaction with the remainder,
+ *   followed by one transaction per rule; each carries allocatedFrom (the item's
+ *   description). The primary row is left out when nothing remains.
+ * @throws {Error} - If the rules take more than the gross amount
+ *
+ * Percentages are rounded to the cent; the remainder absorbs the rounding, so the
+ * rows always add up to the gross. Allocated rows read "Paycheck (20% to Acorns)".
+ */
+function allocateIncome(trans, rules) {
+    const round = value => Math.round(value * 100) / 100;
+    const gross = trans.amount;
+    const legs = rules.map(rule => ({
+        rule: rule,
+        amount: rule.fixed !== null ? rule.fixed : round(gross * rule.percent / 100)
+    }));
+    const remainder = round(gross - legs.reduce((sum, leg) => sum + leg.amount, 0));
+    if (remainder < 0) {
+        throw new Error(`Allocation Rules for "${trans.description}" take ${round(gross - remainder).toFixed(2)} ` +
+            `of a ${gross.toFixed(2)} occurrence on ${formatShortDate(trans.date)}`);
+    }
+
+    const linked = fields => Object.assign({}, trans, { allocatedFrom: trans.description }, fields);
+    const rows = remainder > 0 ? [linked({ amount: remainder })] : [];
+    legs.forEach(leg => {
+        const share = leg.rule.fixed !== null ? `$${leg.rule.fixed.toFixed(2)}` : `${leg.rule.percent}%`;
+        rows.push(linked({
+            description: `${trans.description} (${share} to ${leg.rule.account})`,
+            account: leg.rule.account,
+            amount: leg.amount
+        }));
+    });
+    return rows;
+}
+
+/**
+ * Applies overrides to one recurring item's occurrences within a date range.
+ *
+ * @param {Object} item - Recurring transaction configuration object
+ * @param {Array<Date>} dates - Scheduled occurrence dates (may extend past the range)
+ * @param {Date} rangeStart - First day of the target range
+ * @param {Date} rangeEnd - Last day of the target range
+ * @param {Object<string, Object>} overrides - Overrides from getRecurringOverrides
+ * @param {Set<string>} holidays - Holiday date keys from getHolidays
+ * @returns {Array<Object>} - Occurrences as { date, amount, overridden, status, statusRow }
+ *
+ * OVERRIDE HANDLING:
+ * - Overrides are keyed by the scheduled date, before any business-day roll
+ * - Skip: Occurrence is dropped
+ * - Amount: Replaces the recurring amount for this occurrence only
+ * - Move To Date: Occurrence lands exactly on the new date (no roll), including
+ *   occurrences moved in from outside the range
+ * - Cleared status: Copied to the occurrence; a row that only sets the status does
+ *   not count as an override of the amount or date
+ * - Everything else follows the item's roll rule and is kept if it lands in the range
+ */
+function applyRecurringOverrides(item, dates, rangeStart, rangeEnd, overrides, holidays) {
+    const occurrences = [];
+    const scheduledKeys = new Set(dates.map(formatDateKey));
+
+    dates.forEach(date => {
+        const override = overrides[overrideKey(item.description, date)];
+        if (override && override.skip) return;
+
+        // Moved occurrences keep their explicit date; others follow the roll rule
+        const newDate = override && override.moveTo
+            ? override.moveTo
+            : adjustForBusinessDay(date, item.rollRule, holidays);
+
+        // Occurrences landing outside the range belong to another run
+        if (newDate < rangeStart || newDate > rangeEnd) return;
+
+        occurrences.push({
+            date: newDate,
+            amount: override && override.amount !== null ? override.amount : item.amount,
+            overridden: Boolean(override && (override.amount !== null || override.moveTo)),
+            status: override ? override.status : '',
+            statusRow: override ? override.row : null
+        });
+    });
+
+    // Occurrences moved into the range from outside it
+    Object.keys(overrides).forEach(key => {
+        const override = overrides[key];
+        if (override.description !== item.description ||
+            override.skip ||
+            !override.moveTo ||
+            override.moveTo < rangeStart ||
+            override.moveTo > rangeEnd ||
+            scheduledKeys.has(formatDateKey(override.date)) ||
+            !isRecurringOccurrence(item, override.date)) {
+            return;
+        }
+
+        occurrences.push({
+            date: override.moveTo,
+            amount: override.amount !== null ? override.amount : item.amount,
+            overridden: true,
+            status: override.status,
+            statusRow: override.row
+        });
+    });
+
+    return occurrences;
+}
+
+/**
+ * Checks whether a recurring item actually generates an occurrence on a date.
+ *
+ * @param {Object} item - Recurring transaction configuration object
+ * @param {Date} date - Candidate occurrence date
+ * @returns {boolean} - True if calculateRecurringDates produces this date
+ */
+function isRecurringOccurrence(item, date) {
+    const monthStart = new Date(date.getFullYear(), date.getMonth(), 1);
+    const monthEnd = new Date(date.getFullYear(), date.getMonth() + 1, 0);
+    const key = formatDateKey(date);
+
+    return calculateRecurringDates(item, monthStart, monthEnd)
+        .some(d => formatDateKey(d) === key);
+}
+
+// ===========================
+// CARD STATEMENTS AND INTEREST
+// ===========================
+
+/**
+ * Generates the rows that follow from the balances themselves: credit card
+ * statement payments and interest.
+ *
+ * @param {Array<Object>} accounts - Tracked accounts. Cards with a statement cycle have
+ *   statement: { closingDay, dueDay, strategy ('statement', 'minimum', 'fixed' or 'none'),
+ *   amount, minimumPercent, payFrom, paidByPlan }; rate is the account's APR (cards with a
+ *   statement cycle) or APY (every other account) in percent, or null
+ * @param {Array<Object>} transactions - Every other transaction of the period
+ * @param {Date} periodStart - First day of the operating period
+ * @param {Date} periodEnd - Last day of the operating period
+ * @returns {Array<Object>} - Statement payments (transfers from the paying account to
+ *   the card on the due dates, source 'Statement', with statementDate and
+ *   statementBalance) and interest rows (source 'Interest')
+ *
+ * STATEMENT BALANCES:
+ * A statement closes at the end of its closing day, after that day's transactions.
+ * Its balance is the amount owed then, counting earlier statement payments and
+ * interest, so the period is walked day by day. A statement that closed before
+ * the period but falls due inside it uses the card's opening balance.
+ *
+ * PAYOFF PLANS:
+ * paidByPlan lists { start, end } date ranges in which the card is paid by a debt
+ * payoff plan's recurring transfers (end may be null). A statement due inside one
+ * gets no generated payment; the plan's transfers still count toward the grace period.
+ *
+ * INTEREST:
+ * - APY: Accrues daily on a positive end-of-day balance at the daily rate that
+ *   compounds to the APY, and is paid on the last day of each month (Category Income)
+ * - APR: A card keeps its grace period while each statement is paid in full by its
+ *   due date. Once one is not, the next statement is charged APR / 365 on every
+ *   day's amount owed in its cycle (Category Interest, posted on the closing day)
+ */
+function buildGeneratedTransactions(accounts, transactions, periodStart, periodEnd) {
+    const round = value => Math.round(value * 100) / 100;
+    const states = accounts
+        .filter(acc => acc.statement || acc.rate)
+        .map(acc => ({ account: acc, balance: acc.balance, accrued: 0, owedDays: 0, revolving: false, open: null }));
+    if (states.length === 0) return [];
+
+    const byDay = {};
+    const schedule = trans => (byDay[formatDateKey(trans.date)] = byDay[formatDateKey(trans.date)] || []).push(trans);
+    transactions.forEach(schedule);
+
+    const generated = [];
+    const closeStatement = (state, closing) => {
+        const owed = round(-state.balance);
+        const due = statementDates(state.account.statement, closing.getFullYear(), closing.getMonth()).due;
+        state.open = owed > 0 && due >= periodStart ? { due: formatDateKey(due), owed: owed, credits: 0 } : null;
+
+        const payment = statementPayment(state.account, closing, owed);
+        if (!payment || payment.date < periodStart || payment.date > periodEnd) return;
+        const paidByPlan = (state.account.statement.paidByPlan || [])
+            .some(run => payment.date >= run.start && (!run.end || payment.date <= run.end));
+        if (paidByPlan) return;
+        generated.push(payment);
+        schedule(payment);
+    };
+    const postInterest = (state, date, interest) => {
+        const card = Boolean(state.account.statement);
+        if (interest <= 0) return;
+        const trans = {
+            date: new Date(date),
+            description: `${state.account.name} interest (${state.account.rate}% ${card ? 'APR' : 'APY'})`,
+            category: card ? 'Interest' : 'Income',
+            account: state.account.name,
+            amount: card ? -interest : interest,
+            source: 'Interest',
+            transferTo: null,
+            status: '',
+            statusRow: null
+        };
+        state.balance += trans.amount;
+        generated.push(trans);
+    };
+
+    states.forEach(state => {
+        if (!state.account.statement) return;
+        closeStatement(state, statementDates(state.account.statement,
+            periodStart.getFullYear(), periodStart.getMonth() - 1).closing);
+    });
+
+    for (let day = new Date(periodStart); day <= periodEnd;
+        day = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1)) {
+        const key = formatDateKey(day);
+        (byDay[key] || []).forEach(trans => states.forEach(state => {
+            const effect = accountEffect(trans, state.account.name);
+            state.balance += effect;
+            if (state.open && effect > 0) state.open.credits += effect;
+        }));
+
+        states.forEach(state => {
+            const acc = state.account;
+            if (!acc.statement) {
+                state.accrued += Math.max(0, state.balance) * (Math.pow(1 + acc.rate / 100, 1 / 365) - 1);
+                if (new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1).getDate() === 1) {
+                    postInterest(state, day, round(state.accrued));
+                    state.accrued = 0;
+                }
+                return;
+            }
+
+            state.owedDays += Math.max(0, -state.balance);
+            if (state.open && state.open.due === key) {
+                state.revolving = state.open.credits < state.open.owed - 0.005;
+                state.open = null;
+            }
+            if (statementDates(acc.statement, day.getFullYear(), day.getMonth()).closing.getDate() === day.getDate()) {
+                if (acc.rate && state.revolving) postInterest(state, day, round(state.owedDays * acc.rate / 100 / 365));
+                state.owedDays = 0;
+                closeStatement(state, day);
+            }
+        });
+    }
+
+    return generated;
+}
+
+/**
+ * Finds a statement's closing and due dates.
+ *
+ * @param {Object} statement - { closingDay, dueDay } (1-31)
+ * @param {number} year - Full year of the closing date
+ * @param {number} monthIndex - Zero-based month of the closing date (may be -1)
+ * @returns {Object} - { closing, due }; days past the end of a month fall on its
+ *   last day, and a due day on or before the closing day is in the following month
+ */
+function statementDates(statement, year, monthIndex) {
+    const clamp = (month, day) => new Date(year, month, Math.min(day, new Date(year, month + 1, 0).getDate()));
+    return {
+        closing: clamp(monthIndex, statement.closingDay),
+        due: clamp(statement.dueDay > statement.closingDay ? monthIndex : monthIndex + 1, statement.dueDay)
+    };
+}
+
+/**
+ * Builds the payment of one statement.
+ *
+ * @param {Object} card - Card account with a statement cycle (see buildGeneratedTransactions)
+ * @param {Date} closing - Statement closing date
+ * @param {number} owed - Statement balance as a positive amount owed
+ * @returns {Object|null} - Transfer transaction, or null when nothing is owed
+ *
+ * PAYMENT STRATEGIES:
+ * - statement: The full statement balance
+ * - minimum: minimumPercent of the balance, but at least `amount` (the card's
+ *   minimum payment floor)
+ * - fixed: `amount`
+ * - none: No payment (the card is paid by recurring transfers, such as a debt
+ *   payoff plan)
+ * No strategy pays more than the statement balance.
+ */
+function statementPayment(card, closing, owed) {
+    const round = value => Math.round(value * 100) / 100;
+    const statement = card.statement;
+    const balance = round(owed);
+    if (balance <= 0 || statement.strategy === 'none') return null;
+
+    let amount = balance;
+    if (statement.strategy === 'minimum') {
+        amount = Math.min(balance, Math.max(statement.amount, round(balance * statement.minimumPercent / 100)));
+    } else if (statement.strategy === 'fixed') {
+        amount = Math.min(balance, statement.amount);
+    }
+
+    return {
+        date: statementDates(statement, closing.getFullYear(), closing.getMonth()).due,
+        description: `${card.name} payment (statement ${formatShortDate(closing)})`,
+        category: 'Transfer',
+        account: statement.payFrom,
+        amount: -amount,
+        source: 'Statement',
+        transferTo: card.name,
+        status: '',
+        statusRow: null,
+        statementDate: closing,
+        statementBalance: balance
+    };
+}
+
+// ===========================
+// LEDGER
+// ===========================
+
+/**
+ * Orders transactions the way the monthly sheets list them.
+ *
+ * @param {Array<Object>} transactions - Transaction objects (left unmodified)
+ * @returns {Array<Object>} - New array sorted by date, Income first on the same day
+ */
+function sortTransactions(transactions) {
+    return [...transactions].sort((a, b) => {
+        // Primary sort: by date
+        const dateCompare = a.date.getTime() - b.date.getTime();
+        if (dateCompare !== 0) return dateCompare;
+
+        // Secondary sort: Income before expenses on same day (cash flow optimization)
+        if (a.category === 'Income' && b.category !== 'Income') return -1;
+        if (b.category === 'Income' && a.category !== 'Income') return 1;
+
+        return 0;
+    });
+}
+
+/**
+ * Builds one month's ledger rows with running balances.
+ *
+ * @param {number} year - Full year
+ * @param {number} monthIndex - Zero-based month
+ * @param {Array<number>} startingBalances - Balances on the first of the month, in
+ *   accountNames order (left unmodified)
+ * @param {Array<string>} accountNames - Tracked account names in column order
+ * @param {Array<Object>} transactions - The month's transactions, in any order
+ * @returns {Object} - { monthIndex, startingBalances, transactions (sorted), rows, endBalances }
+ *
+ * ROW LAYOUT (matches the monthly sheets from column A):
+ * Date | Description | Category | Account | Amount | Source | one balance per account | Net Worth
+ * The first row is the Starting Balance row dated the 1st with Source 'Initial'.
+ *
+ * TRANSFERS:
+ * A transaction with a transferTo account is a single double-entry row
+ * (Account reads "Source → Destination"). The source balance drops and the
+ * destination balance rises by the same amount, so Net Worth is unchanged.
+ *
+ * SPLITS:
+ * A split transaction (see combineSplitTransactions) is one row; each part
+ * moves its own account's balance. When the parts touch several accounts,
+ * Account lists them as "Checking + Savings".
+ */
+function buildMonthLedger(year, monthIndex, startingBalances, accountNames, transactions) {
+    const sorted = sortTransactions(transactions);
+    const currentBalances = [...startingBalances];
+    const netWorth = () => currentBalances.reduce((sum, bal) => sum + bal, 0);
+
+    // Starting balance row (first day of month)
+    const rows = [[
+        new Date(year, monthIndex, 1),       // Date
+        'Starting Balance',                   // Description
+        '',                                   // Category
+        '',                                   // Account
+        '',                                   // Amount
+        'Initial',                            // Source
+        ...currentBalances,                   // All account balances
+        netWorth()                            // Net Worth
+    ]];
+
+    sorted.forEach(trans => {
+        (trans.parts || [trans]).forEach(leg => {
+            // Update the balance for the transaction account
+            const accountIndex = accountNames.indexOf(leg.account);
+            if (accountIndex !== -1) {
+                currentBalances[accountIndex] += leg.amount;
+            }
+
+            // Transfers are double-entry: the source leg was applied above (amount is
+            // always negative for transfers), the destination receives the same amount
+            if (leg.transferTo) {
+                const transferIndex = getTransferIndex(leg, accountNames);
+                currentBalances[transferIndex] += Math.abs(leg.amount);
+            }
+        });
+
+        let account = trans.account;
+        if (trans.transferTo) {
+            account = `${trans.account} → ${trans.transferTo}`;      // Transfers show both legs
+        } else if (trans.parts) {
+            account = [...new Set(trans.parts.map(part => part.account))].join(' + ');
+        }
+
+        rows.push([
+            trans.date,                                              // Date
+            trans.description,                                       // Description
+            trans.category,                                          // Category
+            account,                                                 // Account
+            trans.amount,                                            // Amount
+            trans.source,                                            // Source
+            ...currentBalances,                                      // All account balances
+            netWorth()                                               // Net Worth
+        ]);
+    });
+
+    return {
+        monthIndex: monthIndex,
+        startingBalances: [...startingBalances],
+        transactions: sorted,
+        rows: rows,
+        endBalances: currentBalances
+    };
+}
+
+/**
+ * Projects the whole operating period from the engine inputs: schedule, months
+ * and carried-forward balances in one call.
+ *
+ * @param {Object} inputs - { settings, accounts, recurringItems, singleTransactions,
+ *   overrides, holidays }, as returned by the adapter's loadEngineInputs
+ * @returns {Array<Object>} - buildYearLedger results in month order
+ */
+function projectYear(inputs) {
+    return buildYearLedger(
+        groupTransactionsByMonth(buildTransactionSchedule(inputs)),
+        inputs.accounts.map(acc => acc.balance),
+        inputs.accounts.map(acc => acc.name),
+        inputs.settings.year,
+        inputs.settings.startMonth
+    );
+}
+
+/**
+ * Builds the ledger of every month from the start month through December,
+ * carrying each month's ending balances into the next.
+ *
+ * @param {Array<Array<Object>>} transactionsByMonth - 12 arrays from groupTransactionsByMonth
+ * @param {Array<number>} initialBalances - Balances at the start of startMonth
+ * @param {Array<string>} accountNames - Tracked account names in column order
+ * @param {number} year - Operating year
+ * @param {number} startMonth - First month with data (1-12)
+ * @returns {Array<Object>} - buildMonthLedger results in month order
+ */
+function buildYearLedger(transactionsByMonth, initialBalances, accountNames, year, startMonth) {
+    const months = [];
+    let balances = initialBalances;
+
+    for (let monthIndex = startMonth - 1; monthIndex < 12; monthIndex++) {
+        const ledger = buildMonthLedger(year, monthIndex, balances, accountNames,
+            transactionsByMonth[monthIndex]);
+        months.push(ledger);
+        balances = ledger.endBalances;
+    }
+    return months;
+}
+
+// ===========================
+// RECURRING DATE CALCULATOR
+// ===========================
+
+/**
+ * Calculates specific occurrence dates for recurring transactions within a month.
+ * Handles complex frequency patterns and date arithmetic.
+ *
+ * @param {Object} item - Recurring transaction configuration object
+ * @param {Date} monthStart - First day of target month
+ * @param {Date} monthEnd - Last day of target month
+ * @returns {Array<Date>} - Array of calculated occurrence dates
+ * @throws {Error} - If the item's frequency is missing or not recognized
+ *
+ * FREQUENCY HANDLING (see parseFrequency for every accepted spelling):
+ * - weekly / bi-weekly / every N days / every N weeks: Fixed day intervals from start date
+ * - monthly: Uses dayOfMonth field (start date's day when blank)
+ * - quarterly / semi-annual / every N months: Every N months counted from the start month
+ * - yearly: Same date each year as the start date
+ * - semi-monthly: 1st and 15th, or the two days listed in dayOfMonth (e.g. "5, 20")
+ * - last day of month: Final calendar day of every month
+ * - nth weekday: dayOfWeek field such as "2nd Tuesday" or "Last Friday"
+ *
+ * DATE VALIDATION:
+ * - Respects start and end date boundaries
+ * - Days missing from a month (the 31st, Feb 29) follow item.monthEndPolicy
+ *   for day-of-month patterns; see resolveMonthDay
+ * - Removes duplicates and sorts chronologically
+ */
+function calculateRecurringDates(item, monthStart, monthEnd) {
+    if (!item) {
+        console.log('Skipping undefined recurring item');
+        return [];
+    }
+
+    const pattern = parseFrequency(item.frequency);
+    if (!pattern) {
+        throw new Error(`Recurring item "${item.description}": unrecognized frequency "${item.frequency}". ` +
+            'Use Weekly, Bi-weekly, Monthly, Semi-monthly, Quarterly, Semi-annual, Yearly, ' +
+            'Last Day of Month, Nth Weekday or "Every N days/weeks/months".');
+    }
+
+    const year = monthStart.getFullYear();
+    const month = monthStart.getMonth();
+    const policy = item.monthEndPolicy || 'clamp';
+    const dates = [];
+
+    // Process different frequency types
+    switch (pattern.type) {
+        case 'days':
+            // Fixed day intervals: jump straight to the first occurrence on or after
+            // monthStart instead of walking every interval since the start date
+        {
+            const offset = Math.max(0, daysBetween(item.startDate, monthStart));
+            const steps = Math.ceil(offset / pattern.interval);
+            const current = new Date(item.startDate.getFullYear(), item.startDate.getMonth(),
+                item.startDate.getDate() + steps * pattern.interval);
+
+            while (current <= monthEnd) {
+                dates.push(new Date(current.getTime()));
+                current.setDate(current.getDate() + pattern.interval);
+            }
+        }
+            break;
+
+        case 'months':
+            // Every N months counted from the start month, on a fixed day. The previous
+            // month is checked too: under the 'roll' policy its missing day lands here.
+        {
+            const day = pattern.useStartDay
+                ? item.startDate.getDate()
+                : Number(item.dayOfMonth) || item.startDate.getDate();
+
+            [month - 1, month].forEach(candidateMonth => {
+                const monthsSinceStart = (year - item.startDate.getFullYear()) * 12 +
+                    (candidateMonth - item.startDate.getMonth());
+
+                if (monthsSinceStart >= 0 && monthsSinceStart % pattern.interval === 0) {
+                    dates.push(resolveMonthDay(year, candidateMonth, day, policy));
+                }
+            });
+        }
+            break;
+
+        case 'semimonthly':
+            // Two fixed days every month (previous month included for 'roll')
+            parseSemiMonthlyDays(item.dayOfMonth).forEach(day => {
+                dates.push(resolveMonthDay(year, month - 1, day, policy));
+                dates.push(resolveMonthDay(year, month, day, policy));
+            });
+            break;
+
+        case 'lastDay':
+            // Final calendar day of every month
+            dates.push(new Date(year, month + 1, 0));
+            break;
+
+        case 'nthWeekday':
+            // Nth (or last) occurrence of a weekday, e.g. "2nd Tuesday"
+        {
+            const spec = parseWeekdaySpec(item.dayOfWeek);
+            if (!spec) {
+                throw new Error(`Recurring item "${item.description}": Day of Week "${item.dayOfWeek}" ` +
+                    'must look like "2nd Tuesday" or "Last Friday" for the Nth Weekday frequency.');
+            }
+            dates.push(nthWeekdayOfMonth(year, month, spec.weekday, spec.nth));
+        }
+            break;
+    }
+
+    // Keep dates inside the month and the item's start/end window
+    const validDates = dates.filter(date =>
+        date &&
+        date >= monthStart &&
+        date <= monthEnd &&
+        date >= item.startDate &&
+        (!item.endDate || date <= item.endDate));
+
+    // Remove duplicates and sort chronologically
+    const uniqueDates = [...new Set(validDates.map(d => d.getTime()))]
+        .map(time => new Date(time))
+        .sort((a, b) => a - b);
+
+    return uniqueDates;
+}
+
+/**
+ * Translates a Frequency cell (Column E) into a recurrence pattern.
+ *
+ * @param {string} frequency - Raw frequency text (case-insensitive)
+ * @returns {Object|null} - Pattern such as { type: 'days', interval: 14 }, or null
+ *   if the text is blank or not recognized
+ *
+ * ACCEPTED VALUES:
+ * - Weekly | Bi-weekly, Biweekly, Every other week
+ * - Monthly | Semi-monthly, Semimonthly, Twice monthly
+ * - Quarterly | Semi-annual, Semi-annually, Semiannual | Yearly, Annual, Annually
+ * - Last Day of Month | Nth Weekday
+ * - Every N days, Every N weeks, Every N months, Every N years
+ */
+function parseFrequency(frequency) {
+    const freq = (frequency || '').toString().trim().toLowerCase().replace(/\s+/g, ' ');
+
+    switch (freq) {
+        case 'weekly':
+            return { type: 'days', interval: 7 };
+        case 'bi-weekly':
+        case 'biweekly':
+        case 'every other week':
+            return { type: 'days', interval: 14 };
+        case 'monthly':
+            return { type: 'months', interval: 1 };
+        case 'semi-monthly':
+        case 'semimonthly':
+        case 'twice monthly':
+            return { type: 'semimonthly' };
+        case 'quarterly':
+            return { type: 'months', interval: 3 };
+        case 'semi-annual':
+        case 'semi-annually':
+        case 'semiannual':
+        case 'semiannually':
+            return { type: 'months', interval: 6 };
+        case 'yearly':
+        case 'annual':
+        case 'annually':
+            return { type: 'months', interval: 12, useStartDay: true };
+        case 'last day of month':
+            return { type: 'lastDay' };
+        case 'nth weekday':
+            return { type: 'nthWeekday' };
+    }
+
+    const every = freq.match(/^every (\d+) (day|week|month|year)s?$/);
+    if (!every || Number(every[1]) < 1) return null;
+
+    const count = Number(every[1]);
+    switch (every[2]) {
+        case 'day': return { type: 'days', interval: count };
+        case 'week': return { type: 'days', interval: count * 7 };
+        case 'month': return { type: 'months', interval: count };
+        default: return { type: 'months', interval: count * 12, useStartDay: true };
+    }
+}
+
+/**
+ * Reads the two days of a semi-monthly item from its Day of Month cell.
+ *
+ * @param {*} dayOfMonth - Blank, or text such as "1, 15" / "5 & 20"
+ * @returns {Array<number>} - Two days of the month (defaults to 1st and 15th)
+ */
+function parseSemiMonthlyDays(dayOfMonth) {
+    const days = (dayOfMonth || '').toString().split(/[^0-9]+/)
+        .filter(part => part !== '')
+        .map(Number)
+        .filter(day => day >= 1 && day <= 31);
+
+    return days.length === 2 ? days : [1, 15];
+}
+
+/**
+ * Parses an Nth Weekday specification from the Day of Week cell (Column I).
+ *
+ * @param {*} dayOfWeek - Text such as "2nd Tuesday", "first monday" or "Last Friday"
+ * @returns {Object|null} - { nth: 1-5 or -1 for last, weekday: 0-6 (Sunday = 0) }
+ */
+function parseWeekdaySpec(dayOfWeek) {
+    const ordinals = {
+        '1st': 1, 'first': 1, '2nd': 2, 'second': 2, '3rd': 3, 'third': 3,
+        '4th': 4, 'fourth': 4, '5th': 5, 'fifth': 5, 'last': -1
+    };
+    const weekdays = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+    const parts = (dayOfWeek || '').toString().trim().toLowerCase().split(/\s+/);
+    if (parts.length !== 2 || !(parts[0] in ordinals)) return null;
+
+    const weekday = weekdays.findIndex(name => name.startsWith(parts[1].slice(0, 3)));
+    if (weekday === -1) return null;
+
+    return { nth: ordinals[parts[0]], weekday: weekday };
+}
+
+/**
+ * Finds the nth (or last) given weekday of a month.
+ *
+ * @param {number} year - Full year
+ * @param {number} month - Zero-based month
+ * @param {number} weekday - 0-6 (Sunday = 0)
+ * @param {number} nth - 1-5, or -1 for the last one
+ * @returns {Date|null} - The date, or null when the month has no such weekday (e.g. a 5th Monday)
+ */
+function nthWeekdayOfMonth(year, month, weekday, nth) {
+    if (nth === -1) {
+        const last = new Date(year, month + 1, 0);
+        return new Date(year, month, last.getDate() - ((last.getDay() - weekday + 7) % 7));
+    }
+
+    const first = new Date(year, month, 1);
+    const day = 1 + ((weekday - first.getDay() + 7) % 7) + (nth - 1) * 7;
+    return dayInMonth(year, month, day);
+}
+
+/**
+ * Places a day-of-month occurrence, applying the month-end policy when the month
+ * is too short (e.g. the 31st in April, or Feb 29 in a non-leap year).
+ *
+ * @param {number} year - Full year
+ * @param {number} month - Zero-based month (may be -1 for the previous December)
+ * @param {number} day - Requested day of month
+ * @param {string} policy - 'clamp', 'roll' or 'skip' (see parseMonthEndPolicy)
+ * @returns {Date|null} - The occurrence date, or null when skipped
+ *
+ * POLICIES:
+ * - clamp: Last day of the short month (Apr 31 -> Apr 30)
+ * - roll: First day of the following month (Apr 31 -> May 1)
+ * - skip: No occurrence that month
+ */
+function resolveMonthDay(year, month, day, policy) {
+    const first = new Date(year, month, 1);
+    const date = dayInMonth(first.getFullYear(), first.getMonth(), day);
+    if (date) return date;
+
+    switch (policy) {
+        case 'clamp': return new Date(first.getFullYear(), first.getMonth() + 1, 0);
+        case 'roll': return new Date(first.getFullYear(), first.getMonth() + 1, 1);
+        default: return null;
+    }
+}
+
+/**
+ * Interprets a Month-End Policy value (Settings sheet or Recurring Column Q).
+ *
+ * @param {*} value - Raw cell value
+ * @returns {string|null} - 'clamp', 'roll' or 'skip'; null if unrecognized
+ */
+function parseMonthEndPolicy(value) {
+    const policy = (value || '').toString().trim().toLowerCase();
+    if (policy === 'clamp' || policy === 'clamp to last day') return 'clamp';
+    if (policy === 'roll' || policy === 'roll to next month') return 'roll';
+    if (policy === 'skip') return 'skip';
+    return null;
+}
+
+/**
+ * Builds a date only if the day exists in the month.
+ *
+ * @param {number} year - Full year
+ * @param {number} month - Zero-based month
+ * @param {number} day - Day of month
+ * @returns {Date|null} - The date, or null for days such as February 30
+ */
+function dayInMonth(year, month, day) {
+    const date = new Date(year, month, day);
+    return date.getMonth() === month ? date : null;
+}
+
+/**
+ * Counts calendar days between two dates, ignoring daylight-saving shifts.
+ *
+ * @param {Date} from - Earlier date
+ * @param {Date} to - Later date
+ * @returns {number} - Whole days from `from` to `to` (negative if `to` is earlier)
+ */
+function daysBetween(from, to) {
+    const fromUtc = Date.UTC(from.getFullYear(), from.getMonth(), from.getDate());
+    const toUtc = Date.UTC(to.getFullYear(), to.getMonth(), to.getDate());
+    return Math.round((toUtc - fromUtc) / 86400000);
+}
+
+/**
+ * Collects scheduled occurrence dates across a range of whole months.
+ *
+ * @param {Object} item - Recurring transaction configuration object
+ * @param {Date} rangeStart - First day of the first month in the range
+ * @param {Date} rangeEnd - Last day of the last month in the range
+ * @returns {Array<Date>} - Scheduled dates in chronological order
+ */
+function getScheduledDates(item, rangeStart, rangeEnd) {
+    const dates = [];
+    if (item.startDate > rangeEnd || (item.endDate && item.endDate < rangeStart)) return dates;
+
+    const monthStart = new Date(rangeStart.getFullYear(), rangeStart.getMonth(), 1);
+    while (monthStart <= rangeEnd) {
+        const monthEnd = new Date(monthStart.getFullYear(), monthStart.getMonth() + 1, 0);
+        dates.push(...calculateRecurringDates(item, monthStart, monthEnd));
+        monthStart.setMonth(monthStart.getMonth() + 1);
+    }
+    return dates;
+}
+
+// ===========================
+// BUSINESS DAY ADJUSTMENT
+// ===========================
+
+/**
+ * Interprets a Roll Rule cell (Recurring Transactions Column P).
+ *
+ * @param {*} value - Raw cell value
+ * @returns {string|null} - 'none', 'previous' or 'next'; null if unrecognized
+ */
+function parseRollRule(value) {
+    const rule = (value || '').toString().trim().toLowerCase();
+    if (rule === '' || rule === 'none') return 'none';
+    if (rule === 'previous' || rule === 'previous business day') return 'previous';
+    if (rule === 'next' || rule === 'next business day') return 'next';
+    return null;
+}
+
+/**
+ * Moves a date off weekends and holidays according to a roll rule.
+ *
+ * @param {Date} date - Scheduled date
+ * @param {string} rule - 'none', 'previous' or 'next' (see parseRollRule)
+ * @param {Set<string>} holidays - Holiday date keys from getHolidays
+ * @returns {Date} - The scheduled date, or the nearest business day in the rule's direction
+ */
+function adjustForBusinessDay(date, rule, holidays) {
+    if (rule === 'none') return date;
+
+    const step = rule === 'previous' ? -1 : 1;
+    const adjusted = new Date(date.getTime());
+    while (adjusted.getDay() === 0 || adjusted.getDay() === 6 || holidays.has(formatDateKey(adjusted))) {
+        adjusted.setDate(adjusted.getDate() + step);
+    }
+    return adjusted;
+}
+
+/**
+ * Lists the days Federal Reserve Banks are closed in a year.
+ * Holidays falling on a Sunday are observed the following Monday; holidays on a
+ * Saturday are not moved (the Fed stays open the Friday before).
+ *
+ * @param {number} year - Full year
+ * @returns {Array<Object>} - { date: Date, name: string } in chronological order
+ */
+function getFederalReserveHolidays(year) {
+    const fixed = (month, day, name) => {
+        const date = new Date(year, month, day);
+        return date.getDay() === 0
+            ? { date: new Date(year, month, day + 1), name: `${name} (observed)` }
+            : { date: date, name: name };
+    };
+
+    return [
+        fixed(0, 1, "New Year's Day"),
+        { date: nthWeekdayOfMonth(year, 0, 1, 3), name: 'Birthday of Martin Luther King, Jr.' },
+        { date: nthWeekdayOfMonth(year, 1, 1, 3), name: "Washington's Birthday" },
+        { date: nthWeekdayOfMonth(year, 4, 1, -1), name: 'Memorial Day' },
+        fixed(5, 19, 'Juneteenth National Independence Day'),
+        fixed(6, 4, 'Independence Day'),
+        { date: nthWeekdayOfMonth(year, 8, 1, 1), name: 'Labor Day' },
+        { date: nthWeekdayOfMonth(year, 9, 1, 2), name: 'Columbus Day' },
+        fixed(10, 11, 'Veterans Day'),
+        { date: nthWeekdayOfMonth(year, 10, 4, 4), name: 'Thanksgiving Day' },
+        fixed(11, 25, 'Christmas Day')
+    ];
+}
+
+// ===========================
+// DAILY PROJECTION
+// ===========================
+
+/**
+ * Condenses a year of ledgers into end-of-day balances, the compact form behind
+ * the balance-on-date custom functions.
+ *
+ * @param {Array<Object>} ledgers - Result of buildYearLedger
+ * @param {Array<string>} accountNames - Tracked account names in column order
+ * @returns {Object} - { accounts, start, end, opening, days }
+ *
+ * PROJECTION STRUCTURE (plain JSON, safe to cache):
+ * {
+ *   accounts: ['Checking', ...],     // Balance order
+ *   start: '2025-09-01',             // First day covered (formatDateKey)
+ *   end: '2025-12-31',               // Last day covered
+ *   opening: [2500, ...],            // Balances before the first day's transactions
+ *   days: [['2025-09-05', 4500, ...], ...]  // End-of-day balances, only for days
+ *                                            // with transactions, in date order
+ * }
+ */
+function buildDailyProjection(ledgers, accountNames) {
+    const first = ledgers[0];
+    const last = ledgers[ledgers.length - 1];
+    const balanceColumn = 6;  // Column G: first account balance in a ledger row
+    const days = [];
+
+    ledgers.forEach(ledger => {
+        // Skip the Starting Balance row; the last row of a day holds its closing balances
+        ledger.rows.slice(1).forEach(row => {
+            const key = formatDateKey(row[0]);
+            const balances = row.slice(balanceColumn, balanceColumn + accountNames.length);
+
+            if (days.length > 0 && days[days.length - 1][0] === key) {
+                days[days.length - 1] = [key, ...balances];
+            } else {
+                days.push([key, ...balances]);
+            }
+        });
+    });
+
+    return {
+        accounts: accountNames.slice(),
+        start: formatDateKey(first.rows[0][0]),
+        end: formatDateKey(new Date(last.rows[0][0].getFullYear(), last.monthIndex + 1, 0)),
+        opening: first.startingBalances.slice(),
+        days: days
+    };
+}
+
+/**
+ * Projected end-of-day balances for every account on a date.
+ *
+ * @param {Object} projection - Result of buildDailyProjection
+ * @param {Date} date - Day to look up
+ * @returns {Array<number>} - Balances in projection.accounts order
+ * @throws {Error} - If the date is outside the projected period
+ */
+function projectedBalancesOn(projection, date) {
+    const key = formatDateKey(date);
+    if (key < projection.start || key > projection.end) {
+        throw new Error(`${formatShortDate(date)} is outside the projected period ` +
+            `(${projection.start} to ${projection.end})`);
+    }
+
+    // Binary search for the last day with transactions on or before the date
+    let low = 0;
+    let high = projection.days.length - 1;
+    let found = -1;
+    while (low <= high) {
+        const mid = Math.floor((low + high) / 2);
+        if (projection.days[mid][0] <= key) {
+            found = mid;
+            low = mid + 1;
+        } else {
+            high = mid - 1;
+        }
+    }
+
+    return found === -1 ? projection.opening.slice() : projection.days[found].slice(1);
+}
+
+/**
+ * Lowest projected end-of-day balance of one account within a date range.
+ *
+ * @param {Object} projection - Result of buildDailyProjection
+ * @param {number} accountIndex - Index into projection.accounts
+ * @param {Date} start - First day of the range
+ * @param {Date} end - Last day of the range (inclusive)
+ * @returns {number} - Minimum balance over the range
+ * @throws {Error} - If either date is outside the projected period or end precedes start
+ */
+function minProjectedBalance(projection, accountIndex, start, end) {
+    const startKey = formatDateKey(start);
+    const endKey = formatDateKey(end);
+    if (endKey < startKey) {
+        throw new Error(`End date ${formatShortDate(end)} is before start date ${formatShortDate(start)}`);
+    }
+
+    // Balance carried into the range (the end date is only range-checked),
+    // then every day that changes it
+    let minimum = projectedBalancesOn(projection, start)[accountIndex];
+    projectedBalancesOn(projection, end);
+    projection.days.forEach(day => {
+        if (day[0] > startKey && day[0] <= endKey) {
+            minimum = Math.min(minimum, day[accountIndex + 1]);
+        }
+    });
+    return minimum;
+}
+
+// ===========================
+// BALANCE ALERTS
+// ===========================
+
+/**
+ * Finds the first projected date each account threshold is crossed.
+ *
+ * @param {Array<Object>} ledgers - Result of buildYearLedger
+ * @param {Array<Object>} accounts - Tracked accounts in ledger column order, with
+ *   optional minBalance and creditLimit (null when not set)
+ * @param {Date} fromDate - First day to check (usually today)
+ * @returns {Array<Object>} - One alert per crossed threshold, in date order:
+ *   { account, type, threshold, date, balance, lowest, lowestDate }
+ *
+ * THRESHOLDS:
+ * - Min Balance: Alert when the balance drops below the amount (e.g. 500 for checking,
+ *   0 to catch overdrafts)
+ * - Credit Limit: Alert when a card's balance goes below -limit (card balances are
+ *   negative when money is owed)
+ *
+ * Every ledger row is checked, so a dip that recovers later the same day still
+ * counts. A balance already below the threshold on fromDate alerts on fromDate.
+ * Closed accounts are ignored, and there are no alerts once fromDate is past the
+ * end of the operating period.
+ */
+function findBalanceAlerts(ledgers, accounts, fromDate) {
+    const balanceColumn = 6;  // Column G: first account balance in a ledger row
+    const fromKey = formatDateKey(fromDate);
+    const last = ledgers[ledgers.length - 1];
+
+    // Nothing left to forecast once the operating period is over
+    if (!last || fromKey > formatDateKey(new Date(last.rows[0][0].getFullYear(), last.monthIndex + 1, 0))) {
+        return [];
+    }
+
+    // One watch per threshold that is set
+    const watches = [];
+    accounts.forEach((acc, index) => {
+        if (!acc.active) return;
+        if (acc.minBalance !== null && acc.minBalance !== undefined) {
+            watches.push({ account: acc.name, index: index, type: 'Min Balance', threshold: acc.minBalance });
+        }
+        if (acc.creditLimit !== null && acc.creditLimit !== undefined) {
+            watches.push({ account: acc.name, index: index, type: 'Credit Limit', threshold: -Math.abs(acc.creditLimit) });
+        }
+    });
+    if (watches.length === 0) return [];
+
+    // Balances carried into fromDate, followed by every row on or after it
+    const points = [];
+    let carried = null;
+    ledgers.forEach(ledger => ledger.rows.forEach(row => {
+        if (formatDateKey(row[0]) < fromKey) {
+            carried = row;
+            return;
+        }
+        if (carried) {
+            points.push({ date: fromDate, row: carried });
+            carried = null;
+        }
+        points.push({ date: row[0], row: row });
+    }));
+    if (carried) points.push({ date: fromDate, row: carried });
+
+    const alerts = [];
+    watches.forEach(watch => {
+        let alert = null;
+        points.forEach(point => {
+            const balance = point.row[balanceColumn + watch.index];
+            if (!alert && balance < watch.threshold) {
+                alert = {
+                    account: watch.account,
+                    type: watch.type,
+                    threshold: watch.threshold,
+                    date: point.date,
+                    balance: balance,
+                    lowest: balance,
+                    lowestDate: point.date
+                };
+            } else if (alert && balance < alert.lowest) {
+                alert.lowest = balance;
+                alert.lowestDate = point.date;
+            }
+        });
+        if (alert) alerts.push(alert);
+    });
+
+    return alerts.sort((a, b) => a.date - b.date);
+}
+
+// ===========================
+// RECONCILIATION
+// ===========================
+
+/**
+ * Checks whether a transaction status counts as cleared by the bank.
+ *
+ * @param {string} status - '', 'Cleared' or 'Reconciled'
+ * @returns {boolean} - True for Cleared and Reconciled
+ */
+function isClearedStatus(status) {
+    return status === 'Cleared' || status === 'Reconciled';
+}
+
+/**
+ * Interprets a cleared-status cell (Single Transactions H, Recurring Overrides H).
+ *
+ * @param {*} value - Raw cell value: blank, Cleared, Reconciled, or a TRUE checkbox
+ * @param {string} where - Sheet and row for the error message
+ * @returns {string} - '', 'Cleared' or 'Reconciled'
+ * @throws {Error} - If the value is not recognized
+ */
+function parseClearedStatus(value, where) {
+    if (value === true) return 'Cleared';
+    const status = (value === false || value === null ? '' : value).toString().trim().toLowerCase();
+    if (status === '') return '';
+    if (status === 'cleared' || status === 'c') return 'Cleared';
+    if (status === 'reconciled' || status === 'r') return 'Reconciled';
+    throw new Error(`${where}: status "${value}" must be blank, Cleared or Reconciled`);
+}
+
+/**
+ * How much a transaction changes one account's balance.
+ *
+ * @param {Object} trans - Transaction object (a split counts all of its parts)
+ * @param {string} accountName - Account to measure
+ * @returns {number} - Signed change; 0 if the transaction does not touch the account
+ */
+function accountEffect(trans, accountName) {
+    if (trans.parts) return trans.parts.reduce((sum, part) => sum + accountEffect(part, accountName), 0);
+    if (trans.account === accountName) return trans.amount;
+    if (trans.transferTo === accountName) return Math.abs(trans.amount);
+    return 0;
+}
+
+/**
+ * Balance of one account counting only cleared and reconciled transactions.
+ * The opening balance (Accounts sheet) is treated as cleared.
+ *
+ * @param {number} openingBalance - Balance at the start of the operating period
+ * @param {string} accountName - Account to total
+ * @param {Array<Object>} transactions - Schedule transactions with a status
+ * @param {Date} date - Count transactions dated on or before this day
+ * @returns {number} - Cleared balance at the end of the day
+ */
+function clearedBalanceOn(openingBalance, accountName, transactions, date) {
+    const key = formatDateKey(date);
+    return transactions.reduce((balance, trans) =>
+        isClearedStatus(trans.status) && formatDateKey(trans.date) <= key
+            ? balance + accountEffect(trans, accountName)
+            : balance, openingBalance);
+}
+
+/**
+ * Compares a bank statement with the cleared transactions of one account.
+ *
+ * @param {string} accountName - Account being reconciled
+ * @param {number} openingBalance - Balance at the start of the operating period
+ * @param {Array<Object>} transactions - Schedule transactions with a status
+ * @param {Date} statementDate - Statement end date
+ * @param {number} statementBalance - Ending balance printed on the statement
+ * @returns {Object} - { clearedBalance, statementBalance, difference, balanced, issues, toReconcile }
+ *
+ * ISSUES (transactions dated on or before the statement date):
+ * - 'Not cleared': Still open; either not on the statement yet or not marked
+ * - 'Not cleared - amount matches the difference': Most likely the missing item
+ * - 'Cleared - not clearing it would balance the statement': Possibly marked
+ *   cleared by mistake
+ * - 'Cleared - reversing its sign would balance the statement': Possibly entered
+ *   with the wrong sign (e.g. a refund typed as an expense)
+ *
+ * The difference is statement minus cleared balance, rounded to cents.
+ * toReconcile lists the cleared (not yet reconciled) transactions the statement covers.
+ */
+function reconcileStatement(accountName, openingBalance, transactions, statementDate, statementBalance) {
+    const cents = amount => Math.round(amount * 100);
+    const key = formatDateKey(statementDate);
+    const covered = sortTransactions(transactions.filter(trans =>
+        formatDateKey(trans.date) <= key && accountEffect(trans, accountName) !== 0));
+
+    const clearedBalance = clearedBalanceOn(openingBalance, accountName, covered, statementDate);
+    const difference = (cents(statementBalance) - cents(clearedBalance)) / 100;
+    const issues = [];
+
+    covered.forEach(trans => {
+        const effect = accountEffect(trans, accountName);
+        if (!isClearedStatus(trans.status)) {
+            issues.push({
+                transaction: trans,
+                effect: effect,
+                issue: difference !== 0 && cents(effect) === cents(difference)
+                    ? 'Not cleared - amount matches the difference'
+                    : 'Not cleared'
+            });
+        } else if (trans.status === 'Cleared' && difference !== 0 && cents(effect) === -cents(difference)) {
+            issues.push({
+                transaction: trans,
+                effect: effect,
+                issue: 'Cleared - not clearing it would balance the statement'
+            });
+        } else if (trans.status === 'Cleared' && difference !== 0 && 2 * cents(effect) === -cents(difference)) {
+            issues.push({
+                transaction: trans,
+                effect: effect,
+                issue: 'Cleared - reversing its sign would balance the statement'
+            });
+        }
+    });
+
+    return {
+        clearedBalance: clearedBalance,
+        statementBalance: statementBalance,
+        difference: difference,
+        balanced: difference === 0,
+        issues: issues,
+        toReconcile: covered.filter(trans => trans.status === 'Cleared')
+    };
+}
+
+// ===========================
+// BUDGETS
+// ===========================
+
+/**
+ * Compares spending per category with the monthly budgets.
+ *
+ * @param {Array<Object>} ledgers - Result of projectYear (or buildYearLedger)
+ * @param {Array<Object>} budgets - [{ category, amounts }] in display order, where
+ *   amounts holds 12 monthly budgets (index 0 = January, null = no budget)
+ * @param {number} throughMonthIndex - Last month counted in the year-to-date totals
+ *   (0-11; below the first ledger month gives empty totals)
+ * @returns {Object} - { months: [{ monthIndex, lines }], yearToDate: lines }
+ *   Each line is { category, budget (null if none), projected, cleared, remaining }
+ *
+ * SPENDING RULES:
+ * - Spending is money out of any account: Income, Transfer and transfers with a
+ *   destination are not spending
+ * - Split transactions count each part under its own category
+ * - projected counts every transaction; cleared only Cleared or Reconciled ones
+ * - remaining is budget minus projected (negative = over budget)
+ * - A category appears in a month when it has a budget or spending there;
+ *   unbudgeted categories follow the budgeted ones alphabetically
+ */
+function buildBudgetReport(ledgers, budgets, throughMonthIndex) {
+    const round = value => Math.round(value * 100) / 100;
+    const budgetFor = {};
+    budgets.forEach(entry => { budgetFor[entry.category] = entry.amounts; });
+
+    const unbudgeted = new Set();
+    const months = ledgers.map(ledger => {
+        const projected = {};
+        const cleared = {};
+        const legs = [].concat(...ledger.transactions.map(trans => trans.parts || [trans]));
+        legs.forEach(trans => {
+            if (trans.category === 'Income' || trans.category === 'Transfer' || trans.transferTo) return;
+            projected[trans.category] = (projected[trans.category] || 0) - trans.amount;
+            if (isClearedStatus(trans.status)) {
+                cleared[trans.category] = (cleared[trans.category] || 0) - trans.amount;
+            }
+            if (!budgetFor[trans.category]) unbudgeted.add(trans.category);
+        });
+        return { monthIndex: ledger.monthIndex, projected: projected, cleared: cleared };
+    });
+
+    const categories = budgets.map(entry => entry.category).concat(Array.from(unbudgeted).sort());
+    const line = (category, budget, projected, cleared) => ({
+        category: category,
+        budget: budget,
+        projected: round(projected),
+        cleared: round(cleared),
+        remaining: round((budget || 0) - projected)
+    });
+
+    const monthLines = months.map(month => ({
+        monthIndex: month.monthIndex,
+        lines: categories
+            .filter(category => {
+                const budget = budgetFor[category] ? budgetFor[category][month.monthIndex] : null;
+                return budget !== null || month.projected[category] !== undefined;
+            })
+            .map(category => line(
+                category,
+                budgetFor[category] ? budgetFor[category][month.monthIndex] : null,
+                month.projected[category] || 0,
+                month.cleared[category] || 0))
+    }));
+
+    const counted = monthLines.filter(month => month.monthIndex <= throughMonthIndex);
+    const yearToDate = categories
+        .map(category => {
+            const rows = counted
+                .map(month => month.lines.find(entry => entry.category === category))
+                .filter(Boolean);
+            if (rows.length === 0) return null;
+            const budgeted = rows.some(entry => entry.budget !== null);
+            return line(
+                category,
+                budgeted ? round(rows.reduce((sum, entry) => sum + (entry.budget || 0), 0)) : null,
+                rows.reduce((sum, entry) => sum + entry.projected, 0),
+                rows.reduce((sum, entry) => sum + entry.cleared, 0));
+        })
+        .filter(Boolean);
+
+    return { months: monthLines, yearToDate: yearToDate };
+}
+
+// ===========================
+// ANNUAL SUMMARY
+// ===========================
+
+/**
+ * Rolls the year's ledgers up into the figures behind the Annual Summary sheet.
+ *
+ * @param {Array<Object>} ledgers - Result of projectYear (or buildYearLedger)
+ * @param {Array<string>} accountNames - Tracked account names in ledger column order
+ * @returns {Object} - {
+ *   months: [{ monthIndex, income, expenses, net, netWorth }] (netWorth at month end),
+ *   totals: { income, expenses, net },
+ *   categories: [{ category, total }] (spending, largest first),
+ *   accounts: [{ name, starting, ending }] }
+ *
+ * Income is money in with Category Income; expenses follow the spending rules of
+ * buildBudgetReport, so transfers count as neither and split parts count on
+ * their own.
+ */
+function buildAnnualSummary(ledgers, accountNames) {
+    const round = value => Math.round(value * 100) / 100;
+    const sum = values => values.reduce((total, value) => total + value, 0);
+
+    const months = ledgers.map(ledger => {
+        let income = 0;
+        let expenses = 0;
+        [].concat(...ledger.transactions.map(trans => trans.parts || [trans])).forEach(leg => {
+            if (leg.category === 'Transfer' || leg.transferTo) return;
+            if (leg.category === 'Income') {
+                income += leg.amount;
+            } else {
+                expenses -= leg.amount;
+            }
+        });
+        return {
+            monthIndex: ledger.monthIndex,
+            income: round(income),
+            expenses: round(expenses),
+            net: round(income - expenses),
+            netWorth: round(sum(ledger.endBalances))
+        };
+    });
+
+    const first = ledgers[0];
+    const last = ledgers[ledgers.length - 1];
+    return {
+        months: months,
+        totals: {
+            income: round(sum(months.map(month => month.income))),
+            expenses: round(sum(months.map(month => month.expenses))),
+            net: round(sum(months.map(month => month.net)))
+        },
+        categories: buildBudgetReport(ledgers, [], 11).yearToDate
+            .map(line => ({ category: line.category, total: line.projected }))
+            .sort((a, b) => b.total - a.total),
+        accounts: accountNames.map((name, i) => ({
+            name: name,
+            starting: first.startingBalances[i],
+            ending: round(last.endBalances[i])
+        }))
+    };
+}
+
+// ===========================
+// SAVINGS GOALS
+// ===========================
+
+/**
+ * Measures savings goals against the daily projection.
+ *
+ * @param {Array<Object>} goals - { name, target, targetDate, account, contribution
+ *   (monthly amount or null) } in sheet order
+ * @param {Object} projection - Result of buildDailyProjection
+ * @param {Date} today - Progress is measured on this day (clamped to the projection)
+ * @returns {Array<Object>} - Per goal, in order: { name, saved, progress (0-1),
+ *   reachDate (Date or null), shortfall (per month), status ('Reached', 'On Track'
+ *   or 'Behind') }
+ * @throws {Error} - If a goal's account is not in the projection
+ *
+ * SHARED ACCOUNTS:
+ * Goals funded by the same account are filled in order: the first goal counts the
+ * balance up to its target, the next one counts what is left, and so on.
+ *
+ * AFTER THE PROJECTION:
+ * A goal whose target is not reached by the end of the operating period grows by
+ * its monthly contribution, or when that is blank by the account's average monthly
+ * change over the period, to estimate the reach date and the balance on a later
+ * target date.
+ *
+ * SHORTFALL:
+ * What the goal will still be missing on its target date, spread over the months
+ * from today until then (at least one). A goal with a shortfall is Behind.
+ */
+function evaluateGoals(goals, projection, today) {
+    const round = value => Math.round(value * 100) / 100;
+    const toDate = key => new Date(Number(key.slice(0, 4)), Number(key.slice(5, 7)) - 1, Number(key.slice(8, 10)));
+    const monthLength = 365 / 12;
+    const start = toDate(projection.start);
+    const end = toDate(projection.end);
+    const from = today < start ? start : (today > end ? end : today);
+    const fromKey = formatDateKey(from);
+    const fundedBefore = {};
+
+    return goals.map(goal => {
+        const index = projection.accounts.indexOf(goal.account);
+        if (index === -1) throw new Error(`Goal "${goal.name}": "${goal.account}" is not a tracked account`);
+
+        const earlier = fundedBefore[goal.account] || 0;
+        fundedBefore[goal.account] = earlier + goal.target;
+        const threshold = earlier + goal.target - 0.005;
+        const counted = balance => Math.min(goal.target, Math.max(0, balance - earlier));
+
+        const balanceNow = projectedBalancesOn(projection, from)[index];
+        const balanceAtEnd = projectedBalancesOn(projection, end)[index];
+        const growth = goal.contribution !== null
+            ? goal.contribution
+            : (balanceAtEnd - projection.opening[index]) / ((daysBetween(start, end) + 1) / monthLength);
+        const balanceOn = date => (date > end
+            ? balanceAtEnd + growth * daysBetween(end, date) / monthLength
+            : projectedBalancesOn(projection, date < start ? start : date)[index]);
+
+        let reachDate = null;
+        if (balanceNow >= threshold) {
+            reachDate = from;
+        } else {
+            const day = projection.days.find(entry => entry[0] > fromKey && entry[1 + index] >= threshold);
+            if (day) {
+                reachDate = toDate(day[0]);
+            } else if (growth > 0) {
+                reachDate = new Date(end.getFullYear(), end.getMonth(),
+                    end.getDate() + Math.ceil((threshold - balanceAtEnd) / growth * monthLength));
+            }
+        }
+
+        const missing = round(goal.target - counted(balanceOn(goal.targetDate)));
+        const months = Math.max(1, daysBetween(from, goal.targetDate) / monthLength);
+        const shortfall = missing > 0 ? round(missing / months) : 0;
+        let status = shortfall > 0 ? 'Behind' : 'On Track';
+        if (balanceNow >= threshold) status = 'Reached';
+
+        return {
+            name: goal.name,
+            saved: round(counted(balanceNow)),
+            progress: goal.target > 0 ? counted(balanceNow) / goal.target : 1,
+            reachDate: reachDate,
+            shortfall: shortfall,
+            status: status
+        };
+    });
+}
+
+// ===========================
+// DEBT PAYOFF
+// ===========================
+
+/**
+ * Orders cards for a payoff strategy.
+ *
+ * @param {Array<Object>} debts - { name, balance (amount owed, positive), apr }
+ * @param {string} strategy - 'avalanche' (highest APR first), 'snowball' (smallest
+ *   balance first) or 'custom'
+ * @param {Array<string>} [customOrder] - Card names in payoff order (custom only);
+ *   cards left out follow in avalanche order
+ * @returns {Array<string>} - Card names; extra money goes to the first unpaid one
+ * @throws {Error} - If the custom order names a card that is not in debts
+ */
+function orderDebts(debts, strategy, customOrder) {
+    const byApr = (a, b) => b.apr - a.apr || a.balance - b.balance;
+    const byBalance = (a, b) => a.balance - b.balance || b.apr - a.apr;
+    const ranked = [...debts].sort(strategy === 'snowball' ? byBalance : byApr).map(debt => debt.name);
+    if (strategy !== 'custom') return ranked;
+
+    const named = customOrder.map(name => {
+        const debt = debts.find(d => d.name.toLowerCase() === name.trim().toLowerCase());
+        if (!debt) {
+            throw new Error(`"${name.trim()}" is not one of the cards to pay off (${ranked.join(', ')})`);
+        }
+        return debt.name;
+    });
+    return [...new Set(named.concat(ranked))];
+}
+
+/**
+ * Simulates paying off cards with a fixed monthly budget.
+ *
+ * @param {Array<Object>} debts - { name, balance (owed, positive), apr, minimum,
+ *   paymentDay }; minimum is the card's monthly minimum payment at the start
+ * @param {number} monthlyBudget - Total paid to all cards each month
+ * @param {Array<string>} order - Payoff order from orderDebts
+ * @param {Date} firstMonth - Any day in the month of the first payment
+ * @returns {Object} - { order, months: [{ date, payments, paymentDates, balances }], cards:
+ *   [{ name, payoffDate, interest, paid }], debtFreeDate, totalInterest, totalPaid };
+ *   payments and balances follow debts order
+ * @throws {Error} - If the budget does not cover the minimums or never pays the
+ *   cards off (50 years)
+ *
+ * EACH MONTH:
+ * 1. Every card is charged a month of interest (APR / 12) on its balance
+ * 2. Every card gets its starting minimum payment (or what it still owes)
+ * 3. The rest of the budget goes to the cards in order; a paid-off card's
+ *    minimum rolls into that extra payment, so the total stays the same
+ * A card's payment is dated on its paymentDay (the last day in shorter months).
+ * No new charges are assumed.
+ */
+function simulateDebtPayoff(debts, monthlyBudget, order, firstMonth) {
+    const round = value => Math.round(value * 100) / 100;
+    const minimums = debts.map(debt => round(Math.min(debt.balance, debt.minimum)));
+    const minimumTotal = round(minimums.reduce((sum, amount) => sum + amount, 0));
+    if (monthlyBudget < minimumTotal) {
+        throw new Error(`A monthly budget of $${monthlyBudget.toFixed(2)} does not cover the minimum ` +
+            `payments ($${minimumTotal.toFixed(2)})`);
+    }
+
+    const balances = debts.map(debt => round(debt.balance));
+    const cards = debts.map(debt => ({ name: debt.name, payoffDate: null, interest: 0, paid: 0 }));
+    const months = [];
+    const paymentDate = (debt, monthIndex) => {
+        const year = firstMonth.getFullYear();
+        const month = firstMonth.getMonth() + monthIndex;
+        return new Date(year, month, Math.min(debt.paymentDay, new Date(year, month + 1, 0).getDate()));
+    };
+
+    for (let m = 0; balances.some(balance => balance > 0); m++) {
+        if (m === 600) {
+            throw new Error(`A monthly budget of $${monthlyBudget.toFixed(2)} does not pay off the cards ` +
+                'within 50 years');
+        }
+
+        const payments = balances.map((balance, i) => {
+            if (balance <= 0) return 0;
+            const interest = round(balance * debts[i].apr / 1200);
+            balances[i] = round(balance + interest);
+            cards[i].interest = round(cards[i].interest + interest);
+            return Math.min(balances[i], minimums[i]);
+        });
+
+        let extra = round(monthlyBudget - payments.reduce((sum, amount) => sum + amount, 0));
+        order.forEach(name => {
+            const i = debts.findIndex(debt => debt.name === name);
+            const amount = Math.min(extra, round(balances[i] - payments[i]));
+            if (amount <= 0) return;
+            payments[i] = round(payments[i] + amount);
+            extra = round(extra - amount);
+        });
+
+        payments.forEach((amount, i) => {
+            if (amount <= 0) return;
+            balances[i] = round(balances[i] - amount);
+            cards[i].paid = round(cards[i].paid + amount);
+            if (balances[i] <= 0) cards[i].payoffDate = paymentDate(debts[i], m);
+        });
+        months.push({
+            date: new Date(firstMonth.getFullYear(), firstMonth.getMonth() + m, 1),
+            payments: payments,
+            paymentDates: debts.map(debt => paymentDate(debt, m)),
+            balances: balances.slice()
+        });
+    }
+
+    const payoffDates = cards.map(card => card.payoffDate).filter(Boolean);
+    return {
+        order: order,
+        months: months,
+        cards: cards,
+        debtFreeDate: payoffDates.length > 0 ? new Date(Math.max(...payoffDates)) : null,
+        totalInterest: round(cards.reduce((sum, card) => sum + card.interest, 0)),
+        totalPaid: round(cards.reduce((sum, card) => sum + card.paid, 0))
+    };
+}
+
+/**
+ * Groups a plan's payments into runs of equal monthly amounts, the shape of a
+ * Monthly recurring transfer.
+ *
+ * @param {Array<Object>} debts - The debts passed to simulateDebtPayoff
+ * @param {Object} plan - Result of simulateDebtPayoff
+ * @returns {Array<Object>} - { name, amount, paymentDay, start, end } per run, card by
+ *   card; start and end are the first and last payment dates
+ */
+function payoffPaymentRuns(debts, plan) {
+    const runs = [];
+    debts.forEach((debt, i) => {
+        let run = null;
+        plan.months.forEach((month, m) => {
+            const amount = month.payments[i];
+            const date = month.paymentDates[i];
+            if (amount > 0 && run && run.amount === amount && run.lastMonth === m - 1) {
+                run.end = date;
+                run.lastMonth = m;
+            } else if (amount > 0) {
+                run = { name: debt.name, amount: amount, paymentDay: debt.paymentDay, start: date, end: date, lastMonth: m };
+                runs.push(run);
+            }
+        });
+    });
+    return runs.map(run => ({
+        name: run.name, amount: run.amount, paymentDay: run.paymentDay, start: run.start, end: run.end
+    }));
+}
+
+// ===========================
+// BANK IMPORT
+// ===========================
+
+/**
+ * Splits CSV text into rows of fields (RFC 4180: quoted fields may contain commas,
+ * doubled quotes and line breaks).
+ *
+ * @param {string} text - CSV file contents
+ * @returns {Array<Array<string>>} - Rows of raw field text; blank lines are dropped
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quoted) {
+            if (ch === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === ',') {
+            row.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+    row.push(field);
+    rows.push(row);
+
+    return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+/**
+ * Reads a date from a bank export cell.
+ *
+ * @param {*} value - Date object, or text such as 09/15/2025, 9/15/25 or 2025-09-15
+ * @returns {Date|null} - Local midnight of that day, or null if unreadable
+ */
+function parseImportDate(value) {
+    if (value instanceof Date) {
+        return isNaN(value.getTime()) ? null : new Date(value.getFullYear(), value.getMonth(), value.getDate());
+    }
+
+    const text = (value || '').toString().trim();
+    let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+    if (match) return dayInMonth(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+
+    match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})$/);
+    if (match) {
+        const year = match[3].length === 2 ? 2000 + Number(match[3]) : Number(match[3]);
+        return dayInMonth(year, Number(match[1]) - 1, Number(match[2]));
+    }
+    return null;
+}
+
+/**
+ * Reads an amount from a bank export cell: "1,234.56", "-$45.00", "45.00-", "(45.00)".
+ * Anything else, such as "1.234,56" or "45.00 CR", is unreadable rather than
+ * guessed at, so the row is reported instead of imported with the wrong amount.
+ *
+ * @param {*} value - Number or amount text
+ * @returns {number|null} - The amount; null when blank or unreadable
+ */
+function parseImportAmount(value) {
+    if (typeof value === 'number') return value;
+
+    const text = (value || '').toString().trim();
+    if (text === '') return null;
+
+    // Parentheses, or one minus sign at either end, mark a negative amount
+    const parenthesized = /^\(.*\)$/.test(text);
+    let body = (parenthesized ? text.slice(1, -1) : text).trim().replace(/^\$\s*/, '');
+    const minus = /^-|-$/.test(body);
+    if (minus) body = body.replace(/^-|-$/, '').trim().replace(/^\$\s*/, '');
+    if (parenthesized && minus) return null;
+
+    // Digits with optional comma thousands separators and a decimal point
+    if (!/^(\d{1,3}(,\d{3})+|\d+)(\.\d+)?$|^\.\d+$/.test(body)) return null;
+
+    const amount = Number(body.replace(/,/g, ''));
+    return parenthesized || minus ? -amount : amount;
+}
+
+/**
+ * Converts exported rows to transactions using a column-mapping profile.
+ *
+ * @param {Array<Array<*>>} rows - Rows from parseCsv (header row included if the profile has one)
+ * @param {Object} profile - Mapping: { date, description, amount | debit + credit, sign, header }
+ * @returns {Object} - { transactions: [{ line, date, description, amount }], errors: [{ line, message }] }
+ *
+ * PROFILE COLUMNS:
+ * Each column is a header name (case-insensitive) or a 1-based column number;
+ * numbers are required when profile.header is false.
+ *
+ * SIGN CONVENTIONS (the returned amount is always + money in, - money out):
+ * - 'bank': Amount is positive for deposits and credits (most checking exports)
+ * - 'card': Amount is positive for charges (many credit card exports), so it is flipped
+ * - Debit/Credit columns: Debit is money out, Credit is money in, whatever their sign
+ */
+function mapImportRows(rows, profile) {
+    const header = profile.header === false ? null : rows[0].map(name => name.toString().trim().toLowerCase());
+    const dataRows = header ? rows.slice(1) : rows;
+    const firstLine = header ? 2 : 1;
+
+    const columnIndex = ref => {
+        if (ref === undefined || ref === null || ref === '') return -1;
+        if (typeof ref === 'number' || /^\d+$/.test(ref.toString())) return Number(ref) - 1;
+        if (!header) throw new Error(`Import profile uses column "${ref}" but the file has no header row`);
+        const index = header.indexOf(ref.toString().trim().toLowerCase());
+        if (index === -1) throw new Error(`Column "${ref}" was not found in the file's header row`);
+        return index;
+    };
+
+    const dateIndex = columnIndex(profile.date);
+    const descriptionIndex = columnIndex(profile.description);
+    const amountIndex = columnIndex(profile.amount);
+    const debitIndex = columnIndex(profile.debit);
+    const creditIndex = columnIndex(profile.credit);
+    if (dateIndex === -1 || descriptionIndex === -1 || (amountIndex === -1 && debitIndex === -1)) {
+        throw new Error('Import profile needs a Date, a Description and an Amount or Debit/Credit column');
+    }
+
+    const transactions = [];
+    const errors = [];
+
+    dataRows.forEach((row, i) => {
+        const line = firstLine + i;
+        const date = parseImportDate(row[dateIndex]);
+        if (!date) {
+            errors.push({ line: line, message: `Unreadable date "${row[dateIndex]}"` });
+            return;
+        }
+
+        let amount;
+        if (amountIndex !== -1) {
+            amount = parseImportAmount(row[amountIndex]);
+            if (amount !== null && profile.sign === 'card') amount = -amount;
+        } else {
+            const debit = parseImportAmount(row[debitIndex]);
+            const credit = parseImportAmount(creditIndex === -1 ? '' : row[creditIndex]);
+            amount = debit ? -Math.abs(debit) : (credit === null ? null : Math.abs(credit));
+        }
+        if (amount === null) {
+            errors.push({ line: line, message: 'Missing or unreadable amount' });
+            return;
+        }
+
+        transactions.push({
+            line: line,
+            date: date,
+            description: (row[descriptionIndex] || '').toString().trim().replace(/\s+/g, ' '),
+            amount: amount
+        });
+    });
+
+    return { transactions: transactions, errors: errors };
+}
+
+/**
+ * Reads the bank statements in an OFX or QFX download. Handles OFX 1.x (SGML,
+ * where value elements have no closing tags) and 2.x (XML).
+ *
+ * @param {string} text - File contents
+ * @returns {Array<Object>} - One entry per bank or credit card statement:
+ *   { accountId, ledgerBalance, ledgerDate, transactions: [{ importId, date, description, amount }] }
+ *   ledgerBalance and ledgerDate are null when the statement has no LEDGERBAL
+ * @throws {Error} - If the file holds no statements
+ *
+ * Amounts keep OFX's sign convention, which already matches the tracker's:
+ * negative is money out of the account, for credit cards as well.
+ */
+function parseOfx(text) {
+    const blocks = text.match(/<(CC)?STMTRS>[\s\S]*?<\/(CC)?STMTRS>/gi) || [];
+    if (blocks.length === 0) throw new Error('No bank or credit card statements found in the OFX file');
+
+    return blocks.map(block => {
+        const accountId = ofxValue(block, 'ACCTID');
+        if (!accountId) throw new Error('OFX statement has no ACCTID');
+
+        const ledger = (block.match(/<LEDGERBAL>[\s\S]*?(<\/LEDGERBAL>|$)/i) || [''])[0];
+        const balanceText = ofxValue(ledger, 'BALAMT');
+
+        const transactions = (block.match(/<STMTTRN>[\s\S]*?<\/STMTTRN>/gi) || []).map(trn => {
+            const date = parseOfxDate(ofxValue(trn, 'DTPOSTED'));
+            const amountText = ofxValue(trn, 'TRNAMT');
+            const amount = Number(amountText);
+            const fitId = ofxValue(trn, 'FITID');
+            if (!date || amountText === '' || isNaN(amount) || !fitId) {
+                throw new Error(`Account ${accountId}: transaction "${ofxValue(trn, 'NAME')}" needs ` +
+                    'DTPOSTED, TRNAMT and FITID');
+            }
+            return {
+                importId: fitId,
+                date: date,
+                description: (ofxValue(trn, 'NAME') || ofxValue(trn, 'MEMO')).replace(/\s+/g, ' '),
+                amount: amount
+            };
+        });
+
+        return {
+            accountId: accountId,
+            ledgerBalance: balanceText === '' ? null : Number(balanceText),
+            ledgerDate: parseOfxDate(ofxValue(ledger, 'DTASOF')),
+            transactions: transactions
+        };
+    });
+}
+
+/**
+ * Returns the text of the first element with the given tag, without entities.
+ *
+ * @param {string} text - OFX fragment
+ * @param {string} tag - Element name, e.g. 'TRNAMT'
+ * @returns {string} - Trimmed value, or '' if absent
+ */
+function ofxValue(text, tag) {
+    const match = text.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+    if (!match) return '';
+    return match[1].trim()
+        .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * Reads the day of an OFX date-time such as 20251103120000.000[-5:EST].
+ *
+ * @param {string} value - OFX date text
+ * @returns {Date|null} - Local midnight of that day, or null if unreadable
+ */
+function parseOfxDate(value) {
+    const match = (value || '').match(/^(\d{4})(\d{2})(\d{2})/);
+    return match ? dayInMonth(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : null;
+}
+
+/**
+ * Scores how alike two transaction descriptions are, ignoring case, punctuation
+ * and digits (card numbers, store numbers, reference codes).
+ *
+ * @param {string} a - First description
+ * @param {string} b - Second description
+ * @returns {number} - 0 (nothing in common) to 1 (same words), Dice coefficient on letter pairs
+ */
+function descriptionSimilarity(a, b) {
+    const clean = text => (text || '').toString().toLowerCase().replace(/[^a-z]+/g, ' ').trim();
+    const x = clean(a);
+    const y = clean(b);
+    if (x === y) return 1;
+    if (!x || !y) return 0;
+    if (x.includes(y) || y.includes(x)) return 0.9;
+
+    const pairs = text => {
+        const list = [];
+        text.split(' ').forEach(word => {
+            for (let i = 0; i < word.length - 1; i++) list.push(word.slice(i, i + 2));
+        });
+        return list;
+    };
+    const pairsX = pairs(x);
+    const pairsY = pairs(y);
+    if (pairsX.length === 0 || pairsY.length === 0) return 0;
+
+    const remaining = pairsY.slice();
+    let shared = 0;
+    pairsX.forEach(pair => {
+        const index = remaining.indexOf(pair);
+        if (index !== -1) {
+            shared++;
+            remaining.splice(index, 1);
+        }
+    });
+    return (2 * shared) / (pairsX.length + pairsY.length);
+}
+
+/**
+ * Flags imported transactions that are already recorded. Each recorded
+ * transaction can absorb one imported row, so two genuine identical purchases
+ * on the same day are only skipped if both are already recorded.
+ *
+ * BANK IDS:
+ * When a candidate and a recorded transaction on the same account both carry the
+ * bank's transaction ID (importId, e.g. an OFX FITID), the IDs decide: equal IDs
+ * match, different IDs never do. Otherwise the match rules below apply.
+ *
+ * @param {Array<Object>} candidates - Imported transactions with account set
+ * @param {Array<Object>} existing - Schedule transactions (see buildTransactionSchedule)
+ * @param {Object} options - { dayTolerance, minSimilarity }
+ * @returns {Array<Object|null>} - For each candidate, the matching existing transaction or null
+ *
+ * MATCH RULES:
+ * - Same change to the candidate's account, to the cent (a transfer into the
+ *   account matches an imported deposit, see accountEffect)
+ * - Dates at most options.dayTolerance days apart (banks often post a day or two later)
+ * - descriptionSimilarity at least options.minSimilarity
+ */
+function findImportDuplicates(candidates, existing, options) {
+    const used = new Set();
+    const cents = amount => Math.round(amount * 100);
+
+    return candidates.map(candidate => {
+        let best = null;
+        let bestScore = 0;
+
+        existing.forEach((trans, index) => {
+            if (used.has(index)) return;
+            if (candidate.importId && trans.importId && trans.account === candidate.account) {
+                if (trans.importId === candidate.importId) {
+                    best = index;
+                    bestScore = Infinity;
+                }
+                return;
+            }
+            if ((trans.account !== candidate.account && trans.transferTo !== candidate.account) ||
+                cents(accountEffect(trans, candidate.account)) !== cents(candidate.amount) ||
+                Math.abs(daysBetween(trans.date, candidate.date)) > options.dayTolerance) {
+                return;
+            }
+            const score = descriptionSimilarity(trans.description, candidate.description);
+            if (score >= options.minSimilarity && score > bestScore) {
+                best = index;
+                bestScore = score;
+            }
+        });
+
+        if (best === null) return null;
+        used.add(best);
+        return existing[best];
+    });
+}
+
+// ===========================
+// CATEGORY RULES
+// ===========================
+
+/**
+ * Builds a categorization rule from the fields of a Rules sheet row.
+ *
+ * @param {Object} fields - { row, pattern, matchType, minAmount, maxAmount, account,
+ *   category, setAccount, setDescription }
+ * @returns {Object} - The fields plus `regex`, a case-insensitive RegExp
+ * @throws {Error} - If the match type is unknown, the pattern is not a valid
+ *   regular expression, or the amount range is reversed
+ *
+ * MATCH TYPES:
+ * - 'contains' (default): the description contains the pattern, ignoring case
+ * - 'regex': the pattern is a regular expression, ignoring case
+ */
+function compileRule(fields) {
+    const matchType = (fields.matchType || 'contains').toString().trim().toLowerCase();
+    const pattern = fields.pattern.toString().trim();
+    let regex;
+
+    if (matchType === 'contains') {
+        regex = new RegExp(pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    } else if (matchType === 'regex') {
+        try {
+            regex = new RegExp(pattern, 'i');
+        } catch (error) {
+            throw new Error(`"${pattern}" is not a valid regular expression`);
+        }
+    } else {
+        throw new Error(`Match must be Contains or Regex, not "${fields.matchType}"`);
+    }
+
+    if (fields.minAmount !== null && fields.maxAmount !== null && fields.minAmount > fields.maxAmount) {
+        throw new Error('Min Amount is greater than Max Amount');
+    }
+
+    return Object.assign({}, fields, { matchType: matchType, pattern: pattern, regex: regex });
+}
+
+/**
+ * Applies the first matching rule to a transaction.
+ *
+ * @param {Array<Object>} rules - Rules from compileRule, in sheet order
+ * @param {Object} trans - { description, account, amount (signed), transferTo }
+ * @returns {Object} - { matches, result, conflict }
+ *   matches: every rule that matches (more than one = worth a look)
+ *   result: { description, category, account } after the first rule, or null
+ *   conflict: message when the first rule's category would reverse the
+ *     transaction's direction (e.g. Income on a purchase); result is null then
+ *
+ * A rule matches when its pattern is found in the description, its Account (if
+ * any) equals the transaction's account, and the amount's size (ignoring sign)
+ * is within Min Amount..Max Amount (either may be blank).
+ */
+function categorizeTransaction(rules, trans) {
+    const size = Math.abs(trans.amount);
+    const matches = rules.filter(rule =>
+        rule.regex.test(trans.description || '') &&
+        (!rule.account || rule.account === trans.account) &&
+        (rule.minAmount === null || size >= rule.minAmount) &&
+        (rule.maxAmount === null || size <= rule.maxAmount));
+
+    if (matches.length === 0) return { matches: matches, result: null, conflict: null };
+
+    const rule = matches[0];
+    const category = rule.category;
+    const signed = normalizeAmount(enteredAmount(trans.amount, category, trans.transferTo), category, trans.transferTo);
+    if (trans.amount !== 0 && Math.sign(signed) !== Math.sign(trans.amount)) {
+        return {
+            matches: matches,
+            result: null,
+            conflict: `Rules row ${rule.row} (${category}) would turn money ` +
+                `${trans.amount < 0 ? 'out into money in' : 'in into money out'}`
+        };
+    }
+
+    return {
+        matches: matches,
+        result: {
+            description: rule.setDescription || trans.description,
+            category: category,
+            account: rule.setAccount || trans.account
+        },
+        conflict: null
+    };
+}
+
+// ===========================
+// INPUT VALIDATION
+// ===========================
+
+/**
+ * Checks every row the engine reads from the Recurring Transactions sheet.
+ *
+ * @param {Array<Array<*>>} rows - Sheet values from row 1, columns A-Q
+ * @param {Object} lists - { accounts: every Accounts sheet name, tracked: tracked
+ *   account names, categories: Categories sheet names (may be empty) }
+ * @returns {Array<Object>} - Issues: { row, column (1-based), severity, value, message }
+ *
+ * SEVERITY:
+ * - 'Error': the row would be misread (unknown account, bad amount, date or
+ *   frequency); updates refuse to run until it is fixed
+ * - 'Warning': the row is read, but probably not as intended (skipped row,
+ *   unknown category, inactive account)
+ *
+ * Only rows the engine processes are checked: section dividers, header rows
+ * and rows whose Active column (J) is not TRUE are ignored.
+ */
+function validateRecurringRows(rows, lists) {
+    const issues = [];
+
+    rows.forEach((row, i) => {
+        if (!row[0] || row[0].toString().includes('===') || row[0] === 'Description' || row[9] !== true) return;
+
+        const rowNumber = i + 1;
+        const add = (column, severity, message) => issues.push({
+            row: rowNumber, column: column, severity: severity, value: row[column - 1],
+            message: `"${row[0]}": ${message}`
+        });
+
+        // Dates (F, G)
+        if (row[5] === '' || row[5] === null) {
+            add(6, 'Warning', 'no Start Date, so the item is skipped');
+        } else if (!isValidDateValue(row[5])) {
+            add(6, 'Error', 'Start Date is not a date');
+        }
+        if (row[6] !== '' && row[6] !== null) {
+            if (!isValidDateValue(row[6])) {
+                add(7, 'Error', 'End Date is not a date');
+            } else if (isValidDateValue(row[5]) && new Date(row[6]) < new Date(row[5])) {
+                add(7, 'Error', 'End Date is before Start Date');
+            }
+        }
+
+        checkCategory(row[1], lists, (severity, message) => add(2, severity, message));
+        checkAmount(row[2], true, (severity, message) => add(3, severity, message));
+        checkAccount(row[3], lists, false, (severity, message) => add(4, severity, message));
+
+        // Frequency and its day columns (E, H, I)
+        const pattern = parseFrequency(row[4]);
+        if (!pattern) {
+            add(5, 'Error', `unrecognized frequency "${row[4]}"`);
+        } else if (pattern.type === 'nthWeekday' && !parseWeekdaySpec(row[8])) {
+            add(9, 'Error', `Day of Week "${row[8]}" must look like "2nd Tuesday" or "Last Friday"`);
+        } else if (pattern.type === 'months' && !pattern.useStartDay && row[7] !== '' && row[7] !== null) {
+            const day = Number(row[7]);
+            if (!Number.isInteger(day) || day < 1 || day > 31) add(8, 'Error', 'Day of Month must be 1-31');
+        } else if (pattern.type === 'semimonthly' && row[7] !== '' && row[7] !== null &&
+            row[7].toString().split(/[^0-9]+/).filter(part => part !== '' && part >= 1 && part <= 31).length !== 2) {
+            add(8, 'Warning', 'Day of Month should hold two days such as "1, 15"; the 1st and 15th are used');
+        }
+
+        if (row[14]) {
+            checkAccount(row[14], lists, true, (severity, message) => add(15, severity, message));
+            if (row[14] === row[3]) add(15, 'Error', 'Transfer To is the same as Account');
+        }
+        if (!parseRollRule(row[15])) {
+            add(16, 'Error', `unrecognized Roll Rule "${row[15]}" ` +
+                '(use None, Previous Business Day or Next Business Day)');
+        }
+        if (row[16] !== '' && row[16] !== null && !parseMonthEndPolicy(row[16])) {
+            add(17, 'Error', `unrecognized Month-End Policy "${row[16]}" (use Clamp, Roll or Skip)`);
+        }
+    });
+
+    return issues;
+}
+
+/**
+ * Checks every row of the Single Transactions sheet, including split groups
+ * (see combineSplitTransactions).
+ *
+ * @param {Array<Array<*>>} rows - Sheet values from row 2, columns A-J
+ * @param {Object} lists - See validateRecurringRows
+ * @returns {Array<Object>} - Issues, as for validateRecurringRows
+ */
+function validateSingleRows(rows, lists) {
+    const issues = [];
+    const splits = {};
+
+    rows.forEach((row, i) => {
+        const rowNumber = i + 2;
+        const label = row[1] ? `"${row[1]}": ` : '';
+        const add = (column, severity, message) => issues.push({
+            row: rowNumber, column: column, severity: severity, value: row[column - 1], message: label + message
+        });
+        const splitId = (row[9] || '').toString().trim();
+
+        if (splitId) {
+            const group = splits[splitId] = splits[splitId] || { parents: [], parts: [] };
+            if (row[2] === 'Split') {
+                group.parents.push({ row: rowNumber, amount: Number(row[4]) || 0, add: add });
+            } else {
+                group.parts.push({ row: rowNumber, amount: normalizeAmount(Number(row[4]) || 0, row[2], row[5]) });
+                checkCategory(row[2], lists, (severity, message) => add(3, severity, message));
+                if (row[3]) checkAccount(row[3], lists, false, (severity, message) => add(4, severity, message));
+                checkAmount(row[4], true, (severity, message) => add(5, severity, message));
+                if (row[5]) checkAccount(row[5], lists, true, (severity, message) => add(6, severity, message));
+                return;
+            }
+        } else if (row[2] === 'Split') {
+            add(10, 'Error', 'Category "Split" needs a Split ID shared with its part rows');
+        }
+
+        if (!row[0]) {
+            if (splitId) {
+                add(1, 'Error', 'a Split row needs a Date');
+            } else if (row.slice(1, 5).some(value => value !== '' && value !== null)) {
+                add(1, 'Warning', 'no Date, so the row is skipped');
+            }
+            return;
+        }
+        if (!isValidDateValue(row[0])) add(1, 'Error', 'Date is not a date');
+
+        checkCategory(row[2], lists, (severity, message) => add(3, severity, message));
+        checkAccount(row[3], lists, false, (severity, message) => add(4, severity, message));
+        checkAmount(row[4], false, (severity, message) => add(5, severity, message));
+
+        if (row[5]) {
+            checkAccount(row[5], lists, true, (severity, message) => add(6, severity, message));
+            if (row[5] === row[3]) add(6, 'Error', 'Transfer To is the same as Account');
+        }
+        try {
+            parseClearedStatus(row[7], 'Status');
+        } catch (error) {
+            add(8, 'Error', error.message);
+        }
+    });
+
+    // Split groups: one parent, at least one part, and parts that add up
+    Object.keys(splits).forEach(id => {
+        const group = splits[id];
+        if (group.parents.length === 0) {
+            group.parts.forEach(part => issues.push({
+                row: part.row, column: 10, severity: 'Error', value: id,
+                message: `Split ID "${id}" has no row with Category "Split"`
+            }));
+            return;
+        }
+
+        const parent = group.parents[0];
+        group.parents.slice(1).forEach(extra => extra.add(10, 'Error', `Split ID "${id}" is used by two Split rows`));
+        const total = group.parts.reduce((sum, part) => sum + part.amount, 0);
+        if (group.parts.length === 0) {
+            parent.add(10, 'Error', `Split ID "${id}" has no part rows`);
+        } else if (Math.round(Math.abs(total) * 100) !== Math.round(Math.abs(parent.amount) * 100)) {
+            parent.add(5, 'Error',
+                `parts add up to ${Math.abs(total).toFixed(2)}, not ${Math.abs(parent.amount).toFixed(2)}`);
+        }
+    });
+
+    return issues;
+}
+
+/**
+ * Reports a category that is blank, unknown, or a misspelling of one of the
+ * categories the engine treats specially (Income and Transfer for the sign
+ * rules, Split for split transactions).
+ *
+ * @param {*} value - Category cell
+ * @param {Object} lists - See validateRecurringRows
+ * @param {Function} report - Called with (severity, message) for each problem
+ */
+function checkCategory(value, lists, report) {
+    const category = (value || '').toString();
+    if (category.trim() === '') {
+        report('Warning', 'Category is blank');
+        return;
+    }
+
+    const signCategory = ['Income', 'Transfer', 'Split']
+        .find(name => name.toLowerCase() === category.trim().toLowerCase());
+    if (signCategory && category !== signCategory) {
+        report('Error', `Category "${category}" must be spelled exactly "${signCategory}" ` +
+            (signCategory === 'Split' ? 'to group its parts' : 'for its sign rule'));
+    } else if (!signCategory && lists.categories.length > 0 && !lists.categories.includes(category)) {
+        report('Warning', `Category "${category}" is not on the Categories sheet`);
+    }
+}
+
+/**
+ * Reports an account name that is blank, unknown or not tracked.
+ *
+ * @param {*} value - Account cell
+ * @param {Object} lists - See validateRecurringRows
+ * @param {boolean} isTransferTo - True for a Transfer To cell (must be tracked)
+ * @param {Function} report - Called with (severity, message) for each problem
+ */
+function checkAccount(value, lists, isTransferTo, report) {
+    const name = (value || '').toString();
+    const column = isTransferTo ? 'Transfer To' : 'Account';
+    if (name === '') {
+        report('Error', `${column} is blank`);
+        return;
+    }
+    if (lists.tracked.includes(name)) return;
+
+    if (lists.accounts.includes(name)) {
+        report(isTransferTo ? 'Error' : 'Warning', `${column} "${name}" is inactive, so ` +
+            (isTransferTo ? 'the transfer cannot be recorded' : 'this row changes no balance'));
+        return;
+    }
+    const similar = lists.accounts.find(account => account.trim().toLowerCase() === name.trim().toLowerCase());
+    report('Error', `${column} "${name}" is not on the Accounts sheet` +
+        (similar ? ` (did you mean "${similar}"?)` : ''));
+}
+
+/**
+ * Reports an amount cell that is not a number.
+ *
+ * @param {*} value - Amount cell
+ * @param {boolean} required - True if a blank amount is an error
+ * @param {Function} report - Called with (severity, message) for each problem
+ */
+function checkAmount(value, required, report) {
+    if (value === '' || value === null) {
+        report(required ? 'Error' : 'Warning', required ? 'Amount is blank' : 'Amount is blank and counts as 0');
+    } else if (typeof value !== 'number' && (value.toString().trim() === '' || isNaN(Number(value)))) {
+        report('Error', `Amount "${value}" is not a number`);
+    }
+}
+
+/**
+ * Checks that a cell holds a usable date (a Date, or text new Date() understands).
+ *
+ * @param {*} value - Cell value
+ * @returns {boolean} - True if the value converts to a valid date
+ */
+function isValidDateValue(value) {
+    if (value === '' || value === null || value === true || value === false) return false;
+    return !isNaN(new Date(value).getTime());
+}
+
+// ===========================
+// UTILITY FUNCTIONS
+// ===========================
+
+/**
+ * Applies the sign convention shared by recurring and single transactions.
+ *
+ * @param {number} amount - Amount as entered on the input sheet
+ * @param {string} category - Transaction category
+ * @param {string} transferTo - Transfer destination account (optional)
+ * @returns {number} - Signed amount for the transaction's own account
+ *
+ * SIGN RULES:
+ * - Transfers with a destination: Always negative (money leaves the source account)
+ * - Income: Always positive
+ * - Transfer without a destination: Keep original sign
+ * - Everything else: Always negative (expenses)
+ */
+function normalizeAmount(amount, category, transferTo) {
+    if (transferTo) return -Math.abs(amount);
+    if (category === 'Income') return Math.abs(amount);
+    if (category === 'Transfer') return amount;
+    return -Math.abs(amount);
+}
+
+/**
+ * The reverse of normalizeAmount: the Amount to type on an input sheet so a
+ * signed change comes out right. Transfer keeps its sign; everything else is
+ * entered as a positive number and signed by its category.
+ *
+ * @param {number} amount - Signed change (+ money in, - money out)
+ * @param {string} category - Category the row will have
+ * @param {string|null} transferTo - Transfer destination, if any
+ * @returns {number} - Amount for the sheet
+ */
+function enteredAmount(amount, category, transferTo) {
+    return category === 'Transfer' && !transferTo ? amount : Math.abs(amount);
+}
+
+/**
+ * Builds a timezone-independent yyyy-mm-dd key for matching dates across sheets.
+ *
+ * @param {Date} date - Date to convert
+ * @returns {string} - Key such as '2025-09-15'
+ */
+function formatDateKey(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Formats a date as MM/dd/yyyy for messages, from its local date components.
+ *
+ * @param {Date} date - Date to format
+ * @returns {string} - Text such as '09/15/2025'
+ */
+function formatShortDate(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${month}/${day}/${date.getFullYear()}`;
+}
+
+/**
+ * Builds the lookup key for a recurring override.
+ *
+ * @param {string} description - Recurring item description
+ * @param {Date} date - Scheduled occurrence date
+ * @returns {string} - Key combining description and date
+ */
+function overrideKey(description, date) {
+    return `${description}|${formatDateKey(date)}`;
+}
+
+/**
+ * Resolves the balance column of a transfer's destination account.
+ * Rejects transfers that would silently leave money in limbo.
+ *
+ * @param {Object} trans - Transaction object with a transferTo account
+ * @param {Array<string>} accountNames - Tracked account names in column order
+ * @returns {number} - Index of the destination in accountNames
+ * @throws {Error} - If the destination is the source account or is not tracked
+ */
+function getTransferIndex(trans, accountNames) {
+    const label = `${trans.source} transfer "${trans.description}" on ${formatShortDate(trans.date)}`;
+
+    if (trans.transferTo === trans.account) {
+        throw new Error(`${label}: source and destination are both "${trans.account}"`);
+    }
+
+    const transferIndex = accountNames.indexOf(trans.transferTo);
+    if (transferIndex === -1) {
+        throw new Error(`${label}: destination "${trans.transferTo}" is not a tracked account`);
+    }
+
+    return transferIndex;
+}
+
+// ===========================
+// NODE EXPORTS
+// ===========================
+
+// Apps Script has no `module`; under Node the core is loaded with require()
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        buildTransactionSchedule,
+        groupTransactionsByMonth,
+        combineSplitTransactions,
+        buildRecurringTransactions,
+        allocateIncome,
+        applyRecurringOverrides,
+        isRecurringOccurrence,
+        buildGeneratedTransactions,
+        statementDates,
+        statementPayment,
+        sortTransactions,
+        buildMonthLedger,
+        buildYearLedger,
+        projectYear,
+        buildDailyProjection,
+        projectedBalancesOn,
+        minProjectedBalance,
+        findBalanceAlerts,
+        isClearedStatus,
+        parseClearedStatus,
+        accountEffect,
+        clearedBalanceOn,
+        reconcileStatement,
+        buildBudgetReport,
+        buildAnnualSummary,
+        evaluateGoals,
+        orderDebts,
+        simulateDebtPayoff,
+        payoffPaymentRuns,
+        parseCsv,
+        parseImportDate,
+        parseImportAmount,
+        mapImportRows,
+        descriptionSimilarity,
+        findImportDuplicates,
+        parseOfx,
+        parseOfxDate,
+        compileRule,
+        categorizeTransaction,
+        validateRecurringRows,
+        validateSingleRows,
+        isValidDateValue,
+        calculateRecurringDates,
+        parseFrequency,
+        parseSemiMonthlyDays,
+        parseWeekdaySpec,
+        nthWeekdayOfMonth,
+        resolveMonthDay,
+        parseMonthEndPolicy,
+        dayInMonth,
+        daysBetween,
+        getScheduledDates,
+        parseRollRule,
+        adjustForBusinessDay,
+        getFederalReserveHolidays,
+        normalizeAmount,
+        enteredAmount,
+        formatDateKey,
+        formatShortDate,
+        overrideKey,
+        getTransferIndex
+    };
+}
@@ -12,15 +12,28 @@
  * SYSTEM ARCHITECTURE:
  * - Processes recurring transactions (bi-weekly, monthly, etc.) from a configuration sheet
  * - Handles single transaction inputs from a dedicated input sheet
- * - Maintains daily running balances across 12 different accounts
+ * - Maintains daily running balances across every account on the Accounts sheet
  * - Automatically populates monthly sheets (Jan-Dec) with chronologically sorted transactions
  * - Provides starting balances from account registry and carries forward month-to-month
  *
+ * FILES:
+ * - FnanceTrackerEngine.js (this file): Apps Script adapter - sheet I/O, menus, triggers
+ * - FinanceTrackerCore.js: Platform-independent schedule and ledger logic
+ *   (recurrence expansion, sign rules, sorting, running balances, carry-forward)
+ * Both files belong in the same Apps Script project.
+ *
  * SHEET DEPENDENCIES:
  * - Accounts: Master account registry with current balances
- * - Categories: Transaction category definitions
+ * - Categories: Transaction category definitions and monthly budgets (optional)
  * - Recurring Transactions: Automated recurring transaction setup
+ * - Recurring Overrides: Per-occurrence skips, amount changes and moved dates (optional)
+ * - Allocation Rules: Percent and fixed shares of recurring income per account (optional)
+ * - Holidays: Bank holidays used by business-day roll rules (optional)
  * - Single Transactions: Manual transaction input hub
+ * - CSV Import / Import Profiles: Pasted bank exports and custom column mappings (optional)
+ *   (OFX/QFX downloads are read straight from Google Drive)
+ * - Rules: Description patterns that categorize imported and uncategorized rows (optional)
+ * - Goals: Savings targets; progress columns are filled in by every update (optional)
  * - Monthly Sheets (Jan-Dec): Generated transaction logs with running balances
  *
  * AUTHOR: Personal Finance Tracker System
@@ -34,13 +47,11 @@
 
 /**
  * Central configuration object containing all system settings and mappings.
- * This is the single source of truth for sheet names, account structures, and operational parameters.
+ * This is the single source of truth for sheet names, ledger layout, and operational parameters.
  *
- * IMPORTANT: Account names must match EXACTLY across all sheets for proper functionality.
- * Any changes to account names must be updated in all three locations:
- * 1. Accounts sheet
- * 2. Monthly sheet column headers
- * 3. This accountColumns array
+ * IMPORTANT: Tracked accounts are read from the Accounts sheet (see getAccountBalances).
+ * Account names used on the input sheets must match the Accounts sheet EXACTLY.
+ * Monthly sheet headers are regenerated from the Accounts sheet on every update.
  */
 const CONFIG = {
     // Sheet name mappings - must match exact sheet tab names in workbook
@@ -48,47 +59,105 @@ const CONFIG = {
         accounts: 'Accounts',                    // Master account registry
         recurring: 'Recurring Transactions',    // Recurring transaction definitions
         single: 'Single Transactions',          // Manual transaction input
-        categories: 'Categories'                 // Transaction category definitions
+        categories: 'Categories',                // Transaction categories and monthly budgets
+        overrides: 'Recurring Overrides',        // Per-occurrence recurring adjustments
+        settings: 'Settings',                    // Operating year and start month
+        holidays: 'Holidays',                    // Bank holidays for business-day rolls
+        state: 'Engine State',                   // Hidden: month fingerprints and end balances
+        alerts: 'Alerts',                        // Projected low-balance alerts (script output)
+        reconciliation: 'Reconciliation',        // Last Reconcile Account report (script output)
+        csvImport: 'CSV Import',                 // Pasted bank export waiting to be imported
+        importProfiles: 'Import Profiles',       // Column mappings added by the user (optional)
+        importPreview: 'Import Preview',         // Last Import CSV preview (script output)
+        rules: 'Rules',                          // Description patterns for auto-categorization
+        budget: 'Budget',                        // Budget vs. actual report (script output)
+        validation: 'Validation',                // Last Validate Inputs report (script output)
+        allocations: 'Allocation Rules',         // How recurring income is split across accounts
+        payoff: 'Payoff Plan',                   // Last Plan Debt Payoff report (script output)
+        goals: 'Goals',                          // Savings goals; progress columns written by the script
+        annualSummary: 'Annual Summary'          // Year roll-up and charts (script output)
     },
 
     /**
-     * Account column mapping array - CRITICAL CONFIGURATION
-     * This array defines:
-     * 1. The order of account balance columns in monthly sheets (G through R)
-     * 2. The exact account names that must match the Accounts sheet
-     * 3. The accounts tracked in running balance calculations
-     *
-     * Column mapping:
-     * G: Capital One Checking    H: Acorns Checking       I: Chase Checking
-     * J: Savings Account         K: IRA                   L: Investment Account
-     * M: CASH                    N: Destiny Card          O: Aspire Card
-     * P: Indigo Card             Q: Capital One Quicksilver  R: Milestone Card
+     * Fixed leading columns of every monthly sheet (A through F).
+     * One balance column per tracked account follows, then Net Worth.
      */
-    accountColumns: [
-        'Capital One Checking',      // Primary checking - 70% paycheck
-        'Acorns Checking',          // Secondary checking - 20% paycheck
-        'Chase Checking',           // Tertiary checking - 10% paycheck
-        'Savings Account',          // Emergency fund savings
-        'IRA',                      // Retirement account (cash tracking only)
-        'Investment Account',       // Investment account (cash tracking only)
-        'CASH',                     // Physical cash tracking
-        'Destiny Card',            // Credit card (negative balance)
-        'Aspire Card',             // Credit card (negative balance)
-        'Indigo Card',             // Credit card (negative balance)
-        'Capital One Quicksilver', // Credit card (negative balance)
-        'Milestone Card'           // Credit card (negative balance)
-    ],
+    ledgerColumns: ['Date', 'Description', 'Category', 'Account', 'Amount', 'Source'],
 
     // Monthly sheet names array - must match exact sheet tab names
     monthSheets: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun',
         'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'],
 
-    // Current operating year
-    year: 2025,
+    /**
+     * Setting names on the Settings sheet (Column A = setting, Column B = value).
+     * The operating year and first month with transaction data live there so a
+     * workbook can be reused year after year without editing the script.
+     */
+    settingKeys: {
+        year: 'Year',                  // Operating year, e.g. 2025
+        startMonth: 'Start Month',     // First month with data: 1-12 or a name like 'Sep'
+        monthEndPolicy: 'Month-End Policy',  // Clamp, Roll or Skip (see resolveMonthDay)
+        lastUpdated: 'Last Updated',   // Written by the script after every update
+        alertEmail: 'Alert Email'      // Digest recipient (blank = the script's user)
+    },
+
+    // Document cache holding the daily projection behind BALANCE_ON and friends
+    projectionCache: {
+        key: 'dailyProjection',
+        seconds: 21600,                // CacheService maximum (6 hours)
+        chunkSize: 25000               // Characters per entry; entries are limited to 100KB
+    },
+
+    /**
+     * Column mappings for common bank exports (see mapImportRows). Columns are
+     * header names, or 1-based column numbers for files without a header row.
+     * Rows on the Import Profiles sheet add to these or replace one by name.
+     */
+    importProfiles: [
+        { name: 'Chase Checking', date: 'Posting Date', description: 'Description', amount: 'Amount', sign: 'bank' },
+        { name: 'Chase Credit Card', date: 'Transaction Date', description: 'Description', amount: 'Amount', sign: 'bank' },
+        { name: 'Capital One', date: 'Transaction Date', description: 'Description', debit: 'Debit', credit: 'Credit' },
+        { name: 'Citi', date: 'Date', description: 'Description', debit: 'Debit', credit: 'Credit' },
+        { name: 'American Express', date: 'Date', description: 'Description', amount: 'Amount', sign: 'card' },
+        { name: 'Discover', date: 'Trans. Date', description: 'Description', amount: 'Amount', sign: 'card' },
+        { name: 'Bank of America', date: 'Date', description: 'Description', amount: 'Amount', sign: 'bank' },
+        { name: 'Wells Fargo', date: 1, description: 5, amount: 2, sign: 'bank', header: false },
+        { name: 'Generic', date: 'Date', description: 'Description', amount: 'Amount', sign: 'bank' }
+    ],
+
+    // How close an imported row must be to a recorded one to count as a duplicate
+    importMatch: {
+        dayTolerance: 2,               // Banks often post a day or two after the purchase
+        minSimilarity: 0.6             // descriptionSimilarity score, 0-1
+    },
+
+    // Description prefix of the recurring transfers added by Plan Debt Payoff
+    payoffPrefix: 'Debt Payoff: ',
+
+    // Card payment for Payment = Minimum (see statementPayment): the greater of
+    // `percent` of the statement balance and the floor (Payment Amount, or `floor`)
+    minimumPayment: {
+        percent: 2,
+        floor: 25
+    },
+
+    // Dropdown choices installed by Validate Inputs (free text is still accepted)
+    dropdowns: {
+        frequencies: ['Weekly', 'Bi-weekly', 'Monthly', 'Semi-monthly', 'Quarterly', 'Semi-annual', 'Yearly',
+            'Last Day of Month', 'Nth Weekday'],
+        rollRules: ['None', 'Previous Business Day', 'Next Business Day'],
+        monthEndPolicies: ['Clamp', 'Roll', 'Skip'],
+        statuses: ['Cleared', 'Reconciled'],
+        paymentStrategies: ['Statement Balance', 'Minimum', 'Fixed', 'None']
+    },
 
-    // First month with transaction data (September = 9)
-    // This determines where balance calculations begin
-    startMonth: 9
+    // Values used when an optional setting is missing from the Settings sheet
+    defaults: {
+        monthEndPolicy: 'clamp',
+        // Period the tracker used before the Settings sheet existed
+        year: 2025,
+        startMonth: 9
+    }
 };
 
 // ===========================
@@ -100,11 +169,17 @@ const CONFIG = {
  * This is the main entry point called from the menu system.
  *
  * PROCESS FLOW:
- * 1. Clear all existing monthly sheet data
- * 2. Retrieve initial account balances from Accounts sheet
+ * 1. Validate the input sheets (see validateAllInputs), then retrieve tracked
+ *    accounts and initial balances from Accounts sheet
+ * 2. Clear all existing monthly sheet data and regenerate header rows
  * 3. Process each month sequentially from startMonth through December
  * 4. Carry forward ending balances to subsequent months
- * 5. Provide user feedback on completion or errors
+ * 5. Write projected low-balance alerts (emailed when they change), today's
+ *    projected and cleared balances on the Accounts sheet, the Budget report,
+ *    savings goal progress and the Annual Summary
+ * 6. Mark orphaned recurring overrides
+ * 7. Refresh the cached projection used by the custom functions
+ * 8. Provide user feedback on completion or errors
  *
  * ERROR HANDLING:
  * - Comprehensive try-catch with user-friendly error messages
@@ -116,59 +191,201 @@ function updateAllMonthlySheets() {
 
     try {
         const ss = SpreadsheetApp.getActiveSpreadsheet();
+        const result = rebuildMonthlySheets(ss, getSettings(ss));
 
-        // Step 1: Clear all existing monthly data to ensure clean state
-        clearAllMonthlySheets(ss);
-
-        // Step 2: Get starting account balances from Accounts sheet
-        const initialBalances = getAccountBalances(ss);
-
-        // Step 3: Process each month sequentially
-        // This ensures proper balance carry-forward between months
-        let previousEndBalances = null;
+        // Success notification to user
+        SpreadsheetApp.getUi().alert(buildUpdateMessage('✅ All monthly sheets updated successfully!', result));
 
-        for (let monthIndex = CONFIG.startMonth - 1; monthIndex < 12; monthIndex++) {
-            const monthName = CONFIG.monthSheets[monthIndex];
-            const monthNumber = monthIndex + 1;
+    } catch (error) {
+        // Error handling with detailed logging and user notification
+        console.error('Error in updateAllMonthlySheets:', error);
+        SpreadsheetApp.getUi().alert('❌ Error: ' + error.toString());
+    }
+}
 
-            console.log(`Processing ${monthName} ${CONFIG.year}...`);
+/**
+ * Rebuilds the monthly sheets of a workbook for its operating period.
+ * Shared by the menu updates and the year-end rollover; throws on failure.
+ *
+ * @param {Spreadsheet} ss - Spreadsheet to rebuild (not necessarily the active one)
+ * @param {Object} settings - Operating period from getSettings
+ * @param {number} [refreshFromMonth] - Months from this one (1-12, 13 = none) are always
+ *   rewritten; earlier months only when their inputs changed. Omit for a full rebuild.
+ * @returns {Object} - { accounts, endBalances, orphans, alerts, writtenMonths } after the last month
+ *
+ * SINGLE PASS:
+ * Input sheets are read once per run and the whole year's transactions are
+ * generated in one pass (see buildTransactionSchedule), then split into months
+ * in memory. Each month is written with a single setValues call.
+ *
+ * CORE:
+ * Schedule generation, running balances and the month-to-month carry-forward
+ * live in FinanceTrackerCore.js (buildYearLedger); this function only reads
+ * and writes sheets.
+ *
+ * INCREMENTAL UPDATES:
+ * Each month's input fingerprint and ending balances are kept on the hidden
+ * Engine State sheet. A month whose fingerprint (accounts, starting balances and
+ * transactions) matches the stored one is not rewritten, notes and all. When
+ * every month before refreshFromMonth still matches, the projection from
+ * refreshFromMonth on starts from the stored balances (see projectFromStoredBalances).
+ */
+function rebuildMonthlySheets(ss, settings, refreshFromMonth) {
+    const fullRebuild = refreshFromMonth === undefined;
+
+    // Step 1: Refuse to publish balances from inputs with errors, then read every
+    // input sheet once and build the full-year schedule
+    assertValidInputs(ss, settings);
+    const inputs = loadEngineInputs(ss, settings);
+    const initialBalances = inputs.accounts;
+    const accountNames = initialBalances.map(acc => acc.name);
+    const state = readEngineState(ss);
+    const transactionsByMonth = groupTransactionsByMonth(buildTransactionSchedule(inputs));
+    const ledgers = (!fullRebuild && projectFromStoredBalances(inputs, transactionsByMonth, state, refreshFromMonth)) ||
+        buildYearLedger(transactionsByMonth, initialBalances.map(acc => acc.balance), accountNames,
+            settings.year, settings.startMonth);
+
+    // Step 2: Clear existing monthly data (full rebuild only) and regenerate headers
+    if (fullRebuild) clearAllMonthlySheets(ss);
+    updateMonthSheetHeaders(ss, initialBalances);
+
+    // Step 3: Write each month's ledger (balances already carried forward by the core)
+    const writtenMonths = [];
+
+    ledgers.forEach(ledger => {
+        const monthName = CONFIG.monthSheets[ledger.monthIndex];
+        console.log(`Processing ${monthName} ${settings.year}...`);
+
+        // Months before refreshFromMonth may be kept if their inputs are unchanged
+        const stateKey = monthStateKey(settings.year, ledger.monthIndex);
+        const keepFingerprint = (!fullRebuild && ledger.monthIndex + 1 < refreshFromMonth && state[stateKey])
+            ? state[stateKey].fingerprint
+            : null;
+
+        const result = processMonth(ss, monthName, ledger, accountNames, keepFingerprint);
+
+        state[stateKey] = { fingerprint: result.fingerprint, endBalances: ledger.endBalances };
+        if (result.written) writtenMonths.push(monthName);
+    });
 
-            // Determine starting balances for this month:
-            // - September (startMonth): Use initial balances from Accounts sheet
-            // - Other months: Use ending balances from previous month
-            const startingBalances = (monthNumber === CONFIG.startMonth)
-                ? initialBalances.map(acc => acc.balance)
-                : previousEndBalances;
+    // Step 4: Forecast threshold crossings, then persist fingerprints and flag
+    // overrides that no longer match an occurrence
+    const today = new Date();
+    const projection = buildDailyProjection(ledgers, accountNames);
+    const alerts = updateBalanceAlerts(ss, settings, inputs.accounts, ledgers, state, today);
+    writeAccountsToday(ss, inputs.accounts, ledgers, projection, today);
+    updateBudgetReport(ss, settings, ledgers, today);
+    const goalsBehind = updateGoals(ss, accountNames, projection, today);
+    updateAnnualSummary(ss, ledgers, accountNames);
+    writeEngineState(ss, state);
+    const orphans = reportOrphanOverrides(ss, inputs);
+
+    // Step 5: Refresh the projection behind the custom functions. The cache belongs
+    // to the active workbook, so a rollover copy is left to build its own.
+    writeSetting(ss, CONFIG.settingKeys.lastUpdated, new Date());
+    if (ss.getId() === SpreadsheetApp.getActiveSpreadsheet().getId()) {
+        cacheDailyProjection(projection);
+    }
 
-            // Skip months without data (before startMonth or missing previous balances)
-            if (!startingBalances && monthNumber > CONFIG.startMonth) {
-                console.log(`Skipping ${monthName} - no previous balance data`);
-                continue;
-            }
+    return {
+        accounts: initialBalances,
+        endBalances: ledgers[ledgers.length - 1].endBalances,
+        orphans: orphans,
+        alerts: alerts,
+        goalsBehind: goalsBehind,
+        writtenMonths: writtenMonths
+    };
+}
 
-            // Process the month and capture ending balances for next month
-            const endBalances = processMonth(
-                ss,
-                monthName,
-                monthNumber,
-                CONFIG.year,
-                startingBalances
-            );
-
-            // Store ending balances for next month's starting balances
-            if (endBalances) {
-                previousEndBalances = endBalances;
-            }
+/**
+ * Builds the ledgers for a targeted update, carrying the month-end balances
+ * stored on the Engine State sheet into refreshFromMonth instead of chaining
+ * them from the start month.
+ *
+ * @param {Object} inputs - Result of loadEngineInputs
+ * @param {Array<Array<Object>>} transactionsByMonth - 12 arrays from groupTransactionsByMonth
+ * @param {Object<string, *>} state - Engine state from readEngineState
+ * @param {number} refreshFromMonth - First month to recompute (1-12, 13 = none)
+ * @returns {Array<Object>|null} - Ledgers in month order, or null when an earlier
+ *   month has no stored balances or its inputs changed (a full projection is needed)
+ *
+ * Earlier months are checked against their stored fingerprints, each from its own
+ * stored starting balances. Their ledgers are still built for the reports that
+ * cover the whole year (budget, goals, annual summary, custom functions).
+ */
+function projectFromStoredBalances(inputs, transactionsByMonth, state, refreshFromMonth) {
+    const year = inputs.settings.year;
+    const firstMonth = Math.max(refreshFromMonth, inputs.settings.startMonth);
+    const accountNames = inputs.accounts.map(acc => acc.name);
+    const ledgers = [];
+    let balances = inputs.accounts.map(acc => acc.balance);
+
+    for (let monthIndex = inputs.settings.startMonth - 1; monthIndex < firstMonth - 1; monthIndex++) {
+        const stored = state[monthStateKey(year, monthIndex)];
+        const transactions = sortTransactions(transactionsByMonth[monthIndex]);
+        if (!stored || !Array.isArray(stored.endBalances) ||
+            stored.endBalances.length !== accountNames.length ||
+            stored.fingerprint !== computeMonthFingerprint(accountNames, balances, transactions)) {
+            return null;
         }
 
-        // Success notification to user
-        SpreadsheetApp.getUi().alert('✅ All monthly sheets updated successfully!');
+        ledgers.push(buildMonthLedger(year, monthIndex, balances, accountNames, transactions));
+        balances = stored.endBalances;
+    }
 
-    } catch (error) {
-        // Error handling with detailed logging and user notification
-        console.error('Error in updateAllMonthlySheets:', error);
-        SpreadsheetApp.getUi().alert('❌ Error: ' + error.toString());
+    return ledgers.concat(buildYearLedger(transactionsByMonth, balances, accountNames, year, firstMonth));
+}
+
+/**
+ * Builds the completion message shown after an update.
+ *
+ * @param {string} headline - First line of the message
+ * @param {Object} result - Result of rebuildMonthlySheets
+ * @returns {string} - Message including any alert, goal and orphaned-override warnings
+ */
+function buildUpdateMessage(headline, result) {
+    let message = headline;
+    if (result.alerts.length > 0) {
+        message += `\n\n⚠️ ${result.alerts.length} account threshold(s) projected to be crossed. ` +
+            'See the Alerts sheet.';
+    }
+    if (result.goalsBehind > 0) {
+        message += `\n\n⚠️ ${result.goalsBehind} savings goal(s) will not be reached by their target date. ` +
+            'See the Goals sheet.';
     }
+    if (result.orphans.length > 0) {
+        message += `\n\n⚠️ ${result.orphans.length} recurring override(s) no longer match an ` +
+            'occurrence. See the Status column on the Recurring Overrides sheet.';
+    }
+    return message;
+}
+
+// ===========================
+// ENGINE INPUTS
+// ===========================
+
+/**
+ * Reads every input sheet the engine needs, exactly once per run.
+ *
+ * @param {Spreadsheet} ss - The active spreadsheet object
+ * @param {Object} settings - Operating period from getSettings
+ * @returns {Object} - { settings, accounts, recurringItems, singleTransactions,
+ *   overrides, holidays, allocations }
+ */
+function loadEngineInputs(ss, settings) {
+    const accounts = getAccountBalances(ss, settings);
+    const recurringItems = getRecurringItems(ss, settings);
+    attachPayoffPlans(accounts, recurringItems);
+
+    return {
+        settings: settings,
+        accounts: accounts,
+        recurringItems: recurringItems,
+        singleTransactions: getSingleTransactions(ss),
+        overrides: getRecurringOverrides(ss),
+        holidays: getHolidays(ss),
+        allocations: getAllocationRules(ss, accounts, recurringItems)
+    };
 }
 
 // ===========================
@@ -176,113 +393,44 @@ function updateAllMonthlySheets() {
 // ===========================
 
 /**
- * Processes a single month's transactions and balance calculations.
- * This is the core engine that handles transaction processing for one month.
+ * Writes a single month's ledger to its monthly sheet.
+ * The rows themselves come from buildMonthLedger in the engine core.
  *
  * @param {Spreadsheet} ss - The active spreadsheet object
  * @param {string} monthName - Name of the month sheet (e.g., 'Sep')
- * @param {number} monthNumber - Numeric month (1-12)
- * @param {number} year - Year being processed
- * @param {Array<number>} startingBalances - Array of starting account balances
- * @returns {Array<number>|null} - Ending account balances or null if no data
+ * @param {Object} ledger - The month's result from buildYearLedger
+ * @param {Array<string>} accountNames - Tracked account names in column order
+ * @param {string} [keepFingerprint] - Leave the sheet untouched if the month's inputs
+ *   still produce this fingerprint
+ * @returns {Object} - { fingerprint, written }
  *
  * PROCESS FLOW:
- * 1. Retrieve all recurring transactions for this month
- * 2. Retrieve all single transactions for this month
- * 3. Combine and sort transactions chronologically
- * 4. Build data array with starting balance and all transactions
- * 5. Calculate running balances after each transaction
- * 6. Write data to monthly sheet with proper formatting
- * 7. Return ending balances for next month
- */
-function processMonth(ss, monthName, monthNumber, year, startingBalances) {
+ * 1. Fingerprint the month's accounts, starting balances and sorted transactions
+ * 2. Stop if the fingerprint matches keepFingerprint (sheet is already current)
+ * 3. Clear the data rows and write the ledger with a single setValues call
+ * 4. Apply currency, date and banding formatting
+ */
+function processMonth(ss, monthName, ledger, accountNames, keepFingerprint) {
     const monthSheet = ss.getSheetByName(monthName);
     if (!monthSheet) {
         throw new Error(`Sheet ${monthName} not found`);
     }
 
-    // Step 1: Get all transactions for this month
-    const recurringTrans = getRecurringTransactionsForMonth(ss, monthNumber, year);
-    const singleTrans = getSingleTransactionsForMonth(ss, monthNumber, year);
-
-    // Step 2: Skip processing if no data available
-    if (!startingBalances && recurringTrans.length === 0 && singleTrans.length === 0) {
-        console.log(`Skipping ${monthName} - no data`);
-        return null;
-    }
-
-    // Step 3: Combine and sort all transactions
-    const allTransactions = [...recurringTrans, ...singleTrans].sort((a, b) => {
-        // Primary sort: by date
-        const dateCompare = a.date.getTime() - b.date.getTime();
-        if (dateCompare !== 0) return dateCompare;
-
-        // Secondary sort: Income before expenses on same day (cash flow optimization)
-        if (a.category === 'Income' && b.category !== 'Income') return -1;
-        if (b.category === 'Income' && a.category !== 'Income') return 1;
-
-        return 0;
-    });
-
-    // Step 4: Build the data array for sheet output
-    const data = [];
-    let currentBalances = startingBalances ? [...startingBalances] : null;
-
-    if (currentBalances) {
-        // Add starting balance row (first day of month)
-        data.push([
-            new Date(year, monthNumber - 1, 1),  // Date
-            'Starting Balance',                   // Description
-            '',                                   // Category
-            '',                                   // Account
-            '',                                   // Amount
-            'Initial',                           // Source
-            ...currentBalances,                  // All account balances
-            currentBalances.reduce((sum, bal) => sum + bal, 0)  // Net Worth
-        ]);
-
-        // Step 5: Process each transaction and update running balances
-        allTransactions.forEach(trans => {
-            // Update the balance for the transaction account
-            const accountIndex = CONFIG.accountColumns.indexOf(trans.account);
-            if (accountIndex !== -1) {
-                currentBalances[accountIndex] += trans.amount;
-            }
-
-            // Handle transfer transactions (TODO: enhance with dedicated transfer column)
-            if (trans.transferTo) {
-                const transferIndex = CONFIG.accountColumns.indexOf(trans.transferTo);
-                if (transferIndex !== -1) {
-                    currentBalances[transferIndex] += Math.abs(trans.amount);
-                }
-            }
-
-            // Add transaction row with updated balances
-            data.push([
-                trans.date,                                              // Date
-                trans.description,                                       // Description
-                trans.category,                                          // Category
-                trans.account,                                           // Account
-                trans.amount,                                            // Amount
-                trans.source,                                            // Source
-                ...currentBalances,                                      // All account balances
-                currentBalances.reduce((sum, bal) => sum + bal, 0)      // Net Worth
-            ]);
-        });
-    }
+    // Steps 1-2: Leave the sheet alone if its inputs are unchanged
+    const fingerprint = computeMonthFingerprint(accountNames, ledger.startingBalances, ledger.transactions);
+    const written = fingerprint !== keepFingerprint;
 
-    // Step 6: Write data to sheet and format
-    if (data.length > 0) {
-        monthSheet.getRange(2, 1, data.length, data[0].length).setValues(data);
+    // Steps 3-4: Write data to sheet and format
+    if (written) {
+        const rows = ledger.rows;
+        clearMonthSheet(monthSheet);
+        monthSheet.getRange(2, 1, rows.length, rows[0].length).setValues(rows);
 
         // Apply formatting for better readability
-        formatMonthSheet(monthSheet, data.length);
-
-        // Return ending balances for next month's processing
-        return currentBalances;
+        formatMonthSheet(monthSheet, rows.length, accountNames.length);
     }
 
-    return null;
+    return { fingerprint: fingerprint, written: written };
 }
 
 // ===========================
@@ -291,7 +439,8 @@ function processMonth(ss, monthName, monthNumber, year, startingBalances) {
 
 /**
  * Extracts and calculates recurring transactions for a specific month.
- * Handles complex frequency calculations and date generation.
+ * Convenience wrapper around buildRecurringTransactions for one-off lookups such
+ * as the test menu; full updates build the whole year at once instead.
  *
  * @param {Spreadsheet} ss - The active spreadsheet object
  * @param {number} monthNumber - Target month (1-12)
@@ -299,10 +448,27 @@ function processMonth(ss, monthName, monthNumber, year, startingBalances) {
  * @returns {Array<Object>} - Array of transaction objects for the month
  *
  * SUPPORTED FREQUENCIES:
- * - Bi-weekly: Every 14 days from start date
+ * - Weekly / Bi-weekly / Every N days or weeks: Fixed intervals from start date
  * - Monthly: Specific day of month
- * - Weekly: Every 7 days from start date
+ * - Semi-monthly: 1st and 15th (or two days listed in Day of Month)
+ * - Quarterly / Semi-annual / Every N months: Counted from the start month
  * - Yearly: Annual occurrence on same date
+ * - Last Day of Month: Final day of every month
+ * - Nth Weekday: Day of Week column such as "2nd Tuesday"
+ * Any other frequency stops the update with an error naming the item.
+ *
+ * TRANSFERS:
+ * Column O (Transfer To Account) turns an item into a transfer from Column D into
+ * that account. Typical uses are credit card payments and savings sweeps.
+ *
+ * OVERRIDES:
+ * Rows on the Recurring Overrides sheet can skip an occurrence, change its amount
+ * or move it to another date. Overridden occurrences carry the source
+ * 'Recurring (Override)' so they stand out in the monthly sheets.
+ *
+ * BUSINESS DAYS:
+ * Column P (Roll Rule) moves occurrences that fall on a weekend or a date on the
+ * Holidays sheet to the previous or next business day, even across months.
  *
  * TRANSACTION OBJECT STRUCTURE:
  * {
@@ -311,23 +477,51 @@ function processMonth(ss, monthName, monthNumber, year, startingBalances) {
  *   category: string,     // Transaction category
  *   account: string,      // Account name
  *   amount: number,       // Transaction amount (signed)
- *   source: string,       // Always 'Recurring'
- *   transferTo: string    // Transfer destination (currently null)
+ *   source: string,       // 'Recurring' or 'Recurring (Override)'
+ *   transferTo: string    // Transfer destination account, or null
  * }
  */
 function getRecurringTransactionsForMonth(ss, monthNumber, year) {
+    const inputs = {
+        recurringItems: getRecurringItems(ss, getSettings(ss)),
+        overrides: getRecurringOverrides(ss),
+        holidays: getHolidays(ss)
+    };
+
+    return buildRecurringTransactions(
+        inputs,
+        new Date(year, monthNumber - 1, 1),
+        new Date(year, monthNumber, 0)
+    );
+}
+
+/**
+ * Reads the active recurring transaction definitions.
+ *
+ * @param {Spreadsheet} ss - The active spreadsheet object
+ * @param {Object} settings - Settings from getSettings (global month-end policy)
+ * @returns {Array<Object>} - Parsed recurring items with a start date
+ *
+ * RECURRING TRANSACTIONS SHEET STRUCTURE:
+ * Column A: Description          Column F: Start Date        Column J: Active (TRUE/FALSE)
+ * Column B: Category             Column G: End Date (opt.)   Column O: Transfer To (opt.)
+ * Column C: Amount               Column H: Day of Month
+ * Column D: Account              Column I: Day of Week       Column P: Roll Rule (opt.)
+ * Column E: Frequency                                        Column Q: Month-End Policy (opt.)
+ *
+ * A blank Month-End Policy falls back to the Settings sheet's global policy.
+ */
+function getRecurringItems(ss, settings) {
     const sheet = ss.getSheetByName(CONFIG.sheets.recurring);
     if (!sheet) return [];
 
     const lastRow = sheet.getLastRow();
     if (lastRow <= 1) return [];
 
-    // Get all data including headers (14 columns total)
-    const allData = sheet.getRange(1, 1, lastRow, 14).getValues();
-
-    const transactions = [];
-    const monthStart = new Date(year, monthNumber - 1, 1);
-    const monthEnd = new Date(year, monthNumber, 0);
+    // Get all data including headers (17 columns total)
+    const allData = sheet.getRange(1, 1, lastRow, 17).getValues();
+    const defaultPolicy = settings.monthEndPolicy;
+    const items = [];
 
     // Process each row, skipping headers and section dividers
     for (let i = 0; i < allData.length; i++) {
@@ -351,172 +545,261 @@ function getRecurringTransactionsForMonth(ss, monthNumber, year) {
             startDate: row[5] ? new Date(row[5]) : null,           // Column F
             endDate: row[6] ? new Date(row[6]) : null,             // Column G
             dayOfMonth: row[7],                                     // Column H
-            dayOfWeek: row[8]                                       // Column I
+            dayOfWeek: row[8],                                      // Column I
+            transferTo: row[14] || null,                            // Column O
+            rollRule: parseRollRule(row[15]),                       // Column P
+            monthEndPolicy: row[16]                                 // Column Q
+                ? parseMonthEndPolicy(row[16])
+                : defaultPolicy
         };
 
         // Validate required fields
         if (!item.startDate) continue;
-        if (item.startDate > monthEnd) continue;
-        if (item.endDate && item.endDate < monthStart) continue;
-
-        // Calculate occurrence dates for this item in this month
-        const dates = calculateRecurringDates(item, monthStart, monthEnd);
-
-        // Create transaction objects for each calculated date
-        dates.forEach(date => {
-            let amount = item.amount;
-
-            // Apply correct sign based on category:
-            // - Income: Always positive
-            // - Transfer: Keep original sign (TODO: enhance transfer handling)
-            // - Everything else: Always negative (expenses)
-            if (item.category === 'Income') {
-                amount = Math.abs(amount);
-            } else if (item.category !== 'Transfer') {
-                amount = -Math.abs(amount);
-            }
+        if (!item.rollRule) {
+            throw new Error(`Recurring item "${item.description}": unrecognized Roll Rule "${row[15]}". ` +
+                'Use None, Previous Business Day or Next Business Day.');
+        }
+        if (!item.monthEndPolicy) {
+            throw new Error(`Recurring item "${item.description}": unrecognized Month-End Policy ` +
+                `"${row[16]}". Use Clamp, Roll or Skip.`);
+        }
 
-            transactions.push({
-                date: date,
-                description: item.description,
-                category: item.category,
-                account: item.account,
-                amount: amount,
-                source: 'Recurring',
-                transferTo: null  // TODO: Implement transfer account support
-            });
-        });
+        items.push(item);
     }
 
-    return transactions;
+    return items;
 }
 
 // ===========================
-// RECURRING DATE CALCULATOR
+// INCOME ALLOCATION
 // ===========================
 
 /**
- * Calculates specific occurrence dates for recurring transactions within a month.
- * Handles complex frequency patterns and date arithmetic.
+ * Reads the Allocation Rules sheet: how each recurring income item is shared
+ * between accounts (see allocateIncome).
  *
- * @param {Object} item - Recurring transaction configuration object
- * @param {Date} monthStart - First day of target month
- * @param {Date} monthEnd - Last day of target month
- * @returns {Array<Date>} - Array of calculated occurrence dates
+ * @param {Spreadsheet} ss - The active spreadsheet object
+ * @param {Array<Object>} accounts - Tracked accounts from getAccountBalances
+ * @param {Array<Object>} recurringItems - Active items from getRecurringItems
+ * @returns {Object<string, Array<Object>>} - Rules by income item description
+ * @throws {Error} - If a rule names an unknown item or account, or its share is invalid
  *
- * FREQUENCY HANDLING:
- * - monthly: Uses dayOfMonth field, handles month-end edge cases
- * - bi-weekly/biweekly: 14-day intervals from start date
- * - weekly: 7-day intervals from start date
- * - yearly: Same date each year
+ * ALLOCATION RULES SHEET STRUCTURE (optional):
+ * Column A: Income Item (Description of an active Income row on Recurring Transactions)
+ * Column B: Account that receives the share
+ * Column C: Percent of the gross amount (20, "20%", or 0.2 in a percent-formatted cell;
+ *           numbers of 1 or less are read as fractions)
+ * Column D: Fixed Amount (instead of a percent)
  *
- * DATE VALIDATION:
- * - Respects start and end date boundaries
- * - Handles month boundaries correctly
- * - Removes duplicates and sorts chronologically
+ * Whatever the rules leave goes to the item's own Account (Column D on
+ * Recurring Transactions), so a raise only changes the item's Amount.
+ * Rules for inactive items are ignored.
  */
-function calculateRecurringDates(item, monthStart, monthEnd) {
-    if (!item || !item.frequency) {
-        console.log('Skipping undefined or invalid recurring item:', item);
-        return [];
-    }
+function getAllocationRules(ss, accounts, recurringItems) {
+    const sheet = ss.getSheetByName(CONFIG.sheets.allocations);
+    if (!sheet || sheet.getLastRow() <= 1) return {};
 
-    const freq = item.frequency.trim().toLowerCase();
-    const dates = [];
+    const data = sheet.getRange(2, 1, sheet.getLastRow() - 1, 4).getValues();
+    const allocations = {};
 
-    // Utility function to safely clone dates
-    function cloneDate(d) {
-        return new Date(d.getTime());
-    }
+    data.forEach((row, i) => {
+        if (!row[0]) return; // Skip empty rows
 
-    // Process different frequency types
-    switch(freq) {
-        case 'monthly':
-            // Monthly transactions occur on a specific day of the month
-            if (item.dayOfMonth && item.dayOfMonth > 0 && item.dayOfMonth <= 31) {
-                const date = new Date(monthStart.getFullYear(), monthStart.getMonth(), item.dayOfMonth);
+        const where = `Allocation Rules row ${i + 2}`;
+        const itemName = row[0].toString().trim();
+        const item = recurringItems.find(candidate => candidate.description === itemName);
+        if (!item) return;
+        if (item.category !== 'Income' || item.transferTo) {
+            throw new Error(`${where}: "${itemName}" must be an Income item without Transfer To`);
+        }
+
+        const account = (row[1] || '').toString().trim();
+        if (!accounts.some(acc => acc.name === account)) {
+            throw new Error(`${where}: "${account}" is not a tracked account`);
+        }
+        if (account === item.account) {
+            throw new Error(`${where}: "${account}" is the item's own account, which receives the remainder`);
+        }
 
-                // Validate date is within month and date boundaries
-                if (date.getMonth() === monthStart.getMonth() &&
-                    date >= item.startDate &&
-                    date <= monthEnd &&
-                    (!item.endDate || date <= item.endDate)) {
-                    dates.push(date);
-                }
+        const hasPercent = row[2] !== '' && row[2] !== null;
+        const hasFixed = row[3] !== '' && row[3] !== null;
+        if (hasPercent === hasFixed) throw new Error(`${where}: fill in either Percent or Fixed Amount`);
+
+        let percent = null;
+        if (hasPercent) {
+            // A percent-formatted cell holds a fraction (0.2); typed text may end in %
+            const text = row[2].toString().trim();
+            percent = text.endsWith('%') ? Number(text.slice(0, -1)) : Number(row[2]);
+            if (typeof row[2] === 'number' && percent <= 1) percent = percent * 100;
+            if (isNaN(percent) || percent <= 0 || percent > 100) {
+                throw new Error(`${where}: Percent must be between 0 and 100`);
             }
-            break;
+        }
+        const fixed = hasFixed ? Number(row[3]) : null;
+        if (hasFixed && (isNaN(fixed) || fixed <= 0)) {
+            throw new Error(`${where}: Fixed Amount must be a positive number`);
+        }
 
-        case 'bi-weekly':
-        case 'biweekly':
-            // Bi-weekly transactions occur every 14 days from start date
-        {
-            let current = cloneDate(item.startDate);
+        (allocations[itemName] = allocations[itemName] || []).push({
+            account: account,                                        // Column B
+            percent: percent === null ? null : Math.round(percent * 10000) / 10000,  // Column C
+            fixed: fixed                                             // Column D
+        });
+    });
 
-            // Advance to first occurrence in target month
-            while (current < monthStart) {
-                current.setDate(current.getDate() + 14);
-            }
+    return allocations;
+}
 
-            // Add all occurrences within the month
-            while (current <= monthEnd) {
-                if (current >= monthStart &&
-                    current <= monthEnd &&
-                    current >= item.startDate &&
-                    (!item.endDate || current <= item.endDate)) {
-                    dates.push(cloneDate(current));
-                }
-                current.setDate(current.getDate() + 14);
-            }
-        }
-            break;
+// ===========================
+// RECURRING OVERRIDES
+// ===========================
 
-        case 'weekly':
-            // Weekly transactions occur every 7 days from start date
-        {
-            let current = cloneDate(item.startDate);
+/**
+ * Reads per-occurrence overrides from the Recurring Overrides sheet.
+ *
+ * @param {Spreadsheet} ss - The active spreadsheet object
+ * @returns {Object<string, Object>} - Overrides keyed by overrideKey(description, date)
+ * @throws {Error} - If two rows override the same occurrence
+ *
+ * RECURRING OVERRIDES SHEET STRUCTURE:
+ * Column A: Recurring Item (must match the recurring Description exactly)
+ * Column B: Occurrence Date (the date the item would normally fall on)
+ * Column C: Skip (TRUE to drop this occurrence)
+ * Column D: Amount (optional replacement amount, sign rules still apply)
+ * Column E: Move To Date (optional new date, may be in another month)
+ * Column F: Notes (optional)
+ * Column G: Status (written by the script: Applied / Orphan)
+ * Column H: Cleared (optional: Cleared or Reconciled; a row may set only this)
+ */
+function getRecurringOverrides(ss) {
+    const sheet = ss.getSheetByName(CONFIG.sheets.overrides);
+    if (!sheet) return {};
 
-            // Advance to first occurrence in target month
-            while (current < monthStart) {
-                current.setDate(current.getDate() + 7);
-            }
+    const lastRow = sheet.getLastRow();
+    if (lastRow <= 1) return {};
 
-            // Add all occurrences within the month
-            while (current <= monthEnd) {
-                if (current >= monthStart &&
-                    current <= monthEnd &&
-                    current >= item.startDate &&
-                    (!item.endDate || current <= item.endDate)) {
-                    dates.push(cloneDate(current));
-                }
-                current.setDate(current.getDate() + 7);
-            }
+    const data = sheet.getRange(2, 1, lastRow - 1, 8).getValues();
+    const overrides = {};
+
+    data.forEach((row, i) => {
+        if (!row[0] || !row[1]) return; // Skip incomplete rows
+
+        const override = {
+            row: i + 2,                                             // Sheet row number
+            description: row[0],                                    // Column A
+            date: new Date(row[1]),                                 // Column B
+            skip: row[2] === true,                                  // Column C
+            amount: row[3] === '' ? null : Number(row[3]),          // Column D
+            moveTo: row[4] ? new Date(row[4]) : null,               // Column E
+            status: parseClearedStatus(row[7], `Recurring Overrides row ${i + 2}`)  // Column H
+        };
+        const key = overrideKey(override.description, override.date);
+        if (overrides[key]) {
+            throw new Error(`Recurring Overrides row ${i + 2}: "${override.description}" on ` +
+                `${formatDateKey(override.date)} is already overridden in row ${overrides[key].row}`);
         }
-            break;
+        overrides[key] = override;
+    });
+
+    return overrides;
+}
 
-        case 'yearly':
-            // Yearly transactions occur on the same date each year
-        {
-            const date = new Date(monthStart.getFullYear(), item.startDate.getMonth(), item.startDate.getDate());
+/**
+ * Marks every override as Applied or Orphan in the Status column (G).
+ * An override is an orphan when no active recurring item generates an occurrence
+ * on its Occurrence Date, or when neither that date nor its Move To Date falls
+ * within the processed months.
+ *
+ * @param {Spreadsheet} ss - The active spreadsheet object
+ * @param {Object} inputs - Result of loadEngineInputs
+ * @returns {Array<Object>} - Orphaned overrides
+ */
+function reportOrphanOverrides(ss, inputs) {
+    const sheet = ss.getSheetByName(CONFIG.sheets.overrides);
+    const keys = Object.keys(inputs.overrides);
+    if (!sheet || keys.length === 0) return [];
+
+    const periodStart = new Date(inputs.settings.year, inputs.settings.startMonth - 1, 1);
+    const periodEnd = new Date(inputs.settings.year, 12, 0);
+    const statusRange = sheet.getRange(2, 7, sheet.getLastRow() - 1, 1);
+    const statuses = statusRange.getValues();
+    const orphans = [];
+
+    const inPeriod = date => Boolean(date) && date >= periodStart && date <= periodEnd;
+
+    keys.forEach(key => {
+        const override = inputs.overrides[key];
+        const matches = (inPeriod(override.date) || (!override.skip && inPeriod(override.moveTo))) &&
+            inputs.recurringItems.some(item => item.description === override.description &&
+                isRecurringOccurrence(item, override.date));
+
+        if (!matches) orphans.push(override);
+        statuses[override.row - 2][0] = matches ? 'Applied' : 'Orphan';
+    });
 
-            if (date >= monthStart &&
-                date <= monthEnd &&
-                date >= item.startDate &&
-                (!item.endDate || date <= item.endDate)) {
-                dates.push(date);
-            }
+    // Single batched write for the whole Status column
+    statusRange.setValues(statuses);
+    return orphans;
+}
+
+// ===========================
+// BUSINESS DAY ADJUSTMENT
+// ===========================
+
+/**
+ * Reads bank holidays from the Holidays sheet.
+ *
+ * @param {Spreadsheet} ss - The active spreadsheet object
+ * @returns {Set<string>} - Holiday dates as formatDateKey keys
+ *
+ * HOLIDAYS SHEET STRUCTURE:
+ * Column A: Date (the day banks are closed)
+ * Column B: Holiday name
+ */
+function getHolidays(ss) {
+    const sheet = ss.getSheetByName(CONFIG.sheets.holidays);
+    const holidays = new Set();
+    if (!sheet || sheet.getLastRow() <= 1) return holidays;
+
+    sheet.getRange(2, 1, sheet.getLastRow() - 1, 1).getValues().forEach(row => {
+        if (row[0]) holidays.add(formatDateKey(new Date(row[0])));
+    });
+    return holidays;
+}
+
+/**
+ * Adds Federal Reserve holidays for the operating year and the next year to the
+ * Holidays sheet (creating it if needed). Dates already listed are left alone,
+ * so the command can be re-run safely. Menu entry point.
+ */
+function loadFederalReserveHolidays() {
+    try {
+        const ss = SpreadsheetApp.getActiveSpreadsheet();
+        const settings = getSettings(ss);
+
+        let sheet = ss.getSheetByName(CONFIG.sheets.holidays);
+        if (!sheet) {
+            sheet = ss.insertSheet(CONFIG.sheets.holidays);
+            sheet.getRange(1, 1, 1, 2).setValues([['Date', 'Holiday']]);
         }
-            break;
 
-        default:
-            console.log('Unknown frequency:', item.frequency);
-    }
+        const existing = getHolidays(ss);
+        const rows = [settings.year, settings.year + 1]
+            .flatMap(year => getFederalReserveHolidays(year))
+            .filter(holiday => !existing.has(formatDateKey(holiday.date)))
+            .map(holiday => [holiday.date, holiday.name]);
+
+        if (rows.length > 0) {
+            sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, 2).setValues(rows);
+            sheet.getRange(2, 1, sheet.getLastRow() - 1, 1).setNumberFormat('M/d/yyyy');
+        }
 
-    // Remove duplicates and sort chronologically
-    const uniqueDates = [...new Set(dates.map(d => d.getTime()))]
-        .map(time => new Date(time))
-        .sort((a, b) => a - b);
+        SpreadsheetApp.getUi().alert(`✅ Added ${rows.length} Federal Reserve holiday(s) ` +
+            `for ${settings.year}-${settings.year + 1}`);
 
-    return uniqueDates;
+    } catch (error) {
+        handleError(error, 'loadFederalReserveHolidays');
+    }
 }
 
 // ===========================
@@ -524,13 +807,11 @@ function calculateRecurringDates(item, monthStart, monthEnd) {
 // ===========================
 
 /**
- * Extracts single (manual) transactions for a specific month.
+ * Reads every single (manual) transaction in one batch.
  * Processes the Single Transactions sheet for one-time transaction entries.
  *
  * @param {Spreadsheet} ss - The active spreadsheet object
- * @param {number} monthNumber - Target month (1-12)
- * @param {number} year - Target year
- * @returns {Array<Object>} - Array of transaction objects for the month
+ * @returns {Array<Object>} - Array of transaction objects, in sheet order
  *
  * SINGLE TRANSACTIONS SHEET STRUCTURE:
  * Column A: Date
@@ -540,53 +821,50 @@ function calculateRecurringDates(item, monthStart, monthEnd) {
  * Column E: Amount
  * Column F: Transfer To Account (optional)
  * Column G: Notes (optional)
+ * Column H: Status (optional: Cleared or Reconciled)
+ * Column I: Bank ID (written by Import OFX; the bank's FITID, used to skip re-imports)
+ * Column J: Split ID (optional: groups a Category "Split" row with its part rows,
+ *           see combineSplitTransactions)
  *
  * PROCESSING LOGIC:
- * - Filters transactions by date to match target month/year
  * - Applies correct amount signing based on category
- * - Handles transfer destinations (limited functionality)
+ * - Handles transfer destinations (double-entry, see processMonth)
+ * - Folds split parts (which may leave Date blank) into their Split row
  * - Skips empty or invalid rows
+ * - Date filtering is left to the caller (see buildTransactionSchedule)
  */
-function getSingleTransactionsForMonth(ss, monthNumber, year) {
+function getSingleTransactions(ss) {
     const sheet = ss.getSheetByName(CONFIG.sheets.single);
     if (!sheet) return [];
 
     const lastRow = sheet.getLastRow();
     if (lastRow <= 1) return [];
 
-    // Get data starting from row 2 (skip headers), 7 columns
-    const data = sheet.getRange(2, 1, lastRow - 1, 7).getValues();
+    // Get data starting from row 2 (skip headers), 10 columns
+    const data = sheet.getRange(2, 1, lastRow - 1, 10).getValues();
     const transactions = [];
 
-    data.forEach(row => {
-        if (!row[0]) return; // Skip empty rows
-
-        const date = new Date(row[0]);
-
-        // Filter to only include transactions from target month/year
-        if (date.getMonth() + 1 === monthNumber && date.getFullYear() === year) {
-            let amount = Number(row[4]) || 0;
-
-            // Apply correct sign based on category
-            if (row[2] === 'Income') {
-                amount = Math.abs(amount);           // Income is always positive
-            } else if (row[2] !== 'Transfer') {
-                amount = -Math.abs(amount);          // Expenses are always negative
-            }
-
-            transactions.push({
-                date: date,
-                description: row[1] || '',           // Description
-                category: row[2] || '',              // Category
-                account: row[3] || '',               // Account
-                amount: amount,                      // Signed amount
-                source: 'Single',                    // Source identifier
-                transferTo: row[5] || null           // Transfer destination
-            });
-        }
+    data.forEach((row, i) => {
+        const splitId = row[9] ? row[9].toString().trim() : '';
+        const isPart = splitId !== '' && row[2] !== 'Split';
+        if (!row[0] && !isPart) return; // Skip empty rows
+
+        transactions.push({
+            date: row[0] ? new Date(row[0]) : null,
+            description: row[1] || '',           // Description
+            category: row[2] || '',              // Category
+            account: row[3] || '',               // Account
+            amount: normalizeAmount(Number(row[4]) || 0, row[2], row[5]),  // Signed amount
+            source: 'Single',                    // Source identifier
+            transferTo: row[5] || null,          // Transfer destination
+            status: parseClearedStatus(row[7], `Single Transactions row ${i + 2}`),  // Status
+            statusRow: i + 2,                    // Sheet row holding the status
+            importId: row[8] ? row[8].toString().trim() : '',  // Bank transaction ID
+            splitId: splitId                     // Split group
+        });
     });
 
-    return transactions;
+    return combineSplitTransactions(transactions);
 }
 
 // ===========================
@@ -594,128 +872,2247 @@ function getSingleTransactionsForMonth(ss, monthNumber, year) {
 // ===========================
 
 /**
- * Retrieves current account balances from the Accounts sheet.
- * Maps account balances to the configured account order for proper column alignment.
+ * Retrieves the tracked accounts and their balances from the Accounts sheet.
+ * The sheet order defines the order of balance columns in every monthly sheet.
  *
  * @param {Spreadsheet} ss - The active spreadsheet object
- * @returns {Array<Object>} - Array of account objects with names and balances
+ * @param {Object} settings - Operating period from getSettings
+ * @returns {Array<Object>} - Array of tracked account objects in column order
+ *
+ * ACCOUNTS SHEET STRUCTURE:
+ * Column A: Account Name
+ * Column B: Type (Checking, Savings, Credit Card, ...)
+ * Column C: Balance (at the start of the first tracked month)
+ * Column D: Active (blank or TRUE = active, FALSE = inactive)
+ * Column E: Closed Date (optional, for accounts closed during the year)
+ * Column F: Min Balance (optional alert threshold, e.g. 0 to catch overdrafts)
+ * Column G: Credit Limit (optional, credit cards: alert when the amount owed exceeds it)
+ * Column H: Projected Today (written by the script, see writeAccountsToday)
+ * Column I: Cleared Today (written by the script)
+ * Column J: Bank Account ID (optional: the OFX ACCTID, or its last digits, for Import OFX)
+ * Column K: Closing Day (optional, credit cards: day of the month the statement closes)
+ * Column L: Due Day (day of the month the statement payment is due)
+ * Column M: Payment (Statement Balance, Minimum, Fixed or None; blank = Statement Balance)
+ * Column N: Payment Amount (Fixed: the amount; Minimum: the card's minimum payment floor)
+ * Column O: Pay From (tracked account the payment comes from)
+ * Column P: Rate % (optional: APR for cards with a Closing Day, APY for other accounts)
  *
  * RETURN FORMAT:
  * [
- *   { name: 'Capital One Checking', balance: 2500.00 },
- *   { name: 'Acorns Checking', balance: 800.00 },
+ *   { name: 'Capital One Checking', type: 'Checking', balance: 2500.00, active: true,
+ *     closedDate: null, minBalance: 500, creditLimit: null, bankAccountId: '4417',
+ *     statement: null, rate: 0.5 },
+ *   { name: 'Destiny Card', type: 'Credit Card', balance: -350, active: true,
+ *     closedDate: null, minBalance: null, creditLimit: 1000, bankAccountId: '',
+ *     statement: { closingDay: 25, dueDay: 20, strategy: 'statement', amount: 0,
+ *       minimumPercent: 2, payFrom: 'Capital One Checking' }, rate: 24.99 },
  *   ...
  * ]
  *
- * MAPPING LOGIC:
- * - Reads account names and balances from Accounts sheet
- * - Maps to CONFIG.accountColumns order for consistent column placement
- * - Handles missing accounts by defaulting balance to 0
- * - Ensures exact name matching for proper account identification
+ * TRACKING LOGIC:
+ * - Active accounts are always tracked
+ * - Inactive accounts closed on or after the first tracked month keep their column
+ *   in every month so history stays intact and later columns don't shift
+ * - Other inactive accounts are left out of the monthly sheets entirely
  */
-function getAccountBalances(ss) {
+function getAccountBalances(ss, settings) {
     const sheet = ss.getSheetByName(CONFIG.sheets.accounts);
     if (!sheet) throw new Error('Accounts sheet not found');
 
     const lastRow = sheet.getLastRow();
     if (lastRow <= 1) throw new Error('No accounts found');
 
-    // Get account data: columns A (name), B (type), C (balance)
-    const data = sheet.getRange(2, 1, lastRow - 1, 3).getValues();
+    // Get account data: columns A (name) through P (interest rate)
+    const data = sheet.getRange(2, 1, lastRow - 1, 16).getValues();
+    const periodStart = new Date(settings.year, settings.startMonth - 1, 1);
+    const accounts = [];
+
+    data.forEach(row => {
+        if (!row[0]) return; // Skip empty rows
 
-    // Map account data to configured account order
-    return CONFIG.accountColumns.map(accountName => {
-        const accountRow = data.find(row => row[0] === accountName);
-        return {
-            name: accountName,
-            balance: accountRow ? Number(accountRow[2]) || 0 : 0
+        const account = {
+            name: row[0].toString().trim(),                         // Column A
+            type: row[1] || '',                                     // Column B
+            balance: Number(row[2]) || 0,                           // Column C
+            active: row[3] !== false,                               // Column D
+            closedDate: row[4] ? new Date(row[4]) : null,           // Column E
+            minBalance: parseThreshold(row[5], row[0], 'Min Balance'),    // Column F
+            creditLimit: parseThreshold(row[6], row[0], 'Credit Limit'),  // Column G
+            bankAccountId: row[9] ? row[9].toString().trim() : '',        // Column J
+            statement: parseStatementCycle(row.slice(10, 15), row[0]),    // Columns K-O
+            rate: parseInterestRate(row[15], row[0])                      // Column P
         };
+
+        if (account.rate && !account.statement && /credit/i.test(account.type)) {
+            throw new Error(`Accounts: "${account.name}" needs a Closing Day and Due Day to charge its APR`);
+        }
+
+        if (account.active || (account.closedDate && account.closedDate >= periodStart)) {
+            accounts.push(account);
+        }
     });
-}
 
-// ===========================
-// UTILITY FUNCTIONS
-// ===========================
+    if (accounts.length === 0) throw new Error('No active accounts found on the Accounts sheet');
 
-/**
- * Clears all existing data from monthly sheets to ensure clean state.
- * Preserves headers (row 1) while clearing all transaction data.
- *
- * @param {Spreadsheet} ss - The active spreadsheet object
- *
- * CLEARING LOGIC:
- * - Processes each month sheet defined in CONFIG.monthSheets
- * - Preserves row 1 (headers) while clearing rows 2 and below
- * - Handles sheets with no data gracefully
- * - Ensures clean slate for fresh data population
- */
-function clearAllMonthlySheets(ss) {
-    CONFIG.monthSheets.forEach(monthName => {
-        const sheet = ss.getSheetByName(monthName);
-        if (sheet && sheet.getLastRow() > 1) {
-            const lastRow = sheet.getLastRow();
-            const lastCol = sheet.getLastColumn();
-            sheet.getRange(2, 1, lastRow - 1, lastCol).clear();
+    accounts.forEach(account => {
+        if (!account.statement || account.statement.strategy === 'none') return;
+        const payFrom = account.statement.payFrom;
+        if (payFrom === account.name || !accounts.some(acc => acc.name === payFrom)) {
+            throw new Error(`Accounts: Pay From for "${account.name}" must be another tracked account, ` +
+                `not "${payFrom}"`);
         }
     });
+
+    return accounts;
 }
 
 /**
- * Applies comprehensive formatting to monthly sheets for better readability.
- * Includes number formatting, conditional formatting, and visual enhancements.
- *
- * @param {Sheet} sheet - The monthly sheet to format
- * @param {number} dataRows - Number of data rows to format
+ * Reads a credit card's statement cycle from the Accounts sheet.
  *
- * FORMATTING APPLIED:
- * - Date column: M/d/yyyy format
- * - Amount column: Currency with red negatives
- * - Balance columns: Currency with red negatives
- * - Conditional formatting: Red text for negative balances
- * - Row banding: Alternating colors for readability
+ * @param {Array} cells - Columns K through O of the account's row
+ * @param {string} accountName - Account name for error messages
+ * @returns {Object|null} - { closingDay, dueDay, strategy, amount, minimumPercent,
+ *   payFrom } (see buildGeneratedTransactions), or null when Closing Day is blank
+ * @throws {Error} - If a day, the strategy or the payment amount is not valid
  */
-function formatMonthSheet(sheet, dataRows) {
-    if (dataRows === 0) return;
-
-    // Format date column (Column A)
-    sheet.getRange(2, 1, dataRows, 1).setNumberFormat('M/d/yyyy');
+function parseStatementCycle(cells, accountName) {
+    const [closingDay, dueDay, payment, amount, payFrom] = cells;
+    if (closingDay === '' || closingDay === null) return null;
+
+    const day = (value, label) => {
+        const number = Number(value);
+        if (value === '' || !Number.isInteger(number) || number < 1 || number > 31) {
+            throw new Error(`Accounts: ${label} for "${accountName}" must be a day of the month (1-31)`);
+        }
+        return number;
+    };
+    const strategies = {
+        '': 'statement', 'statement balance': 'statement', 'minimum': 'minimum', 'fixed': 'fixed', 'none': 'none'
+    };
+    const strategy = strategies[(payment || '').toString().trim().toLowerCase()];
+    if (!strategy) {
+        throw new Error(`Accounts: Payment for "${accountName}" must be Statement Balance, Minimum, Fixed or None`);
+    }
 
-    // Format amount column (Column E) with red negatives
-    const amountRange = sheet.getRange(2, 5, dataRows, 1);
-    amountRange.setNumberFormat('$#,##0.00;[RED]-$#,##0.00');
+    const paymentAmount = amount === '' || amount === null ? null : Number(amount);
+    if (paymentAmount !== null && !(paymentAmount > 0)) {
+        throw new Error(`Accounts: Payment Amount for "${accountName}" must be a positive number`);
+    }
+    if (strategy === 'fixed' && paymentAmount === null) {
+        throw new Error(`Accounts: "${accountName}" pays a Fixed amount, so Payment Amount is required`);
+    }
 
-    // Format all balance columns (Columns G through S)
-    const balanceRange = sheet.getRange(2, 7, dataRows, 13);
-    balanceRange.setNumberFormat('$#,##0.00;[RED]-$#,##0.00');
+    return {
+        closingDay: day(closingDay, 'Closing Day'),
+        dueDay: day(dueDay, 'Due Day'),
+        strategy: strategy,
+        amount: paymentAmount !== null ? paymentAmount : CONFIG.minimumPayment.floor,
+        minimumPercent: CONFIG.minimumPayment.percent,
+        payFrom: (payFrom || '').toString().trim()
+    };
+}
 
-    // Add conditional formatting for negative balances
-    const rules = [];
-    const negativeRule = SpreadsheetApp.newConditionalFormatRule()
-        .whenNumberLessThan(0)
-        .setFontColor('#FF0000')
-        .setRanges([balanceRange])
-        .build();
-    rules.push(negativeRule);
-    sheet.setConditionalFormatRules(rules);
+/**
+ * Reads an account's interest rate from the Accounts sheet.
+ *
+ * @param {*} value - Raw cell value: 4.5, "4.5%", or 0.045 from a percent-formatted cell
+ * @param {string} accountName - Account name for the error message
+ * @returns {number|null} - Rate in percent, or null when blank or zero
+ * @throws {Error} - If the cell is not a percentage from 0 to 100
+ *
+ * Numbers of 1 or less are fractions, as in Allocation Rules (see getAllocationRules).
+ */
+function parseInterestRate(value, accountName) {
+    if (value === '' || value === null) return null;
+
+    // A percent-formatted cell holds a fraction (0.045); typed text may end in %
+    const text = value.toString().trim();
+    let rate = text.endsWith('%') ? Number(text.slice(0, -1)) : Number(value);
+    if (typeof value === 'number' && rate <= 1) rate = rate * 100;
+    if (isNaN(rate) || rate < 0 || rate > 100) {
+        throw new Error(`Accounts: Rate % for "${accountName}" must be a percentage from 0 to 100`);
+    }
+    return rate || null;
+}
 
-    // Add alternating row colors for improved readability
-    const fullRange = sheet.getRange(2, 1, dataRows, sheet.getLastColumn());
-    fullRange.applyRowBanding(SpreadsheetApp.BandingTheme.LIGHT_GREY, false, false);
+/**
+ * Reads an optional alert threshold cell from the Accounts sheet.
+ *
+ * @param {*} value - Raw cell value
+ * @param {string} accountName - Account name for the error message
+ * @param {string} label - Column name for the error message
+ * @returns {number|null} - The threshold, or null when blank
+ * @throws {Error} - If the cell holds something other than a number
+ */
+function parseThreshold(value, accountName, label) {
+    if (value === '' || value === null) return null;
+    const threshold = Number(value);
+    if (isNaN(threshold)) {
+        throw new Error(`Accounts: ${label} for "${accountName}" must be a number`);
+    }
+    return threshold;
 }
 
 // ===========================
-// USER INTERFACE FUNCTIONS
+// SETTINGS MANAGER
 // ===========================
 
 /**
- * Creates custom menu system when spreadsheet opens.
- * Provides user-friendly access to all automation functions.
+ * Reads the operating period from the Settings sheet.
+ * A missing sheet is created with the period the tracker used before Settings
+ * existed (CONFIG.defaults, September 2025), so an existing workbook keeps
+ * the dates its Accounts balances were entered for. A new workbook changes it.
+ *
+ * @param {Spreadsheet} ss - The active spreadsheet object
+ * @returns {Object} - { year: number, startMonth: number, monthEndPolicy: string }
+ * @throws {Error} - If a setting is present but not a valid year or month
+ *
+ * SETTINGS SHEET STRUCTURE:
+ * Column A: Setting name (see CONFIG.settingKeys)
+ * Column B: Value
+ */
+function getSettings(ss) {
+    if (!ss.getSheetByName(CONFIG.sheets.settings)) {
+        ss.insertSheet(CONFIG.sheets.settings).getRange(1, 1, 4, 2).setValues([
+            ['Setting', 'Value'],
+            [CONFIG.settingKeys.year, CONFIG.defaults.year],
+            [CONFIG.settingKeys.startMonth, CONFIG.defaults.startMonth],
+            [CONFIG.settingKeys.monthEndPolicy, 'Clamp']
+        ]);
+    }
+    return readSettings(ss);
+}
+
+/**
+ * Reads the operating period without creating anything, for custom functions
+ * (which may not modify the workbook).
+ *
+ * @param {Spreadsheet} ss - The active spreadsheet object
+ * @returns {Object} - Same shape as getSettings
+ * @throws {Error} - If the Settings sheet is missing or a setting is invalid
+ */
+function readSettings(ss) {
+    const sheet = ss.getSheetByName(CONFIG.sheets.settings);
+    if (!sheet) {
+        throw new Error(`Settings: the "${CONFIG.sheets.settings}" sheet is missing. ` +
+            'Run an update from the menu to create it.');
+    }
+
+    const values = readSettingValues(sheet);
+    const year = Number(values[CONFIG.settingKeys.year]);
+    const startMonth = parseMonthSetting(values[CONFIG.settingKeys.startMonth]);
+    const monthEndPolicy = values[CONFIG.settingKeys.monthEndPolicy]
+        ? parseMonthEndPolicy(values[CONFIG.settingKeys.monthEndPolicy])
+        : CONFIG.defaults.monthEndPolicy;
+
+    if (!Number.isInteger(year) || year < 1900 || year > 2999) {
+        throw new Error(`Settings: "${CONFIG.settingKeys.year}" must be a four-digit year`);
+    }
+    if (!startMonth) {
+        throw new Error(`Settings: "${CONFIG.settingKeys.startMonth}" must be 1-12 or a month name`);
+    }
+    if (!monthEndPolicy) {
+        throw new Error(`Settings: "${CONFIG.settingKeys.monthEndPolicy}" must be Clamp, Roll or Skip`);
+    }
+
+    return {
+        year: year,
+        startMonth: startMonth,
+        monthEndPolicy: monthEndPolicy,
+        alertEmail: (values[CONFIG.settingKeys.alertEmail] || '').toString().trim()
+    };
+}
+
+/**
+ * Reads all setting name/value pairs from the Settings sheet.
+ *
+ * @param {Sheet} sheet - The Settings sheet
+ * @returns {Object<string, *>} - Values keyed by setting name
+ */
+function readSettingValues(sheet) {
+    const values = {};
+    const lastRow = sheet.getLastRow();
+    if (lastRow <= 1) return values;
+
+    sheet.getRange(2, 1, lastRow - 1, 2).getValues().forEach(row => {
+        if (row[0]) values[row[0].toString().trim()] = row[1];
+    });
+    return values;
+}
+
+/**
+ * Writes one setting, adding a row for it if the name is not on the sheet yet.
+ *
+ * @param {Spreadsheet} ss - Spreadsheet holding the Settings sheet
+ * @param {string} name - Setting name from CONFIG.settingKeys
+ * @param {*} value - Value to store
+ */
+function writeSetting(ss, name, value) {
+    const sheet = ss.getSheetByName(CONFIG.sheets.settings) || ss.insertSheet(CONFIG.sheets.settings);
+    const lastRow = sheet.getLastRow();
+    const names = lastRow > 0 ? sheet.getRange(1, 1, lastRow, 1).getValues() : [];
+    const index = names.findIndex(row => row[0].toString().trim() === name);
+
+    if (index === -1) {
+        if (lastRow === 0) sheet.getRange(1, 1, 1, 2).setValues([['Setting', 'Value']]);
+        sheet.getRange(Math.max(lastRow, 1) + 1, 1, 1, 2).setValues([[name, value]]);
+    } else {
+        sheet.getRange(index + 1, 2).setValue(value);
+    }
+}
+
+/**
+ * Interprets a Start Month value typed as a number, a month name or a date.
+ *
+ * @param {*} value - Raw cell value
+ * @returns {number|null} - Month number (1-12) or null if unrecognized
+ */
+function parseMonthSetting(value) {
+    if (value instanceof Date) return value.getMonth() + 1;
+
+    const number = Number(value);
+    if (Number.isInteger(number) && number >= 1 && number <= 12) return number;
+
+    const prefix = (value || '').toString().trim().slice(0, 3).toLowerCase();
+    const index = CONFIG.monthSheets.findIndex(name => name.toLowerCase() === prefix);
+    return index === -1 ? null : index + 1;
+}
+
+// ===========================
+// INPUT VALIDATION
+// ===========================
+
+/**
+ * Checks the input sheets and refreshes dropdowns on their input columns.
+ * Menu entry point; updates run the same checks (without the dropdowns).
+ */
+function validateInputs() {
+    const ui = SpreadsheetApp.getUi();
+
+    try {
+        const ss = SpreadsheetApp.getActiveSpreadsheet();
+        const settings = getSettings(ss);
+        const lists = getValidationLists(ss, settings);
+        const issues = validateAllInputs(ss, lists);
+        installInputDropdowns(ss, lists);
+
+        const errors = issues.filter(issue => issue.severity === 'Error').length;
+        if (issues.length === 0) {
+            ui.alert('✅ No problems found. Dropdowns were added to the input columns.');
+        } else {
+            ui.alert(`${errors > 0 ? '❌' : '⚠️'} ${errors} error(s) and ${issues.length - errors} warning(s). ` +
+                `See the ${CONFIG.sheets.validation} sheet.` +
+                (errors > 0 ? '\n\nUpdates are blocked until the errors are fixed.' : ''));
+        }
+
+    } catch (error) {
+        console.error('Error in validateInputs:', error);
+        ui.alert('❌ Error: ' + error.toString());
+    }
+}
+
+/**
+ * Runs the input checks before an update and stops it on errors.
+ *
+ * @param {Spreadsheet} ss - Spreadsheet being updated
+ * @param {Object} settings - Operating period from getSettings
+ * @throws {Error} - Naming the first error, if there are any
+ */
+function assertValidInputs(ss, settings) {
+    const issues = validateAllInputs(ss, getValidationLists(ss, settings));
+    const errors = issues.filter(issue => issue.severity === 'Error');
+    if (errors.length > 0) {
+        throw new Error(`${errors.length} input error(s) found, so balances were not updated ` +
+            `(see the ${CONFIG.sheets.validation} sheet). First: ${errors[0].sheet}!${errors[0].cell} ` +
+            errors[0].message);
+    }
+}
+
+/**
+ * Reads the names input cells are checked against.
+ *
+ * @param {Spreadsheet} ss - The active spreadsheet object
+ * @param {Object} settings - Operating period from getSettings
+ * @returns {Object} - { accounts, tracked, categories } (see validateRecurringRows)
+ */
+function getValidationLists(ss, settings) {
+    const accountsSheet = ss.getSheetByName(CONFIG.sheets.accounts);
+    const categoriesSheet = ss.getSheetByName(CONFIG.sheets.categories);
+    const columnA = sheet => (sheet && sheet.getLastRow() > 1
+        ? sheet.getRange(2, 1, sheet.getLastRow() - 1, 1).getValues()
+            .map(row => row[0].toString().trim())
+            .filter(name => name !== '')
+        : []);
+
+    return {
+        accounts: columnA(accountsSheet),
+        tracked: getAccountBalances(ss, settings).map(acc => acc.name),
+        categories: columnA(categoriesSheet)
+    };
+}
+
+/**
+ * Checks the Recurring and Single Transactions rows and writes the Validation sheet.
+ *
+ * @param {Spreadsheet} ss - The active spreadsheet object
+ * @param {Object} lists - Result of getValidationLists
+ * @returns {Array<Object>} - Issues with sheet and cell (A1 notation) added
+ *
+ * VALIDATION SHEET LAYOUT (rewritten on every check):
+ * Sheet | Cell | Severity | Value | Problem, then a "Checked" timestamp row
+ */
+function validateAllInputs(ss, lists) {
+    const readSheet = (name, firstRow, numColumns) => {
+        const sheet = ss.getSheetByName(name);
+        if (!sheet || sheet.getLastRow() < firstRow) return [];
+        return sheet.getRange(firstRow, 1, sheet.getLastRow() - firstRow + 1, numColumns).getValues();
+    };
+    const located = (sheetName, issues) => issues.map(issue => Object.assign({}, issue, {
+        sheet: sheetName,
+        cell: String.fromCharCode(64 + issue.column) + issue.row
+    }));
+
+    const issues = [
+        ...located(CONFIG.sheets.recurring,
+            validateRecurringRows(readSheet(CONFIG.sheets.recurring, 1, 17), lists)),
+        ...located(CONFIG.sheets.single,
+            validateSingleRows(readSheet(CONFIG.sheets.single, 2, 10), lists))
+    ];
+
+    const sheet = ss.getSheetByName(CONFIG.sheets.validation) || ss.insertSheet(CONFIG.sheets.validation);
+    const header = ['Sheet', 'Cell', 'Severity', 'Value', 'Problem'];
+    const rows = issues.map(issue => [issue.sheet, issue.cell, issue.severity,
+        issue.value === null ? '' : issue.value, issue.message]);
+    if (rows.length === 0) rows.push(['No problems found', '', '', '', '']);
+    rows.push(['', '', '', '', '']);
+    rows.push(['Checked', new Date(), '', '', '']);
+
+    sheet.clear();
+    sheet.getRange(1, 1, 1, header.length).setValues([header]).setFontWeight('bold');
+    sheet.getRange(2, 1, rows.length, header.length).setValues(rows);
+
+    return issues;
+}
+
+/**
+ * Adds dropdowns to the input columns of the Recurring and Single Transactions
+ * sheets (and the Status column of Recurring Overrides). Account columns reject
+ * names that are not tracked; the other lists only warn, so "Every 3 weeks" or
+ * a new category can still be typed.
+ *
+ * @param {Spreadsheet} ss - The active spreadsheet object
+ * @param {Object} lists - Result of getValidationLists
+ */
+function installInputDropdowns(ss, lists) {
+    const dropdown = (values, strict) => SpreadsheetApp.newDataValidation()
+        .requireValueInList(values, true)
+        .setAllowInvalid(!strict)
+        .build();
+    const apply = (sheetName, column, rule) => {
+        const sheet = ss.getSheetByName(sheetName);
+        if (!sheet || !rule) return;
+        sheet.getRange(2, column, Math.max(sheet.getMaxRows() - 1, 1), 1).setDataValidation(rule);
+    };
+
+    const accounts = dropdown(lists.tracked, true);
+    const categories = lists.categories.length > 0
+        ? dropdown([...new Set(lists.categories.concat(['Income', 'Transfer', 'Split']))], false)
+        : null;
+    const statuses = dropdown(CONFIG.dropdowns.statuses, false);
+
+    apply(CONFIG.sheets.recurring, 2, categories);                                      // Column B
+    apply(CONFIG.sheets.recurring, 4, accounts);                                        // Column D
+    apply(CONFIG.sheets.recurring, 5, dropdown(CONFIG.dropdowns.frequencies, false));   // Column E
+    apply(CONFIG.sheets.recurring, 15, accounts);                                       // Column O
+    apply(CONFIG.sheets.recurring, 16, dropdown(CONFIG.dropdowns.rollRules, false));    // Column P
+    apply(CONFIG.sheets.recurring, 17, dropdown(CONFIG.dropdowns.monthEndPolicies, false));  // Column Q
+
+    apply(CONFIG.sheets.single, 3, categories);                                         // Column C
+    apply(CONFIG.sheets.single, 4, accounts);                                           // Column D
+    apply(CONFIG.sheets.single, 6, accounts);                                           // Column F
+    apply(CONFIG.sheets.single, 8, statuses);                                           // Column H
+
+    apply(CONFIG.sheets.overrides, 8, statuses);                                        // Column H
+
+    apply(CONFIG.sheets.accounts, 13, dropdown(CONFIG.dropdowns.paymentStrategies, false));  // Column M
+    apply(CONFIG.sheets.accounts, 15, accounts);                                        // Column O
+}
+
+// ===========================
+// UTILITY FUNCTIONS
+// ===========================
+
+/**
+ * Clears all existing data from monthly sheets to ensure clean state.
+ * Preserves headers (row 1) while clearing all transaction data.
+ *
+ * @param {Spreadsheet} ss - The active spreadsheet object
+ *
+ * CLEARING LOGIC:
+ * - Processes each month sheet defined in CONFIG.monthSheets
+ * - Preserves row 1 (headers) while clearing rows 2 and below
+ * - Handles sheets with no data gracefully
+ * - Ensures clean slate for fresh data population
+ */
+function clearAllMonthlySheets(ss) {
+    CONFIG.monthSheets.forEach(monthName => {
+        const sheet = ss.getSheetByName(monthName);
+        if (sheet) clearMonthSheet(sheet);
+    });
+}
+
+/**
+ * Clears one monthly sheet's data rows, keeping the header row.
+ *
+ * @param {Sheet} sheet - The monthly sheet to clear
+ */
+function clearMonthSheet(sheet) {
+    if (sheet.getLastRow() > 1) {
+        const lastRow = sheet.getLastRow();
+        const lastCol = sheet.getLastColumn();
+        sheet.getRange(2, 1, lastRow - 1, lastCol).clear();
+    }
+}
+
+/**
+ * Fingerprints everything that determines a month's ledger.
+ * Two runs with equal fingerprints write identical rows.
+ *
+ * @param {Array<string>} accountNames - Tracked account names in column order
+ * @param {Array<number>} startingBalances - Balances at the start of the month
+ * @param {Array<Object>} transactions - The month's sorted transactions
+ * @returns {string} - Base64 MD5 digest
+ */
+function computeMonthFingerprint(accountNames, startingBalances, transactions) {
+    const input = JSON.stringify({
+        accounts: accountNames,
+        start: startingBalances,
+        transactions: transactions.map(trans => [
+            formatDateKey(trans.date),
+            trans.description,
+            trans.category,
+            trans.account,
+            trans.amount,
+            trans.source,
+            trans.transferTo,
+            trans.parts ? trans.parts.map(part => [part.category, part.account, part.amount, part.transferTo]) : null
+        ])
+    });
+
+    return Utilities.base64Encode(
+        Utilities.computeDigest(Utilities.DigestAlgorithm.MD5, input, Utilities.Charset.UTF_8));
+}
+
+/**
+ * Returns the Engine State key for a month, e.g. 'month:2025-09'.
+ *
+ * @param {number} year - Operating year
+ * @param {number} monthIndex - Month (0-11)
+ * @returns {string} - State key
+ */
+function monthStateKey(year, monthIndex) {
+    return `month:${formatDateKey(new Date(year, monthIndex, 1)).slice(0, 7)}`;
+}
+
+/**
+ * Reads the engine's persisted state from the hidden Engine State sheet.
+ *
+ * @param {Spreadsheet} ss - The active spreadsheet object
+ * @returns {Object<string, *>} - Parsed JSON values keyed by state key
+ *
+ * ENGINE STATE SHEET STRUCTURE (hidden, managed by the script):
+ * Column A: Key (e.g. 'month:2025-09')
+ * Column B: Value (JSON)
+ * Column C: Last updated
+ */
+function readEngineState(ss) {
+    const sheet = ss.getSheetByName(CONFIG.sheets.state);
+    const state = {};
+    if (!sheet || sheet.getLastRow() <= 1) return state;
+
+    sheet.getRange(2, 1, sheet.getLastRow() - 1, 2).getValues().forEach(row => {
+        if (!row[0]) return;
+        try {
+            state[row[0]] = JSON.parse(row[1]);
+        } catch (error) {
+            console.log(`Ignoring unreadable engine state "${row[0]}"`);
+        }
+    });
+    return state;
+}
+
+/**
+ * Replaces the contents of the hidden Engine State sheet, creating it if needed.
+ *
+ * @param {Spreadsheet} ss - The active spreadsheet object
+ * @param {Object<string, *>} state - Values to persist (serialized as JSON)
+ */
+function writeEngineState(ss, state) {
+    let sheet = ss.getSheetByName(CONFIG.sheets.state);
+    if (!sheet) {
+        sheet = ss.insertSheet(CONFIG.sheets.state);
+        sheet.hideSheet();
+    }
+
+    const now = new Date();
+    const rows = [['Key', 'Value', 'Updated']].concat(
+        Object.keys(state).sort().map(key => [key, JSON.stringify(state[key]), now]));
+
+    sheet.clearContents();
+    sheet.getRange(1, 1, rows.length, 3).setValues(rows);
+}
+
+/**
+ * Rewrites the header row of every monthly sheet from the tracked accounts.
+ *
+ * @param {Spreadsheet} ss - The active spreadsheet object
+ * @param {Array<Object>} accounts - Tracked accounts from getAccountBalances
+ *
+ * HEADER LAYOUT:
+ * - Columns A-F: CONFIG.ledgerColumns
+ * - One balance column per tracked account (closed accounts marked "(Closed)")
+ * - Net Worth as the last column
+ * - Leftover header cells from a previously wider layout are cleared
+ */
+function updateMonthSheetHeaders(ss, accounts) {
+    const headers = [
+        ...CONFIG.ledgerColumns,
+        ...accounts.map(acc => acc.active ? acc.name : `${acc.name} (Closed)`),
+        'Net Worth'
+    ];
+
+    CONFIG.monthSheets.forEach(monthName => {
+        const sheet = ss.getSheetByName(monthName);
+        if (!sheet) return;
+
+        const lastCol = sheet.getLastColumn();
+        if (lastCol > headers.length) {
+            sheet.getRange(1, headers.length + 1, 1, lastCol - headers.length).clearContent();
+        }
+        sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+    });
+}
+
+/**
+ * Applies comprehensive formatting to monthly sheets for better readability.
+ * Includes number formatting, conditional formatting, and visual enhancements.
+ *
+ * @param {Sheet} sheet - The monthly sheet to format
+ * @param {number} dataRows - Number of data rows to format
+ * @param {number} accountCount - Number of tracked account balance columns
+ *
+ * FORMATTING APPLIED:
+ * - Date column: M/d/yyyy format
+ * - Amount column: Currency with red negatives
+ * - Balance columns: Currency with red negatives
+ * - Conditional formatting: Red text for negative balances
+ * - Row banding: Alternating colors for readability
+ */
+function formatMonthSheet(sheet, dataRows, accountCount) {
+    if (dataRows === 0) return;
+
+    // Format date column (Column A)
+    sheet.getRange(2, 1, dataRows, 1).setNumberFormat('M/d/yyyy');
+
+    // Format amount column (Column E) with red negatives
+    const amountRange = sheet.getRange(2, 5, dataRows, 1);
+    amountRange.setNumberFormat('$#,##0.00;[RED]-$#,##0.00');
+
+    // Format all balance columns plus Net Worth (Column G onward)
+    const balanceRange = sheet.getRange(2, 7, dataRows, accountCount + 1);
+    balanceRange.setNumberFormat('$#,##0.00;[RED]-$#,##0.00');
+
+    // Add conditional formatting for negative balances
+    const rules = [];
+    const negativeRule = SpreadsheetApp.newConditionalFormatRule()
+        .whenNumberLessThan(0)
+        .setFontColor('#FF0000')
+        .setRanges([balanceRange])
+        .build();
+    rules.push(negativeRule);
+    sheet.setConditionalFormatRules(rules);
+
+    // Add alternating row colors for improved readability
+    // Existing banding must go first: the column count changes with the account list
+    sheet.getBandings().forEach(banding => banding.remove());
+    const fullRange = sheet.getRange(2, 1, dataRows, CONFIG.ledgerColumns.length + accountCount + 1);
+    fullRange.applyRowBanding(SpreadsheetApp.BandingTheme.LIGHT_GREY, false, false);
+}
+
+// ===========================
+// BALANCE ALERTS
+// ===========================
+
+/**
+ * Rewrites the Alerts sheet from the projection and emails a digest when the set
+ * of alerts differs from the previous run's.
+ *
+ * @param {Spreadsheet} ss - Spreadsheet being updated
+ * @param {Object} settings - Settings from getSettings (alert recipient)
+ * @param {Array<Object>} accounts - Tracked accounts from getAccountBalances
+ * @param {Array<Object>} ledgers - Result of projectYear
+ * @param {Object<string, *>} state - Engine state; the alert signature is stored under 'alerts'
+ * @param {Date} today - Forecasts start on this day
+ * @returns {Array<Object>} - Alerts from findBalanceAlerts
+ *
+ * ALERTS SHEET STRUCTURE (rewritten on every update):
+ * Account | Threshold | Limit | First Crossing | Balance Then | Lowest Balance | Lowest On
+ *
+ * DIGEST:
+ * Sent to the Settings sheet's Alert Email (or the script's user) only when an
+ * alert appears, disappears or moves to another date. A failed send is logged and
+ * retried on the next run.
+ */
+function updateBalanceAlerts(ss, settings, accounts, ledgers, state, today) {
+    const fromDate = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+    const alerts = findBalanceAlerts(ledgers, accounts, fromDate);
+    writeAlertsSheet(ss, alerts, today);
+
+    const signature = JSON.stringify(alerts.map(alert =>
+        [alert.account, alert.type, alert.threshold, formatDateKey(alert.date)]));
+    const previous = state.alerts ? state.alerts.signature : JSON.stringify([]);
+
+    if (signature !== previous) {
+        try {
+            sendAlertDigest(ss, settings, alerts);
+            state.alerts = { signature: signature };
+        } catch (error) {
+            console.error('Could not send the balance alert digest:', error);
+        }
+    }
+
+    return alerts;
+}
+
+/**
+ * Writes the alerts to the Alerts sheet, creating it if needed.
+ *
+ * @param {Spreadsheet} ss - Spreadsheet being updated
+ * @param {Array<Object>} alerts - Alerts from findBalanceAlerts
+ * @param {Date} checkedAt - Time of the check, shown under the table
+ */
+function writeAlertsSheet(ss, alerts, checkedAt) {
+    const sheet = ss.getSheetByName(CONFIG.sheets.alerts) || ss.insertSheet(CONFIG.sheets.alerts);
+    const header = ['Account', 'Threshold', 'Limit', 'First Crossing', 'Balance Then', 'Lowest Balance', 'Lowest On'];
+    const rows = alerts.map(alert => [
+        alert.account,
+        alert.type,
+        alert.threshold,
+        alert.date,
+        alert.balance,
+        alert.lowest,
+        alert.lowestDate
+    ]);
+    if (rows.length === 0) {
+        rows.push(['No projected threshold crossings', '', '', '', '', '', '']);
+    }
+    rows.push(['', '', '', '', '', '', '']);
+    rows.push(['Checked', checkedAt, '', '', '', '', '']);
+
+    sheet.clear();
+    sheet.getRange(1, 1, 1, header.length).setValues([header]).setFontWeight('bold');
+    sheet.getRange(2, 1, rows.length, header.length).setValues(rows);
+
+    if (alerts.length > 0) {
+        sheet.getRange(2, 3, alerts.length, 1).setNumberFormat('$#,##0.00;[RED]-$#,##0.00');
+        sheet.getRange(2, 4, alerts.length, 1).setNumberFormat('M/d/yyyy');
+        sheet.getRange(2, 5, alerts.length, 2).setNumberFormat('$#,##0.00;[RED]-$#,##0.00');
+        sheet.getRange(2, 7, alerts.length, 1).setNumberFormat('M/d/yyyy');
+    }
+}
+
+/**
+ * Emails the current alerts (or an all-clear when none are left).
+ *
+ * @param {Spreadsheet} ss - Spreadsheet being updated (name and link in the email)
+ * @param {Object} settings - Settings from getSettings (alert recipient)
+ * @param {Array<Object>} alerts - Alerts from findBalanceAlerts
+ */
+function sendAlertDigest(ss, settings, alerts) {
+    const recipient = settings.alertEmail || Session.getEffectiveUser().getEmail();
+    if (!recipient) {
+        console.log('No alert recipient: set Alert Email on the Settings sheet');
+        return;
+    }
+
+    const money = amount => `${amount < 0 ? '-' : ''}$${Math.abs(amount).toFixed(2)}`;
+    const lines = alerts.map(alert =>
+        `• ${alert.account}: below ${alert.type} ${money(alert.threshold)} on ${formatShortDate(alert.date)} ` +
+        `(${money(alert.balance)}; lowest ${money(alert.lowest)} on ${formatShortDate(alert.lowestDate)})`);
+
+    const subject = alerts.length > 0
+        ? `${ss.getName()}: ${alerts.length} projected balance alert(s)`
+        : `${ss.getName()}: balance alerts cleared`;
+    const body = (alerts.length > 0
+        ? `Projected balances cross these thresholds:\n\n${lines.join('\n')}`
+        : 'All projected balances now stay within their thresholds.') +
+        `\n\n${ss.getUrl()}`;
+
+    MailApp.sendEmail(recipient, subject, body);
+}
+
+// ===========================
+// RECONCILIATION
+// ===========================
+
+/**
+ * Writes today's projected and cleared balances next to each tracked account
+ * (Accounts sheet columns H and I).
+ *
+ * @param {Spreadsheet} ss - Spreadsheet being updated
+ * @param {Array<Object>} accounts - Tracked accounts from getAccountBalances
+ * @param {Array<Object>} ledgers - Result of projectYear
+ * @param {Object} projection - Result of buildDailyProjection
+ * @param {Date} today - Day to report
+ *
+ * Projected Today is blank when today is outside the operating period. Cleared
+ * Today counts the opening balance plus every Cleared or Reconciled transaction
+ * dated today or earlier.
+ */
+function writeAccountsToday(ss, accounts, ledgers, projection, today) {
+    const sheet = ss.getSheetByName(CONFIG.sheets.accounts);
+    const lastRow = sheet.getLastRow();
+    const transactions = [].concat(...ledgers.map(ledger => ledger.transactions));
+    const todayKey = formatDateKey(today);
+    const projected = todayKey >= projection.start && todayKey <= projection.end
+        ? projectedBalancesOn(projection, today)
+        : null;
+
+    const names = sheet.getRange(2, 1, lastRow - 1, 1).getValues();
+    const values = names.map(row => {
+        const index = accounts.findIndex(acc => acc.name === row[0].toString().trim());
+        if (index === -1) return ['', ''];
+        return [
+            projected ? projected[index] : '',
+            clearedBalanceOn(accounts[index].balance, accounts[index].name, transactions, today)
+        ];
+    });
+
+    sheet.getRange(1, 8, 1, 2).setValues([['Projected Today', 'Cleared Today']]);
+    sheet.getRange(2, 8, values.length, 2).setValues(values).setNumberFormat('$#,##0.00;[RED]-$#,##0.00');
+}
+
+/**
+ * Reconciles one account against a bank statement. Menu entry point.
+ *
+ * PROCESS FLOW:
+ * 1. Prompt for the account, statement end date and statement ending balance
+ * 2. Compare the statement with the cleared balance on that date
+ * 3. Write the summary and every open or suspicious transaction to the
+ *    Reconciliation sheet
+ * 4. If the statement balances, offer to mark the covered Cleared transactions
+ *    as Reconciled
+ */
+function reconcileAccount() {
+    const ui = SpreadsheetApp.getUi();
+
+    try {
+        const ss = SpreadsheetApp.getActiveSpreadsheet();
+        const settings = getSettings(ss);
+        const inputs = loadEngineInputs(ss, settings);
+
+        // Step 1: Ask for the statement details
+        const accountName = promptForValue(ui, 'Reconcile Account',
+            `Account to reconcile:\n${inputs.accounts.map(acc => acc.name).join(', ')}`);
+        if (accountName === null) return;
+        const account = inputs.accounts.find(acc => acc.name.toLowerCase() === accountName.toLowerCase());
+        if (!account) throw new Error(`"${accountName}" is not a tracked account`);
+
+        const dateText = promptForValue(ui, 'Reconcile Account', 'Statement end date (MM/DD/YYYY):');
+        if (dateText === null) return;
+        const statementDate = new Date(dateText);
+        if (isNaN(statementDate.getTime())) throw new Error(`"${dateText}" is not a date`);
+        if (statementDate < new Date(settings.year, settings.startMonth - 1, 1)) {
+            throw new Error('The statement ends before the first tracked month');
+        }
+
+        const balanceText = promptForValue(ui, 'Reconcile Account', 'Statement ending balance:');
+        if (balanceText === null) return;
+        const statementBalance = parseMoney(balanceText);
+        if (statementBalance === null) throw new Error(`"${balanceText}" is not an amount`);
+
+        // Steps 2-4
+        runReconciliation(ui, ss, inputs, account, statementDate, statementBalance);
+
+    } catch (error) {
+        console.error('Error in reconcileAccount:', error);
+        ui.alert('❌ Error: ' + error.toString());
+    }
+}
+
+/**
+ * Compares one statement with the cleared transactions, writes the
+ * Reconciliation sheet and, if it balances, offers to mark the covered
+ * transactions Reconciled. Shared by Reconcile Account and Import OFX.
+ *
+ * @param {Ui} ui - Spreadsheet UI
+ * @param {Spreadsheet} ss - The active spreadsheet object
+ * @param {Object} inputs - Result of loadEngineInputs
+ * @param {Object} account - Tracked account from getAccountBalances
+ * @param {Date} statementDate - Statement end date
+ * @param {number} statementBalance - Statement ending balance
+ */
+function runReconciliation(ui, ss, inputs, account, statementDate, statementBalance) {
+    const transactions = buildTransactionSchedule(inputs);
+    const result = reconcileStatement(account.name, account.balance, transactions,
+        statementDate, statementBalance);
+    writeReconciliationReport(ss, account.name, statementDate, result);
+
+    if (!result.balanced) {
+        ui.alert(`⚠️ ${account.name} is off by $${result.difference.toFixed(2)}.\n\n` +
+            'See the Reconciliation sheet for open and suspicious transactions.');
+        return;
+    }
+
+    if (result.toReconcile.length > 0 && ui.alert('Reconcile Account',
+        `✅ ${account.name} balances with the statement.\n\nMark ${result.toReconcile.length} ` +
+        'cleared transaction(s) as Reconciled?', ui.ButtonSet.YES_NO) === ui.Button.YES) {
+        markReconciled(ss, result.toReconcile);
+    } else if (result.toReconcile.length === 0) {
+        ui.alert(`✅ ${account.name} balances with the statement.`);
+    }
+}
+
+/**
+ * Shows a text prompt.
+ *
+ * @param {Ui} ui - Spreadsheet UI
+ * @param {string} title - Dialog title
+ * @param {string} message - Prompt text
+ * @returns {string|null} - Trimmed response, or null if the user cancelled
+ */
+function promptForValue(ui, title, message) {
+    const response = ui.prompt(title, message, ui.ButtonSet.OK_CANCEL);
+    if (response.getSelectedButton() !== ui.Button.OK) return null;
+    return response.getResponseText().trim();
+}
+
+/**
+ * Parses an amount typed by the user: "$1,234.56", "-45", "(45.00)".
+ *
+ * @param {string} text - Amount text
+ * @returns {number|null} - The amount, or null if unreadable
+ */
+function parseMoney(text) {
+    const negative = /^\(.*\)$/.test(text.trim());
+    const cleaned = text.replace(/[$,()\s]/g, '');
+    if (!/^-?\d+(\.\d+)?$/.test(cleaned)) return null;
+    const amount = Number(cleaned);
+    return negative ? -Math.abs(amount) : amount;
+}
+
+/**
+ * Writes the result of a reconciliation to the Reconciliation sheet.
+ *
+ * @param {Spreadsheet} ss - The active spreadsheet object
+ * @param {string} accountName - Account reconciled
+ * @param {Date} statementDate - Statement end date
+ * @param {Object} result - Result of reconcileStatement
+ *
+ * SHEET LAYOUT (rewritten on every reconciliation):
+ * Rows 1-6: Account, statement date, statement balance, cleared balance, difference
+ * Row 8 onward: Date | Description | Category | Account | Amount | Source | Status | Issue
+ */
+function writeReconciliationReport(ss, accountName, statementDate, result) {
+    const sheet = ss.getSheetByName(CONFIG.sheets.reconciliation) ||
+        ss.insertSheet(CONFIG.sheets.reconciliation);
+    const summary = [
+        ['Account', accountName],
+        ['Statement Date', statementDate],
+        ['Statement Balance', result.statementBalance],
+        ['Cleared Balance', result.clearedBalance],
+        ['Difference', result.difference],
+        ['Result', result.balanced ? 'Balanced' : `${result.issues.length} transaction(s) to review`]
+    ];
+    const header = ['Date', 'Description', 'Category', 'Account', 'Amount', 'Source', 'Status', 'Issue'];
+    const rows = result.issues.map(entry => [
+        entry.transaction.date,
+        entry.transaction.description,
+        entry.transaction.category,
+        entry.transaction.transferTo
+            ? `${entry.transaction.account} → ${entry.transaction.transferTo}`
+            : entry.transaction.account,
+        entry.effect,
+        entry.transaction.source,
+        entry.transaction.status || 'Open',
+        entry.issue
+    ]);
+
+    sheet.clear();
+    sheet.getRange(1, 1, summary.length, 2).setValues(summary);
+    sheet.getRange(2, 2).setNumberFormat('M/d/yyyy');
+    sheet.getRange(3, 2, 3, 1).setNumberFormat('$#,##0.00;[RED]-$#,##0.00');
+    sheet.getRange(8, 1, 1, header.length).setValues([header]).setFontWeight('bold');
+
+    if (rows.length > 0) {
+        sheet.getRange(9, 1, rows.length, header.length).setValues(rows);
+        sheet.getRange(9, 1, rows.length, 1).setNumberFormat('M/d/yyyy');
+        sheet.getRange(9, 5, rows.length, 1).setNumberFormat('$#,##0.00;[RED]-$#,##0.00');
+    }
+}
+
+/**
+ * Sets the status of reconciled transactions on their input sheets.
+ * Single transactions are updated in Column H; recurring occurrences in Column H of
+ * the override row that cleared them.
+ *
+ * @param {Spreadsheet} ss - The active spreadsheet object
+ * @param {Array<Object>} transactions - Cleared transactions covered by a balanced statement
+ */
+function markReconciled(ss, transactions) {
+    const rowsBySheet = {};
+    transactions.forEach(trans => {
+        const sheetName = trans.source === 'Single' ? CONFIG.sheets.single : CONFIG.sheets.overrides;
+        (rowsBySheet[sheetName] = rowsBySheet[sheetName] || []).push(trans.statusRow);
+    });
+
+    Object.keys(rowsBySheet).forEach(sheetName => {
+        const sheet = ss.getSheetByName(sheetName);
+        const range = sheet.getRange(2, 8, sheet.getLastRow() - 1, 1);
+        const statuses = range.getValues();
+        rowsBySheet[sheetName].forEach(row => { statuses[row - 2][0] = 'Reconciled'; });
+        range.setValues(statuses);
+    });
+}
+
+// ===========================
+// BUDGETS
+// ===========================
+
+/**
+ * Reads monthly budgets from the Categories sheet.
+ *
+ * @param {Spreadsheet} ss - The active spreadsheet object
+ * @returns {Array<Object>|null} - [{ category, amounts: 12 budgets or null }] in sheet
+ *   order, or null if the sheet has no Monthly Budget column
+ * @throws {Error} - If a budget cell holds something other than a number
+ *
+ * CATEGORIES SHEET STRUCTURE:
+ * Column A: Category
+ * "Monthly Budget" column: Budget for every month (optional per category)
+ * "Jan" ... "Dec" columns: Budget for that month only, replacing Monthly Budget (optional)
+ * The budget columns are found by their header, so category sheets with other
+ * columns (type, notes, ...) keep working.
+ */
+function getCategoryBudgets(ss) {
+    const sheet = ss.getSheetByName(CONFIG.sheets.categories);
+    if (!sheet || sheet.getLastRow() < 1) return null;
+
+    const data = sheet.getRange(1, 1, sheet.getLastRow(), sheet.getLastColumn()).getValues();
+    const header = data[0].map(name => name.toString().trim().toLowerCase());
+    const monthlyColumn = header.indexOf('monthly budget');
+    if (monthlyColumn === -1) return null;
+    const monthColumns = CONFIG.monthSheets.map(month => header.indexOf(month.toLowerCase()));
+
+    const budgets = [];
+    data.slice(1).forEach((row, i) => {
+        if (!row[0]) return; // Skip empty rows
+
+        const category = row[0].toString().trim();
+        const parse = value => {
+            if (value === '' || value === null) return null;
+            if (isNaN(Number(value))) {
+                throw new Error(`Categories row ${i + 2}: budget for "${category}" must be a number`);
+            }
+            return Math.abs(Number(value));
+        };
+        const monthly = parse(row[monthlyColumn]);
+        const amounts = monthColumns.map(column => {
+            const override = column === -1 ? null : parse(row[column]);
+            return override !== null ? override : monthly;
+        });
+
+        if (amounts.some(amount => amount !== null)) budgets.push({ category: category, amounts: amounts });
+    });
+
+    return budgets;
+}
+
+/**
+ * Rewrites the Budget sheet from the year's ledgers. Does nothing when the
+ * Categories sheet has no Monthly Budget column.
+ *
+ * @param {Spreadsheet} ss - Spreadsheet being updated
+ * @param {Object} settings - Operating period from getSettings
+ * @param {Array<Object>} ledgers - Result of projectYear
+ * @param {Date} today - Year-to-date totals run through today's month
+ *
+ * SHEET LAYOUT (rewritten on every update):
+ * Row 1: Category | Month | Budget | Projected | Cleared | Remaining
+ * Year-to-date rows (Month = "YTD"), then each month's rows
+ * Rows with a negative Remaining are highlighted by a conditional format rule.
+ */
+function updateBudgetReport(ss, settings, ledgers, today) {
+    const budgets = getCategoryBudgets(ss);
+    if (!budgets) return;
+
+    let throughMonthIndex = 11;
+    if (today.getFullYear() < settings.year) throughMonthIndex = -1;
+    if (today.getFullYear() === settings.year) throughMonthIndex = today.getMonth();
+
+    const report = buildBudgetReport(ledgers, budgets, throughMonthIndex);
+    const toRow = (month, entry) => [
+        entry.category, month, entry.budget === null ? '' : entry.budget,
+        entry.projected, entry.cleared, entry.remaining
+    ];
+    const rows = report.yearToDate.map(entry => toRow('YTD', entry));
+    report.months.forEach(month => {
+        month.lines.forEach(entry => rows.push(toRow(CONFIG.monthSheets[month.monthIndex], entry)));
+    });
+
+    const sheet = ss.getSheetByName(CONFIG.sheets.budget) || ss.insertSheet(CONFIG.sheets.budget);
+    const header = ['Category', 'Month', 'Budget', 'Projected', 'Cleared', 'Remaining'];
+    sheet.clear();
+    sheet.getRange(1, 1, 1, header.length).setValues([header]).setFontWeight('bold');
+    sheet.setFrozenRows(1);
+    if (rows.length === 0) {
+        sheet.setConditionalFormatRules([]);
+        return;
+    }
+
+    sheet.getRange(2, 1, rows.length, header.length).setValues(rows);
+    sheet.getRange(2, 3, rows.length, 4).setNumberFormat('$#,##0.00;[RED]-$#,##0.00');
+
+    // Highlight overspent categories
+    const overRule = SpreadsheetApp.newConditionalFormatRule()
+        .whenFormulaSatisfied('=$F2<0')
+        .setBackground('#F4CCCC')
+        .setRanges([sheet.getRange(2, 1, rows.length, header.length)])
+        .build();
+    sheet.setConditionalFormatRules([overRule]);
+}
+
+// ===========================
+// ANNUAL SUMMARY
+// ===========================
+
+/**
+ * Rewrites the Annual Summary sheet and refreshes its charts.
+ *
+ * @param {Spreadsheet} ss - The active spreadsheet object
+ * @param {Array<Object>} ledgers - Result of projectYear
+ * @param {Array<string>} accountNames - Tracked account names in ledger column order
+ *
+ * SHEET LAYOUT (rewritten on every update):
+ * Columns A-E: Month | Income | Expenses | Net Cash Flow | Net Worth, plus a Total row
+ * Columns G-H: Category | Spending, largest first
+ * Columns J-L: Account | Starting Balance | Ending Balance
+ * Below the tables: "Net Worth" line chart and "Spending by Category" pie chart.
+ * The charts are found by title and updated in place, so they are never duplicated
+ * and keep any styling applied to them by hand.
+ */
+function updateAnnualSummary(ss, ledgers, accountNames) {
+    const summary = buildAnnualSummary(ledgers, accountNames);
+    const sheet = ss.getSheetByName(CONFIG.sheets.annualSummary) || ss.insertSheet(CONFIG.sheets.annualSummary);
+    const money = '$#,##0.00;[RED]-$#,##0.00';
+
+    const months = [['Month', 'Income', 'Expenses', 'Net Cash Flow', 'Net Worth']]
+        .concat(summary.months.map(month => [CONFIG.monthSheets[month.monthIndex], month.income,
+            month.expenses, month.net, month.netWorth]))
+        .concat([['Total', summary.totals.income, summary.totals.expenses, summary.totals.net,
+            summary.months[summary.months.length - 1].netWorth]]);
+    const categories = [['Category', 'Spending']]
+        .concat(summary.categories.map(entry => [entry.category, entry.total]));
+    const accounts = [['Account', 'Starting Balance', 'Ending Balance']]
+        .concat(summary.accounts.map(entry => [entry.name, entry.starting, entry.ending]));
+
+    sheet.clear();
+    [[months, 1], [categories, 7], [accounts, 10]].forEach(([table, column]) => {
+        sheet.getRange(1, column, table.length, table[0].length).setValues(table);
+        sheet.getRange(1, column, 1, table[0].length).setFontWeight('bold');
+        if (table.length > 1) {
+            sheet.getRange(2, column + 1, table.length - 1, table[0].length - 1).setNumberFormat(money);
+        }
+    });
+    sheet.getRange(months.length, 1, 1, 5).setFontWeight('bold');
+    sheet.setFrozenRows(1);
+
+    // Charts go below the longest table; the Total row is left out of the line chart
+    const chartRow = Math.max(months.length, categories.length, accounts.length) + 2;
+    refreshChart(sheet, 'Net Worth', Charts.ChartType.LINE, [
+        sheet.getRange(1, 1, months.length - 1, 1),
+        sheet.getRange(1, 5, months.length - 1, 1)
+    ], chartRow, 1);
+    refreshChart(sheet, 'Spending by Category', Charts.ChartType.PIE, [
+        sheet.getRange(1, 7, categories.length, 2)
+    ], chartRow, 7);
+}
+
+/**
+ * Points an embedded chart at new ranges, creating it the first time.
+ *
+ * @param {Sheet} sheet - Sheet holding the chart
+ * @param {string} title - Chart title, also used to find the existing chart
+ * @param {ChartType} type - Charts.ChartType value
+ * @param {Array<Range>} ranges - Data ranges, header row included
+ * @param {number} row - Anchor row of the chart's top-left corner
+ * @param {number} column - Anchor column of the chart's top-left corner
+ */
+function refreshChart(sheet, title, type, ranges, row, column) {
+    const existing = sheet.getCharts().find(chart => chart.getOptions().get('title') === title);
+    const builder = existing ? existing.modify().clearRanges() : sheet.newChart();
+    ranges.forEach(range => builder.addRange(range));
+    const chart = builder
+        .setChartType(type)
+        .setNumHeaders(1)
+        .setPosition(row, column, 0, 0)
+        .setOption('title', title)
+        .build();
+
+    if (existing) {
+        sheet.updateChart(chart);
+    } else {
+        sheet.insertChart(chart);
+    }
+}
+
+// ===========================
+// SAVINGS GOALS
+// ===========================
+
+/**
+ * Reads savings goals from the Goals sheet.
+ *
+ * @param {Spreadsheet} ss - The active spreadsheet object
+ * @param {Array<string>} accountNames - Tracked account names
+ * @returns {Array<Object>|null} - [{ name, target, targetDate, account, contribution }]
+ *   in sheet order, or null if there is no Goals sheet
+ * @throws {Error} - If a goal's target, date, account or contribution is not valid
+ *
+ * GOALS SHEET STRUCTURE:
+ * Column A: Goal
+ * Column B: Target Amount
+ * Column C: Target Date
+ * Column D: Account (tracked account that holds the savings)
+ * Column E: Monthly Contribution (optional: expected saving per month after the
+ *           projected year; blank = the account's average projected growth)
+ * Columns F-J: Saved Today, Progress, Projected Date, Monthly Shortfall, Status
+ *           (written by the script, see updateGoals)
+ */
+function getGoals(ss, accountNames) {
+    const sheet = ss.getSheetByName(CONFIG.sheets.goals);
+    if (!sheet) return null;
+    if (sheet.getLastRow() <= 1) return [];
+
+    const data = sheet.getRange(2, 1, sheet.getLastRow() - 1, 5).getValues();
+    const goals = [];
+    data.forEach((row, i) => {
+        if (!row[0]) return;
+        const where = `Goals row ${i + 2}`;
+        const target = Number(row[1]);
+        if (row[1] === '' || !(target > 0)) throw new Error(`${where}: Target Amount must be a positive number`);
+        if (!isValidDateValue(row[2]) || row[2] === '') throw new Error(`${where}: Target Date must be a date`);
+        const account = row[3].toString().trim();
+        if (!accountNames.includes(account)) {
+            throw new Error(`${where}: "${account}" is not a tracked account on the Accounts sheet`);
+        }
+        const contribution = row[4] === '' ? null : Number(row[4]);
+        if (contribution !== null && isNaN(contribution)) {
+            throw new Error(`${where}: Monthly Contribution must be a number`);
+        }
+
+        goals.push({
+            name: row[0].toString().trim(),                          // Column A
+            target: target,                                          // Column B
+            targetDate: new Date(row[2]),                            // Column C
+            account: account,                                        // Column D
+            contribution: contribution                               // Column E
+        });
+    });
+    return goals;
+}
+
+/**
+ * Writes each goal's progress next to it on the Goals sheet (columns F-J).
+ *
+ * @param {Spreadsheet} ss - The active spreadsheet object
+ * @param {Array<string>} accountNames - Tracked account names in projection order
+ * @param {Object} projection - Result of buildDailyProjection
+ * @param {Date} today - Progress is measured on this day
+ * @returns {number} - Number of goals that are Behind (0 without a Goals sheet)
+ */
+function updateGoals(ss, accountNames, projection, today) {
+    const goals = getGoals(ss, accountNames);
+    if (!goals) return 0;
+
+    const sheet = ss.getSheetByName(CONFIG.sheets.goals);
+    const results = evaluateGoals(goals, projection, today);
+    sheet.getRange(1, 6, 1, 5).setValues([['Saved Today', 'Progress', 'Projected Date', 'Monthly Shortfall', 'Status']])
+        .setFontWeight('bold');
+    if (sheet.getLastRow() <= 1) return 0;
+
+    // Results follow the goals in sheet order; rows without a goal are cleared
+    const names = sheet.getRange(2, 1, sheet.getLastRow() - 1, 1).getValues();
+    let next = 0;
+    const rows = names.map(row => {
+        if (!row[0]) return ['', '', '', '', ''];
+        const result = results[next++];
+        return [result.saved, result.progress, result.reachDate || 'Not projected', result.shortfall, result.status];
+    });
+
+    sheet.getRange(2, 6, rows.length, 5).setValues(rows);
+    sheet.getRange(2, 6, rows.length, 1).setNumberFormat('$#,##0.00;[RED]-$#,##0.00');
+    sheet.getRange(2, 7, rows.length, 1).setNumberFormat('0%');
+    sheet.getRange(2, 8, rows.length, 1).setNumberFormat('M/d/yyyy');
+    sheet.getRange(2, 9, rows.length, 1).setNumberFormat('$#,##0.00;[RED]-$#,##0.00');
+
+    // Highlight goals the current setup will not meet
+    const behindRule = SpreadsheetApp.newConditionalFormatRule()
+        .whenFormulaSatisfied('=$J2="Behind"')
+        .setBackground('#F4CCCC')
+        .setRanges([sheet.getRange(2, 1, rows.length, 10)])
+        .build();
+    sheet.setConditionalFormatRules([behindRule]);
+
+    return results.filter(result => result.status === 'Behind').length;
+}
+
+// ===========================
+// DEBT PAYOFF
+// ===========================
+
+/**
+ * Plans paying off every card that is projected to owe money today. Menu entry point.
+ *
+ * PROCESS FLOW:
+ * 1. Prompt for the monthly payoff budget and the strategy: Avalanche, Snowball
+ *    or the card names in payoff order
+ * 2. Simulate avalanche, snowball and (if given) the custom order from today's
+ *    projected balances, starting next month (see simulateDebtPayoff)
+ * 3. Write the comparison and the chosen plan's schedule to the Payoff Plan sheet
+ * 4. Offer to add the chosen plan to Recurring Transactions (see pushPayoffPlan)
+ */
+function planDebtPayoff() {
+    const ui = SpreadsheetApp.getUi();
+
+    try {
+        const ss = SpreadsheetApp.getActiveSpreadsheet();
+        const settings = getSettings(ss);
+        const inputs = loadEngineInputs(ss, settings);
+        const today = new Date();
+        const debts = getPayoffDebts(inputs, today);
+
+        // Step 1: Ask for the budget and the strategy
+        const budgetText = promptForValue(ui, 'Plan Debt Payoff',
+            `Cards to pay off: ${debts.map(debt => `${debt.name} ($${debt.balance.toFixed(2)})`).join(', ')}\n\n` +
+            'Monthly amount for all card payments together:');
+        if (budgetText === null) return;
+        const budget = parseMoney(budgetText);
+        if (budget === null || budget <= 0) throw new Error(`"${budgetText}" is not a positive amount`);
+
+        const strategyText = promptForValue(ui, 'Plan Debt Payoff',
+            'Strategy: Avalanche (highest APR first), Snowball (smallest balance first), ' +
+            'or the card names in payoff order, separated by commas:');
+        if (strategyText === null) return;
+        const chosen = ['avalanche', 'snowball'].includes(strategyText.toLowerCase()) ? strategyText.toLowerCase() : 'custom';
+
+        // Step 2: Simulate every strategy so they can be compared
+        const firstMonth = new Date(today.getFullYear(), today.getMonth() + 1, 1);
+        const plans = {};
+        ['avalanche', 'snowball', chosen].forEach(strategy => {
+            const order = orderDebts(debts, strategy, strategyText.split(','));
+            plans[strategy] = simulateDebtPayoff(debts, budget, order, firstMonth);
+        });
+
+        // Steps 3-4
+        writePayoffPlan(ss, debts, plans, chosen);
+        const label = chosen.charAt(0).toUpperCase() + chosen.slice(1);
+        const plan = plans[chosen];
+        if (ui.alert('Plan Debt Payoff',
+            `✅ ${label}: debt-free by ${formatShortDate(plan.debtFreeDate)} with ` +
+            `$${plan.totalInterest.toFixed(2)} in interest. See the Payoff Plan sheet.\n\n` +
+            'Add this plan to Recurring Transactions as monthly transfers?',
+            ui.ButtonSet.YES_NO) === ui.Button.YES) {
+            const count = pushPayoffPlan(ss, debts, plan);
+            ui.alert(`✅ Added ${count} recurring transfer(s). Run an update to see them in the monthly sheets.`);
+        }
+
+    } catch (error) {
+        console.error('Error in planDebtPayoff:', error);
+        ui.alert('❌ Error: ' + error.toString());
+    }
+}
+
+/**
+ * Lists the cards a payoff plan covers, with their projected balances today.
+ *
+ * @param {Object} inputs - Result of loadEngineInputs
+ * @param {Date} today - Date of the balances (clamped to the operating period)
+ * @returns {Array<Object>} - { name, balance (owed, positive), apr, minimum,
+ *   paymentDay, payFrom } for simulateDebtPayoff
+ * @throws {Error} - If no card owes money
+ *
+ * Cards are accounts whose Type contains "Credit" or that have a statement cycle.
+ * The minimum follows CONFIG.minimumPayment (or the card's floor when it pays the
+ * Minimum); payments fall on the card's Due Day (or the 1st) and come from its
+ * Pay From account, or the first tracked account that is not a card.
+ */
+function getPayoffDebts(inputs, today) {
+    const accountNames = inputs.accounts.map(acc => acc.name);
+    const projection = buildDailyProjection(projectYear(inputs), accountNames);
+    const periodStart = new Date(inputs.settings.year, inputs.settings.startMonth - 1, 1);
+    const periodEnd = new Date(inputs.settings.year, 11, 31);
+    const date = today < periodStart ? periodStart : (today > periodEnd ? periodEnd : today);
+    const balances = projectedBalancesOn(projection, date);
+
+    const isCard = acc => Boolean(acc.statement) || /credit/i.test(acc.type);
+    const fallbackPayFrom = inputs.accounts.find(acc => acc.active && !isCard(acc));
+    const debts = [];
+    inputs.accounts.forEach((acc, index) => {
+        const owed = Math.round(-balances[index] * 100) / 100;
+        if (!acc.active || !isCard(acc) || owed <= 0) return;
+
+        const floor = acc.statement && acc.statement.strategy === 'minimum'
+            ? acc.statement.amount
+            : CONFIG.minimumPayment.floor;
+        debts.push({
+            name: acc.name,
+            balance: owed,
+            apr: acc.rate || 0,
+            minimum: Math.max(floor, Math.round(owed * CONFIG.minimumPayment.percent) / 100),
+            paymentDay: acc.statement ? acc.statement.dueDay : 1,
+            payFrom: acc.statement && acc.statement.payFrom
+                ? acc.statement.payFrom
+                : (fallbackPayFrom ? fallbackPayFrom.name : '')
+        });
+    });
+
+    if (debts.length === 0) throw new Error(`No card is projected to owe money on ${formatShortDate(date)}`);
+    return debts;
+}
+
+/**
+ * Writes the Payoff Plan sheet.
+ *
+ * @param {Spreadsheet} ss - The active spreadsheet object
+ * @param {Array<Object>} debts - Result of getPayoffDebts
+ * @param {Object<string, Object>} plans - simulateDebtPayoff results by strategy
+ * @param {string} chosen - Strategy whose schedule is listed
+ *
+ * SHEET LAYOUT (rewritten on every plan):
+ * Strategy comparison: Strategy | Payoff Order | Debt-Free | Months | Total Interest | Total Paid
+ * Cards: Card | Balance | APR | Minimum | Payoff and Interest for each strategy
+ * Schedule (chosen strategy): Month | one payment column per card | Total
+ */
+function writePayoffPlan(ss, debts, plans, chosen) {
+    const sheet = ss.getSheetByName(CONFIG.sheets.payoff) || ss.insertSheet(CONFIG.sheets.payoff);
+    const money = '$#,##0.00;[RED]-$#,##0.00';
+    const strategies = Object.keys(plans);
+    const label = strategy => strategy.charAt(0).toUpperCase() + strategy.slice(1) +
+        (strategy === chosen ? ' (chosen)' : '');
+
+    const comparison = [['Strategy', 'Payoff Order', 'Debt-Free', 'Months', 'Total Interest', 'Total Paid']]
+        .concat(strategies.map(strategy => {
+            const plan = plans[strategy];
+            return [label(strategy), plan.order.join(', '), plan.debtFreeDate, plan.months.length,
+                plan.totalInterest, plan.totalPaid];
+        }));
+
+    const cardHeader = ['Card', 'Balance', 'APR', 'Minimum'];
+    strategies.forEach(strategy => cardHeader.push(`${label(strategy)} Payoff`, `${label(strategy)} Interest`));
+    const cards = [cardHeader].concat(debts.map((debt, i) => {
+        const row = [debt.name, debt.balance, debt.apr / 100, debt.minimum];
+        strategies.forEach(strategy => row.push(plans[strategy].cards[i].payoffDate, plans[strategy].cards[i].interest));
+        return row;
+    }));
+
+    const schedule = [['Month'].concat(debts.map(debt => debt.name), ['Total'])]
+        .concat(plans[chosen].months.map(month => [month.date].concat(month.payments,
+            [Math.round(month.payments.reduce((sum, amount) => sum + amount, 0) * 100) / 100])));
+
+    sheet.clear();
+    let row = 1;
+    [comparison, cards, schedule].forEach(block => {
+        sheet.getRange(row, 1, block.length, block[0].length).setValues(block);
+        sheet.getRange(row, 1, 1, block[0].length).setFontWeight('bold');
+        row += block.length + 1;
+    });
+
+    const cardsRow = comparison.length + 2;
+    const scheduleRow = cardsRow + cards.length + 1;
+    sheet.getRange(2, 3, strategies.length, 1).setNumberFormat('M/d/yyyy');
+    sheet.getRange(2, 5, strategies.length, 2).setNumberFormat(money);
+    sheet.getRange(cardsRow + 1, 2, debts.length, 1).setNumberFormat(money);
+    sheet.getRange(cardsRow + 1, 3, debts.length, 1).setNumberFormat('0.00%');
+    sheet.getRange(cardsRow + 1, 4, debts.length, 1).setNumberFormat(money);
+    strategies.forEach((strategy, i) => {
+        sheet.getRange(cardsRow + 1, 5 + i * 2, debts.length, 1).setNumberFormat('M/d/yyyy');
+        sheet.getRange(cardsRow + 1, 6 + i * 2, debts.length, 1).setNumberFormat(money);
+    });
+    sheet.getRange(scheduleRow + 1, 1, schedule.length - 1, 1).setNumberFormat('MMM yyyy');
+    sheet.getRange(scheduleRow + 1, 2, schedule.length - 1, debts.length + 1).setNumberFormat(money);
+}
+
+/**
+ * Marks the months in which each card is paid by a debt payoff plan, so its
+ * statement payments are not generated twice.
+ *
+ * @param {Array<Object>} accounts - Result of getAccountBalances (statements are updated)
+ * @param {Array<Object>} recurringItems - Active items from getRecurringItems
+ *
+ * Every active "Debt Payoff: <card>" transfer adds its Start-End Date range to the
+ * card's statement.paidByPlan (see buildGeneratedTransactions). Statements due
+ * before the plan starts or after it ends are still paid per the Payment column.
+ */
+function attachPayoffPlans(accounts, recurringItems) {
+    accounts.forEach(account => {
+        if (!account.statement) return;
+        account.statement.paidByPlan = recurringItems
+            .filter(item => item.description.toString().startsWith(CONFIG.payoffPrefix) &&
+                item.transferTo === account.name)
+            .map(item => ({ start: item.startDate, end: item.endDate }));
+    });
+}
+
+/**
+ * Adds a payoff plan to Recurring Transactions as Monthly transfers.
+ *
+ * @param {Spreadsheet} ss - The active spreadsheet object
+ * @param {Array<Object>} debts - Result of getPayoffDebts
+ * @param {Object} plan - The chosen simulateDebtPayoff result
+ * @returns {number} - Number of recurring rows added
+ *
+ * Rows from an earlier plan ("Debt Payoff: <card>") are replaced. Each run of equal
+ * payments becomes one row with a Start and End Date, under a "=== DEBT PAYOFF ==="
+ * divider. The Accounts sheet is left alone: while a card's plan rows run, its
+ * statement payments are not generated (see attachPayoffPlans).
+ */
+function pushPayoffPlan(ss, debts, plan) {
+    const sheet = ss.getSheetByName(CONFIG.sheets.recurring);
+    if (!sheet) throw new Error('Recurring Transactions sheet not found');
+
+    removeSheetRows(sheet, 17, row => row[0].toString().startsWith(CONFIG.payoffPrefix));
+    const hasDivider = sheet.getLastRow() > 0 && sheet.getRange(1, 1, sheet.getLastRow(), 1).getValues()
+        .some(row => row[0] === '=== DEBT PAYOFF ===');
+
+    const runs = payoffPaymentRuns(debts, plan);
+    const rows = hasDivider ? [] : [['=== DEBT PAYOFF ==='].concat(Array(16).fill(''))];
+    runs.forEach(run => {
+        const debt = debts.find(d => d.name === run.name);
+        rows.push([
+            CONFIG.payoffPrefix + run.name,   // Column A: Description
+            'Transfer',                       // Column B: Category
+            run.amount,                       // Column C: Amount
+            debt.payFrom,                     // Column D: Account
+            'Monthly',                        // Column E: Frequency
+            run.start,                        // Column F: Start Date
+            run.end,                          // Column G: End Date
+            run.paymentDay,                   // Column H: Day of Month
+            '',                               // Column I: Day of Week
+            true,                             // Column J: Active
+            '', '', '', '',                   // Columns K-N
+            run.name,                         // Column O: Transfer To
+            '',                               // Column P: Roll Rule
+            'Clamp'                           // Column Q: Month-End Policy (Due Day 31 in short months)
+        ]);
+    });
+    if (rows.length > 0) sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, 17).setValues(rows);
+
+    return runs.length;
+}
+
+// ===========================
+// CSV IMPORT
+// ===========================
+
+/**
+ * Imports a bank's CSV export into the Single Transactions sheet. Menu entry point.
+ *
+ * PROCESS FLOW:
+ * 1. Prompt for the column-mapping profile, the account and the file
+ *    (blank = the CSV Import sheet, otherwise a Drive file name or ID)
+ * 2. Map the rows (see mapImportRows) and look for ones already recorded
+ *    (see findImportDuplicates)
+ * 3. Write every row and what will happen to it to the Import Preview sheet
+ * 4. After confirmation, append the new rows to Single Transactions as Cleared
+ *
+ * CATEGORIES:
+ * - Money out: Uncategorized
+ * - Money in on a credit card (payments, refunds): Transfer, so it reduces the amount owed
+ * - Money in on other accounts: Income
+ */
+function importCsv() {
+    const ui = SpreadsheetApp.getUi();
+
+    try {
+        const ss = SpreadsheetApp.getActiveSpreadsheet();
+        const settings = getSettings(ss);
+        const inputs = loadEngineInputs(ss, settings);
+        const profiles = getImportProfiles(ss);
+
+        // Step 1: Ask what to import
+        const profileName = promptForValue(ui, 'Import CSV',
+            `Column mapping profile:\n${profiles.map(profile => profile.name).join(', ')}`);
+        if (profileName === null) return;
+        const profile = profiles.find(p => p.name.toLowerCase() === profileName.toLowerCase());
+        if (!profile) throw new Error(`"${profileName}" is not an import profile`);
+
+        const accountName = promptForValue(ui, 'Import CSV',
+            `Account the file belongs to:\n${inputs.accounts.map(acc => acc.name).join(', ')}`);
+        if (accountName === null) return;
+        const account = inputs.accounts.find(acc => acc.name.toLowerCase() === accountName.toLowerCase());
+        if (!account) throw new Error(`"${accountName}" is not a tracked account`);
+
+        const fileRef = promptForValue(ui, 'Import CSV',
+            `Drive file name or ID, or leave blank to use the "${CONFIG.sheets.csvImport}" sheet:`);
+        if (fileRef === null) return;
+
+        // Steps 2-4: Map, match, preview and commit
+        const rows = fileRef ? parseCsv(readDriveFile(fileRef)) : readCsvFromSheet(ss);
+        const mapped = mapImportRows(rows, profile);
+        const candidates = mapped.transactions.map(trans => importCandidate(trans, account));
+        previewAndImport(ui, ss, inputs, 'Import CSV', profile.name, candidates, mapped.errors);
+
+    } catch (error) {
+        console.error('Error in importCsv:', error);
+        ui.alert('❌ Error: ' + error.toString());
+    }
+}
+
+/**
+ * Imports an OFX or QFX download from Google Drive. Menu entry point.
+ *
+ * PROCESS FLOW:
+ * 1. Prompt for the Drive file name or ID
+ * 2. Match each statement in the file to a tracked account by its ACCTID
+ *    (Accounts sheet Column J)
+ * 3. Preview and import as Import CSV does; rows whose FITID is already on
+ *    Single Transactions (Column I) are skipped, so a file can be imported twice
+ * 4. Reconcile each account against the statement's ledger balance (LEDGERBAL)
+ */
+function importOfx() {
+    const ui = SpreadsheetApp.getUi();
+
+    try {
+        const ss = SpreadsheetApp.getActiveSpreadsheet();
+        const settings = getSettings(ss);
+        const inputs = loadEngineInputs(ss, settings);
+
+        // Step 1: Read the file
+        const fileRef = promptForValue(ui, 'Import OFX', 'Drive file name or ID of the OFX or QFX download:');
+        if (fileRef === null) return;
+        const statements = parseOfx(readDriveFile(fileRef));
+
+        // Steps 2-3: Match accounts, preview and commit
+        const matched = statements.map(statement => ({
+            statement: statement,
+            account: findStatementAccount(inputs.accounts, statement.accountId)
+        }));
+        const candidates = [].concat(...matched.map(entry =>
+            entry.statement.transactions.map(trans => importCandidate(trans, entry.account))));
+        if (!previewAndImport(ui, ss, inputs, 'Import OFX', 'OFX', candidates, [])) return;
+
+        // Step 4: Check the new cleared balances against the bank's
+        const periodStart = new Date(settings.year, settings.startMonth - 1, 1);
+        const updated = loadEngineInputs(ss, settings);
+        matched.forEach(entry => {
+            const { ledgerBalance, ledgerDate } = entry.statement;
+            if (ledgerBalance === null || !ledgerDate || ledgerDate < periodStart) return;
+            runReconciliation(ui, ss, updated, entry.account, ledgerDate, ledgerBalance);
+        });
+
+    } catch (error) {
+        console.error('Error in importOfx:', error);
+        ui.alert('❌ Error: ' + error.toString());
+    }
+}
+
+/**
+ * Finds the tracked account an OFX statement belongs to.
+ *
+ * @param {Array<Object>} accounts - Tracked accounts from getAccountBalances
+ * @param {string} accountId - The statement's ACCTID
+ * @returns {Object} - The matching account
+ * @throws {Error} - If no account's Bank Account ID matches
+ *
+ * A Bank Account ID matches when it equals the ACCTID or, with at least four
+ * characters, is its ending (banks often mask all but the last digits).
+ */
+function findStatementAccount(accounts, accountId) {
+    const account = accounts.find(acc => acc.bankAccountId && (acc.bankAccountId === accountId ||
+        (acc.bankAccountId.length >= 4 && accountId.endsWith(acc.bankAccountId))));
+    if (!account) {
+        throw new Error(`OFX account ${accountId} is not on the Accounts sheet. ` +
+            'Enter it (or its last four digits) as the Bank Account ID in column J.');
+    }
+    return account;
+}
+
+/**
+ * Gives a mapped bank transaction its account and a starting category.
+ *
+ * @param {Object} trans - Transaction from mapImportRows or parseOfx (+ money in)
+ * @param {Object} account - Tracked account the file belongs to
+ * @returns {Object} - Candidate for findImportDuplicates and importRow
+ */
+function importCandidate(trans, account) {
+    const isCard = /credit/i.test(account.type);
+    return {
+        date: trans.date,
+        description: trans.description,
+        category: trans.amount < 0 ? 'Uncategorized' : (isCard ? 'Transfer' : 'Income'),
+        account: account.name,
+        amount: trans.amount,
+        importId: trans.importId || ''
+    };
+}
+
+/**
+ * Categorizes imported transactions with the Rules sheet, skips those already
+ * recorded, shows the rest on the Import Preview sheet and appends them to
+ * Single Transactions once the user confirms.
+ *
+ * @param {Ui} ui - Spreadsheet UI
+ * @param {Spreadsheet} ss - The active spreadsheet object
+ * @param {Object} inputs - Result of loadEngineInputs
+ * @param {string} title - Dialog title
+ * @param {string} sourceName - Profile or format, recorded in Notes
+ * @param {Array<Object>} candidates - Results of importCandidate
+ * @param {Array<Object>} errors - Unreadable rows ({ line, message })
+ * @returns {boolean} - False if the user declined the import
+ */
+function previewAndImport(ui, ss, inputs, title, sourceName, candidates, errors) {
+    const rules = getCategoryRules(ss);
+    candidates = candidates.map(trans => applyCategoryRules(rules, trans));
+    const duplicates = findImportDuplicates(candidates, buildTransactionSchedule(inputs), CONFIG.importMatch);
+    const newRows = candidates.filter((trans, i) => !duplicates[i]);
+    const accountNames = [...new Set(newRows.map(trans => trans.account))].join(', ');
+
+    writeImportPreview(ss, sourceName, candidates, duplicates, errors);
+    if (newRows.length === 0) {
+        ui.alert(`Nothing to import: ${candidates.length} row(s) are already recorded and ` +
+            `${errors.length} could not be read.\n\nSee the ${CONFIG.sheets.importPreview} sheet.`);
+        return true;
+    }
+
+    const confirmed = ui.alert(title,
+        `Import ${newRows.length} new transaction(s) into ${accountNames}?\n\n` +
+        `${candidates.length - newRows.length} already recorded and ` +
+        `${errors.length} unreadable row(s) will be skipped. ` +
+        `See the ${CONFIG.sheets.importPreview} sheet for details.`,
+        ui.ButtonSet.YES_NO);
+    if (confirmed !== ui.Button.YES) return false;
+
+    appendImportedTransactions(ss, sourceName, newRows);
+    ui.alert(`✅ Imported ${newRows.length} transaction(s) into ${accountNames}.\n\n` +
+        'Review the Uncategorized rows on Single Transactions, then update the monthly sheets.');
+    return true;
+}
+
+/**
+ * Returns the built-in import profiles plus those on the Import Profiles sheet.
+ *
+ * @param {Spreadsheet} ss - The active spreadsheet object
+ * @returns {Array<Object>} - Profiles for mapImportRows, each with a name
+ * @throws {Error} - If a sheet profile has an unknown sign convention
+ *
+ * IMPORT PROFILES SHEET STRUCTURE (optional):
+ * Column A: Profile name (a built-in name replaces that profile)
+ * Column B: Date column (header name or column number)
+ * Column C: Description column
+ * Column D: Amount column (leave blank when the file has Debit/Credit columns)
+ * Column E: Debit column
+ * Column F: Credit column
+ * Column G: Sign (Bank = positive is money in, Card = positive is a charge)
+ * Column H: Has Header (blank or TRUE = yes, FALSE = no)
+ */
+function getImportProfiles(ss) {
+    const profiles = CONFIG.importProfiles.slice();
+    const sheet = ss.getSheetByName(CONFIG.sheets.importProfiles);
+    if (!sheet || sheet.getLastRow() <= 1) return profiles;
+
+    const data = sheet.getRange(2, 1, sheet.getLastRow() - 1, 8).getValues();
+    data.forEach((row, i) => {
+        if (!row[0]) return; // Skip empty rows
+
+        const sign = (row[6] || 'bank').toString().trim().toLowerCase();
+        if (sign !== 'bank' && sign !== 'card') {
+            throw new Error(`Import Profiles row ${i + 2}: Sign must be Bank or Card`);
+        }
+
+        const profile = {
+            name: row[0].toString().trim(),   // Column A
+            date: row[1],                     // Column B
+            description: row[2],              // Column C
+            amount: row[3],                   // Column D
+            debit: row[4],                    // Column E
+            credit: row[5],                   // Column F
+            sign: sign,                       // Column G
+            header: row[7] !== false          // Column H
+        };
+
+        const existing = profiles.findIndex(p => p.name.toLowerCase() === profile.name.toLowerCase());
+        if (existing === -1) {
+            profiles.push(profile);
+        } else {
+            profiles[existing] = profile;
+        }
+    });
+
+    return profiles;
+}
+
+/**
+ * Reads a pasted export from the CSV Import sheet. Pasting into Sheets usually
+ * splits the columns already; a paste that left whole lines in Column A is
+ * parsed as CSV text.
+ *
+ * @param {Spreadsheet} ss - The active spreadsheet object
+ * @returns {Array<Array<*>>} - Rows of cell values
+ * @throws {Error} - If the sheet is missing or empty
+ */
+function readCsvFromSheet(ss) {
+    const sheet = ss.getSheetByName(CONFIG.sheets.csvImport);
+    if (!sheet || sheet.getLastRow() === 0) {
+        throw new Error(`Paste the bank export into a sheet named "${CONFIG.sheets.csvImport}" first`);
+    }
+
+    const values = sheet.getRange(1, 1, sheet.getLastRow(), sheet.getLastColumn()).getValues();
+    if (sheet.getLastColumn() === 1) {
+        return parseCsv(values.map(row => row[0].toString()).join('\n'));
+    }
+    return values.filter(row => row.some(value => value !== ''));
+}
+
+/**
+ * Reads a text file (CSV, OFX or QFX) from Google Drive.
+ *
+ * @param {string} fileRef - File ID, or the exact file name
+ * @returns {string} - File contents
+ * @throws {Error} - If no such file exists
+ */
+function readDriveFile(fileRef) {
+    let file = null;
+    try {
+        file = DriveApp.getFileById(fileRef);
+    } catch (error) {
+        const matches = DriveApp.getFilesByName(fileRef);
+        if (matches.hasNext()) file = matches.next();
+    }
+    if (!file) throw new Error(`No Drive file named "${fileRef}" was found`);
+
+    return file.getBlob().getDataAsString();
+}
+
+/**
+ * Writes the Import Preview sheet: each mapped row as it will appear on
+ * Single Transactions, followed by what the import will do with it.
+ *
+ * @param {Spreadsheet} ss - The active spreadsheet object
+ * @param {string} profileName - Profile or format used
+ * @param {Array<Object>} candidates - Results of importCandidate
+ * @param {Array<Object|null>} duplicates - Result of findImportDuplicates
+ * @param {Array<Object>} errors - Unreadable rows from mapImportRows
+ *
+ * SHEET LAYOUT (rewritten on every import):
+ * Columns A-I: Single Transactions columns A-I | Column J: Import Result
+ */
+function writeImportPreview(ss, profileName, candidates, duplicates, errors) {
+    const sheet = ss.getSheetByName(CONFIG.sheets.importPreview) ||
+        ss.insertSheet(CONFIG.sheets.importPreview);
+    const header = ['Date', 'Description', 'Category', 'Account', 'Amount', 'Transfer To', 'Notes', 'Status',
+        'Bank ID', 'Import Result'];
+    const rows = candidates.map((trans, i) => {
+        const match = duplicates[i];
+        let result = trans.ruleFlag ? `New - check: ${trans.ruleFlag}` : 'New';
+        if (match && match.source === 'Single' && trans.importId && match.importId === trans.importId) {
+            result = `Skip: already imported (Single Transactions row ${match.statusRow})`;
+        } else if (match && match.source === 'Single') {
+            result = `Skip: already on Single Transactions row ${match.statusRow}`;
+        } else if (match) {
+            result = `Skip: matches recurring "${match.description}" on ${formatShortDate(match.date)}`;
+        }
+        return importRow(profileName, trans).concat([result]);
+    });
+    errors.forEach(error => {
+        rows.push(['', '', '', '', '', '', `CSV line ${error.line}`, '', '', `Skip: ${error.message}`]);
+    });
+
+    sheet.clear();
+    sheet.getRange(1, 1, 1, header.length).setValues([header]).setFontWeight('bold');
+    if (rows.length > 0) {
+        sheet.getRange(2, 1, rows.length, header.length).setValues(rows);
+        sheet.getRange(2, 1, rows.length, 1).setNumberFormat('M/d/yyyy');
+        sheet.getRange(2, 5, rows.length, 1).setNumberFormat('$#,##0.00;[RED]-$#,##0.00');
+    }
+}
+
+/**
+ * Appends imported transactions below the last row of Single Transactions.
+ *
+ * @param {Spreadsheet} ss - The active spreadsheet object
+ * @param {string} profileName - Profile used (recorded in Notes)
+ * @param {Array<Object>} transactions - New transactions to record
+ */
+function appendImportedTransactions(ss, profileName, transactions) {
+    const sheet = ss.getSheetByName(CONFIG.sheets.single);
+    if (!sheet) throw new Error('Single Transactions sheet not found');
+
+    const firstRow = sheet.getLastRow() + 1;
+    const rows = transactions.map(trans => importRow(profileName, trans));
+    sheet.getRange(firstRow, 1, rows.length, rows[0].length).setValues(rows);
+
+    transactions.forEach((trans, i) => {
+        if (trans.ruleFlag) flagCategoryCell(sheet, firstRow + i, trans.ruleFlag);
+    });
+}
+
+/**
+ * Lays out one imported transaction as a Single Transactions row (A-I).
+ *
+ * @param {string} profileName - Profile or format used (recorded in Notes)
+ * @param {Object} trans - Result of importCandidate
+ * @returns {Array<*>} - Row values
+ */
+function importRow(profileName, trans) {
+    return [
+        trans.date,
+        trans.description,
+        trans.category,
+        trans.account,
+        enteredAmount(trans.amount, trans.category, null),
+        '',
+        `Imported (${profileName})`,
+        'Cleared',                      // The bank has already posted it
+        trans.importId
+    ];
+}
+
+// ===========================
+// CATEGORY RULES
+// ===========================
+
+/**
+ * Reads the categorization rules from the Rules sheet.
+ *
+ * @param {Spreadsheet} ss - The active spreadsheet object
+ * @returns {Array<Object>} - Rules from compileRule, in sheet order (empty if no sheet)
+ * @throws {Error} - If a rule is incomplete or its pattern or amounts are invalid
+ *
+ * RULES SHEET STRUCTURE (optional):
+ * Column A: Pattern (text the description contains, or a regular expression)
+ * Column B: Match (Contains or Regex; blank = Contains; case is ignored)
+ * Column C: Min Amount (optional, compared with the amount ignoring its sign)
+ * Column D: Max Amount (optional)
+ * Column E: Account (optional: only match transactions on this account)
+ * Column F: Category to assign
+ * Column G: Set Account (optional: move the transaction to this account)
+ * Column H: Set Description (optional: replace the bank's description)
+ *
+ * The first matching rule wins; put specific rules above general ones.
+ */
+function getCategoryRules(ss) {
+    const sheet = ss.getSheetByName(CONFIG.sheets.rules);
+    if (!sheet || sheet.getLastRow() <= 1) return [];
+
+    const data = sheet.getRange(2, 1, sheet.getLastRow() - 1, 8).getValues();
+    const rules = [];
+
+    data.forEach((row, i) => {
+        if (row[0] === '' || row[0] === null) return; // Skip empty rows
+
+        const where = `Rules row ${i + 2}`;
+        if (!row[5]) throw new Error(`${where}: Category is required`);
+        const amount = (value, label) => {
+            if (value === '' || value === null) return null;
+            if (isNaN(Number(value))) throw new Error(`${label} must be a number`);
+            return Math.abs(Number(value));
+        };
+
+        try {
+            rules.push(compileRule({
+                row: i + 2,
+                pattern: row[0],                                      // Column A
+                matchType: row[1],                                    // Column B
+                minAmount: amount(row[2], 'Min Amount'),              // Column C
+                maxAmount: amount(row[3], 'Max Amount'),              // Column D
+                account: row[4] ? row[4].toString().trim() : '',     // Column E
+                category: row[5].toString().trim(),                   // Column F
+                setAccount: row[6] ? row[6].toString().trim() : '',  // Column G
+                setDescription: row[7] ? row[7].toString().trim() : ''    // Column H
+            }));
+        } catch (error) {
+            throw new Error(`${where}: ${error.message}`);
+        }
+    });
+
+    return rules;
+}
+
+/**
+ * Runs the rules over one imported transaction.
+ *
+ * @param {Array<Object>} rules - Result of getCategoryRules
+ * @param {Object} trans - Result of importCandidate
+ * @returns {Object} - A copy with the first rule applied and `ruleFlag` set to a
+ *   message when the row needs a look ('' otherwise)
+ */
+function applyCategoryRules(rules, trans) {
+    const outcome = categorizeTransaction(rules, trans);
+    return Object.assign({}, trans, outcome.result || {}, { ruleFlag: ruleFlag(outcome) });
+}
+
+/**
+ * Describes why a categorization needs a look.
+ *
+ * @param {Object} outcome - Result of categorizeTransaction
+ * @returns {string} - Message, or '' if nothing is wrong
+ */
+function ruleFlag(outcome) {
+    if (outcome.conflict) return outcome.conflict;
+    if (outcome.matches.length > 1) {
+        return `Matches Rules rows ${outcome.matches.map(rule => rule.row).join(', ')}; ` +
+            `row ${outcome.matches[0].row} was used`;
+    }
+    return '';
+}
+
+/**
+ * Highlights a Single Transactions Category cell and explains why in its note.
+ *
+ * @param {Sheet} sheet - Single Transactions sheet
+ * @param {number} row - Sheet row
+ * @param {string} message - Note text
+ */
+function flagCategoryCell(sheet, row, message) {
+    sheet.getRange(row, 3).setNote(message).setBackground('#FFF2CC');
+}
+
+/**
+ * Categorizes every Single Transactions row whose Category is blank or
+ * Uncategorized using the Rules sheet. Menu entry point.
+ *
+ * Description, Category, Account and Amount (re-entered for the new category's
+ * sign rule) are rewritten only on rows a rule matched, one call per run of
+ * consecutive rows, so other rows keep their formulas. Rows matching more than one rule, or
+ * whose rule would reverse their direction, are highlighted with a note.
+ */
+function categorizeUncategorized() {
+    const ui = SpreadsheetApp.getUi();
+
+    try {
+        const ss = SpreadsheetApp.getActiveSpreadsheet();
+        const rules = getCategoryRules(ss);
+        if (rules.length === 0) {
+            ui.alert(`No rules found. Add patterns to the "${CONFIG.sheets.rules}" sheet first.`);
+            return;
+        }
+
+        const sheet = ss.getSheetByName(CONFIG.sheets.single);
+        if (!sheet || sheet.getLastRow() <= 1) throw new Error('No single transactions found');
+
+        // Columns A (date) through F (transfer to); B-E are written back
+        const data = sheet.getRange(2, 1, sheet.getLastRow() - 1, 6).getValues();
+        const flagged = [];
+        const changed = [];
+        let uncategorized = 0;
+
+        data.forEach((row, i) => {
+            const category = (row[2] || '').toString().trim();
+            if (!row[0] || (category !== '' && category !== 'Uncategorized')) return;
+            uncategorized++;
+
+            const transferTo = row[5] || null;
+            const amount = normalizeAmount(Number(row[4]) || 0, category, transferTo);
+            const outcome = categorizeTransaction(rules, {
+                description: row[1], account: row[3], amount: amount, transferTo: transferTo
+            });
+
+            if (outcome.result) {
+                row[1] = outcome.result.description;
+                row[2] = outcome.result.category;
+                row[3] = outcome.result.account;
+                row[4] = enteredAmount(amount, outcome.result.category, transferTo);
+                changed.push(i);
+            }
+            const flag = ruleFlag(outcome);
+            if (flag) flagged.push({ row: i + 2, message: flag });
+        });
+
+        // Write consecutive changed rows as one block
+        changed.forEach((index, n) => {
+            if (n > 0 && changed[n - 1] === index - 1) return;
+            let end = n;
+            while (end + 1 < changed.length && changed[end + 1] === changed[end] + 1) end++;
+            sheet.getRange(index + 2, 2, end - n + 1, 4)
+                .setValues(data.slice(index, changed[end] + 1).map(row => row.slice(1, 5)));
+        });
+        flagged.forEach(entry => flagCategoryCell(sheet, entry.row, entry.message));
+
+        ui.alert(`✅ Categorized ${changed.length} of ${uncategorized} uncategorized transaction(s).` +
+            (flagged.length > 0
+                ? `\n\n⚠️ ${flagged.length} row(s) are highlighted; see the notes in the Category column.`
+                : ''));
+
+    } catch (error) {
+        console.error('Error in categorizeUncategorized:', error);
+        ui.alert('❌ Error: ' + error.toString());
+    }
+}
+
+// ===========================
+// CUSTOM FUNCTIONS
+// ===========================
+
+/**
+ * Projected balance of an account at the end of a day.
+ *
+ * @param {string} account Account name exactly as on the Accounts sheet.
+ * @param {Date} date Day to look up, within the operating year.
+ * @param {*} [refresh] Optional cell that changes after each update (e.g. Last Updated
+ *     on the Settings sheet) so the result recalculates.
+ * @return The projected end-of-day balance.
+ * @customfunction
+ */
+function BALANCE_ON(account, date, refresh) {
+    const projection = getDailyProjection();
+    const index = findProjectedAccount(projection, account);
+    return projectedBalancesOn(projection, toDateArgument(date, 'date'))[index];
+}
+
+/**
+ * Projected net worth (all tracked accounts) at the end of a day.
+ *
+ * @param {Date} date Day to look up, within the operating year.
+ * @param {*} [refresh] Optional cell that changes after each update (e.g. Last Updated
+ *     on the Settings sheet) so the result recalculates.
+ * @return The projected end-of-day net worth.
+ * @customfunction
+ */
+function NETWORTH_ON(date, refresh) {
+    return projectedBalancesOn(getDailyProjection(), toDateArgument(date, 'date'))
+        .reduce((sum, bal) => sum + bal, 0);
+}
+
+/**
+ * Lowest projected end-of-day balance of an account between two dates.
+ *
+ * @param {string} account Account name exactly as on the Accounts sheet.
+ * @param {Date} start First day of the range.
+ * @param {Date} end Last day of the range (inclusive).
+ * @param {*} [refresh] Optional cell that changes after each update (e.g. Last Updated
+ *     on the Settings sheet) so the result recalculates.
+ * @return The minimum projected balance over the range.
+ * @customfunction
+ */
+function MIN_BALANCE_BETWEEN(account, start, end, refresh) {
+    const projection = getDailyProjection();
+    const index = findProjectedAccount(projection, account);
+    return minProjectedBalance(projection, index,
+        toDateArgument(start, 'start'), toDateArgument(end, 'end'));
+}
+
+/**
+ * Returns the daily projection, from the document cache when possible.
+ * Every update refreshes the cache; after it expires the projection is rebuilt
+ * from the input sheets on the next call. The rebuild only reads sheets (see
+ * readSettings), since custom functions may not modify the workbook.
+ *
+ * @returns {Object} - Projection from buildDailyProjection
+ */
+function getDailyProjection() {
+    const cached = readCachedProjection();
+    if (cached) return cached;
+
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const inputs = loadEngineInputs(ss, readSettings(ss));
+    const projection = buildDailyProjection(projectYear(inputs), inputs.accounts.map(acc => acc.name));
+
+    cacheDailyProjection(projection);
+    return projection;
+}
+
+/**
+ * Stores a projection in the document cache, split across entries to stay under
+ * the per-entry size limit.
+ *
+ * @param {Object} projection - Projection from buildDailyProjection
+ */
+function cacheDailyProjection(projection) {
+    const settings = CONFIG.projectionCache;
+    const json = JSON.stringify(projection);
+    const entries = {};
+    let count = 0;
+
+    for (let offset = 0; offset < json.length; offset += settings.chunkSize) {
+        entries[`${settings.key}:${count++}`] = json.slice(offset, offset + settings.chunkSize);
+    }
+    entries[settings.key] = String(count);
+
+    CacheService.getDocumentCache().putAll(entries, settings.seconds);
+}
+
+/**
+ * Reads the cached projection.
+ *
+ * @returns {Object|null} - The projection, or null if missing, partly evicted or unreadable
+ */
+function readCachedProjection() {
+    const settings = CONFIG.projectionCache;
+    const cache = CacheService.getDocumentCache();
+    const count = Number(cache.get(settings.key));
+    if (!count) return null;
+
+    const keys = [];
+    for (let i = 0; i < count; i++) keys.push(`${settings.key}:${i}`);
+    const chunks = cache.getAll(keys);
+    if (keys.some(key => chunks[key] === undefined || chunks[key] === null)) return null;
+
+    try {
+        return JSON.parse(keys.map(key => chunks[key]).join(''));
+    } catch (error) {
+        console.log('Ignoring unreadable cached projection');
+        return null;
+    }
+}
+
+/**
+ * Resolves an account name argument to its projection column.
+ *
+ * @param {Object} projection - Projection from buildDailyProjection
+ * @param {*} account - Account name as typed in the formula
+ * @returns {number} - Index into projection.accounts
+ * @throws {Error} - If the account is not tracked
+ */
+function findProjectedAccount(projection, account) {
+    const name = (account || '').toString().trim();
+    const index = projection.accounts.indexOf(name);
+    if (index === -1) {
+        throw new Error(`Unknown account "${name}". Use a name from the Accounts sheet.`);
+    }
+    return index;
+}
+
+/**
+ * Converts a custom function date argument (a date cell or date text) to a Date.
+ *
+ * @param {*} value - Argument value
+ * @param {string} label - Argument name for the error message
+ * @returns {Date} - The date
+ * @throws {Error} - If the value is not a date
+ */
+function toDateArgument(value, label) {
+    const date = value instanceof Date ? value : new Date(value);
+    if (value === '' || value === null || value === undefined || isNaN(date.getTime())) {
+        throw new Error(`"${label}" must be a date`);
+    }
+    return date;
+}
+
+// ===========================
+// USER INTERFACE FUNCTIONS
+// ===========================
+
+/**
+ * Creates custom menu system when spreadsheet opens.
+ * Provides user-friendly access to all automation functions.
  *
  * MENU STRUCTURE:
  * - Update functions (main automation)
  * - Testing and debugging tools
  * - Configuration management
  * - Automation scheduling
+ * - Year-end rollover
  * - Help and documentation
  */
 function onOpen() {
@@ -726,38 +3123,59 @@ function onOpen() {
         .addSeparator()
         .addItem('🧪 Test Recurring Calculations', 'testRecurringCalculations')
         .addItem('📋 View Configuration', 'showConfiguration')
+        .addItem('✔️ Validate Inputs', 'validateInputs')
+        .addItem('🏦 Load Federal Reserve Holidays', 'loadFederalReserveHolidays')
+        .addItem('🧾 Reconcile Account', 'reconcileAccount')
+        .addItem('📥 Import CSV', 'importCsv')
+        .addItem('📥 Import OFX/QFX', 'importOfx')
+        .addItem('🏷️ Categorize Uncategorized', 'categorizeUncategorized')
+        .addItem('💳 Plan Debt Payoff', 'planDebtPayoff')
         .addSeparator()
         .addItem('⚙️ Setup Daily Auto-Update', 'setupDailyTrigger')
         .addItem('🔧 Remove Auto-Update', 'removeTriggers')
         .addSeparator()
+        .addItem('🎆 Start New Year', 'startNewYear')
+        .addSeparator()
         .addItem('ℹ️ Help', 'showHelp')
         .show();
 }
 
 /**
- * Updates only the current month (simplified version).
- * Currently calls full update to maintain balance continuity.
- *
- * TODO: Implement optimized single-month update that preserves
- * cross-month balance relationships.
+ * Targeted update: rewrites the current month and every month after it.
+ * Earlier months are rewritten only if their inputs changed since the last run
+ * (see rebuildMonthlySheets), so their notes and formatting survive.
+ * "Update All Monthly Sheets" remains the forced full rebuild.
  */
 function updateCurrentMonthOnly() {
-    const today = new Date();
-    const currentMonth = today.getMonth() + 1;
+    try {
+        const ss = SpreadsheetApp.getActiveSpreadsheet();
+        const settings = getSettings(ss);
+        const today = new Date();
+        const periodStart = new Date(settings.year, settings.startMonth - 1, 1);
+
+        if (today < periodStart) {
+            const monthName = CONFIG.monthSheets[settings.startMonth - 1];
+            SpreadsheetApp.getUi().alert(`No data available before ${monthName} ${settings.year}`);
+            return;
+        }
 
-    if (currentMonth < CONFIG.startMonth) {
-        SpreadsheetApp.getUi().alert('No data available before September 2025');
-        return;
-    }
+        // Once the operating year is over, every month counts as "earlier"
+        const currentMonth = today.getFullYear() > settings.year ? 13 : today.getMonth() + 1;
+        const result = rebuildMonthlySheets(ss, settings, currentMonth);
+
+        const headline = result.writtenMonths.length > 0
+            ? `✅ Updated ${result.writtenMonths.join(', ')} (other months unchanged)`
+            : '✅ All monthly sheets already up to date';
+        SpreadsheetApp.getUi().alert(buildUpdateMessage(headline, result));
 
-    // For now, update all months to maintain balance continuity
-    // TODO: Implement optimized current-month-only update
-    updateAllMonthlySheets();
+    } catch (error) {
+        handleError(error, 'updateCurrentMonthOnly');
+    }
 }
 
 /**
  * Testing function to debug recurring transaction calculations.
- * Displays September recurring transactions in a user-friendly format.
+ * Displays the start month's recurring transactions in a user-friendly format.
  *
  * DEBUGGING OUTPUT:
  * - Groups transactions by date
@@ -766,9 +3184,11 @@ function updateCurrentMonthOnly() {
  */
 function testRecurringCalculations() {
     const ss = SpreadsheetApp.getActiveSpreadsheet();
-    const recurring = getRecurringTransactionsForMonth(ss, 9, 2025); // Test September
+    const settings = getSettings(ss);
+    const monthName = CONFIG.monthSheets[settings.startMonth - 1];
+    const recurring = getRecurringTransactionsForMonth(ss, settings.startMonth, settings.year);
 
-    let message = 'September Recurring Transactions:\n\n';
+    let message = `${monthName} ${settings.year} Recurring Transactions:\n\n`;
 
     // Group transactions by date for better readability
     const byDate = {};
@@ -795,13 +3215,18 @@ function testRecurringCalculations() {
  * Helps verify setup and troubleshoot configuration issues.
  */
 function showConfiguration() {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const settings = getSettings(ss);
+    const accounts = getAccountBalances(ss, settings);
     const message = `Current Configuration:
   
-Year: ${CONFIG.year}
-Start Month: ${CONFIG.monthSheets[CONFIG.startMonth - 1]} (${CONFIG.startMonth})
+Year: ${settings.year}
+Start Month: ${CONFIG.monthSheets[settings.startMonth - 1]} (${settings.startMonth})
+Month-End Policy: ${settings.monthEndPolicy}
+Alert Email: ${settings.alertEmail || Session.getEffectiveUser().getEmail()}
 
 Accounts Tracked:
-${CONFIG.accountColumns.map((acc, i) => `${i + 1}. ${acc}`).join('\n')}
+${accounts.map((acc, i) => `${i + 1}. ${acc.name}${acc.active ? '' : ' (Closed)'}`).join('\n')}
 
 Monthly Sheets:
 ${CONFIG.monthSheets.join(', ')}`;
@@ -816,7 +3241,7 @@ ${CONFIG.monthSheets.join(', ')}`;
 function setupDailyTrigger() {
     removeTriggers();
 
-    ScriptApp.newTrigger('updateAllMonthlySheets')
+    ScriptApp.newTrigger('runScheduledUpdate')
         .timeBased()
         .everyDays(1)
         .atHour(2)
@@ -825,6 +3250,18 @@ function setupDailyTrigger() {
     SpreadsheetApp.getUi().alert('✅ Daily auto-update enabled (runs at 2 AM)');
 }
 
+/**
+ * Time-driven entry point for the daily trigger.
+ * Same full rebuild as "Update All Monthly Sheets", but without dialogs, which
+ * cannot be shown from a trigger. Alerts reach the user by email instead
+ * (see updateBalanceAlerts); failures are logged to the execution log.
+ */
+function runScheduledUpdate() {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const result = rebuildMonthlySheets(ss, getSettings(ss));
+    console.log(buildUpdateMessage('Scheduled update finished', result));
+}
+
 /**
  * Removes all existing script triggers.
  * Used for disabling automation or before setting up new triggers.
@@ -841,24 +3278,90 @@ function removeTriggers() {
 function showHelp() {
     const message = `Finance Tracker Help:
 
-1. UPDATE SHEETS: Click "Update All Monthly Sheets" to refresh all data
+1. UPDATE SHEETS:
+   - "Update Current Month" rewrites this month onward, plus any
+     earlier month whose inputs changed
+   - "Update All Monthly Sheets" forces a full rebuild
 
 2. RECURRING TRANSACTIONS: 
    - Managed in "Recurring Transactions" sheet
    - Changes there automatically flow to all months
+   - Fill "Transfer To" (column O) for card payments and savings sweeps
+   - Skip, re-price or move one occurrence on "Recurring Overrides"
+   - Set "Roll Rule" (column P) to Previous/Next Business Day for
+     paychecks and autopays; load holidays from the menu first
+   - Share a paycheck between accounts on "Allocation Rules"
+     (percent or fixed amount; the rest stays in the item's
+     own account)
+   - Bills on the 29th-31st follow the Month-End Policy (Settings
+     sheet, or column Q per item): Clamp, Roll or Skip
    
 3. SINGLE TRANSACTIONS:
    - Enter in "Single Transactions" sheet
    - Automatically appear in correct month
+   - Split a receipt: Category "Split" with the total and a
+     Split ID (column J), then one row per part with the same ID
+   - Set Status (column H) to Cleared once the bank shows it;
+     for a recurring occurrence use column H on "Recurring
+     Overrides" (Item + Occurrence Date is enough)
+   - "Import CSV" adds a bank export (pasted on the "CSV
+     Import" sheet or a Drive file), skipping rows already
+     recorded; check the Import Preview before confirming
+   - "Import OFX/QFX" reads a Drive download; set each
+     account's number in column J of Accounts first
+   - Patterns on the "Rules" sheet set the category of
+     imported rows; "Categorize Uncategorized" applies them
+     to rows already entered
    
 4. BALANCES:
-   - September starts from Accounts sheet
+   - The Start Month (Settings sheet) starts from Accounts sheet
    - Each month carries forward automatically
+   - Add or close accounts on the Accounts sheet; monthly
+     headers are rebuilt on the next update
+   - Set Min Balance (column F) or Credit Limit (column G) to
+     get projected crossings on the Alerts sheet and by email
+   - Columns H-I show today's projected and cleared balances
+   - Give a card a Closing Day, Due Day, Payment and Pay From
+     (columns K-O) to project each statement's payment on its
+     due date; remove any recurring payment to that card
+   - Rate % (column P) adds monthly savings interest (APY) and
+     card interest (APR) when a statement is not paid in full
+   - List savings targets on the "Goals" sheet (Goal, Target
+     Amount, Target Date, Account, Monthly Contribution); each
+     update fills in progress and flags goals that fall behind
+   - The "Annual Summary" sheet rolls up monthly cash flow,
+     category spending and account balances, with charts
+   - "Plan Debt Payoff" compares avalanche, snowball or your
+     own order for a monthly budget on the Payoff Plan sheet,
+     and can add the plan as recurring transfers
+   - Add a "Monthly Budget" column (and optional Jan-Dec
+     columns) to Categories for the Budget report
+   - "Reconcile Account" checks a statement against cleared
+     transactions and lists what to review (Import OFX/QFX
+     does this with the bank's ledger balance)
    
-5. TROUBLESHOOTING:
+5. NEW YEAR:
+   - "Start New Year" carries closing balances forward
+   - Choose a new workbook or reset this one
+
+6. PROJECTIONS IN FORMULAS:
+   - =BALANCE_ON("Checking", DATE(2025,12,1))
+   - =NETWORTH_ON(DATE(2025,12,31))
+   - =MIN_BALANCE_BETWEEN("Checking", start, end)
+   - Values come from the last update; add the Settings
+     sheet's "Last Updated" cell as a final argument so
+     they recalculate after each update
+
+7. TROUBLESHOOTING:
+   - "Validate Inputs" lists bad cells on the Validation
+     sheet and adds dropdowns; updates stop on errors
    - Use "Test Recurring Calculations" to verify
    - Check dates match format: MM/DD/YYYY
    - Ensure Active = TRUE for recurring items
+   - Frequency must be Weekly, Bi-weekly, Monthly, Semi-monthly,
+     Quarterly, Semi-annual, Yearly, Last Day of Month,
+     Nth Weekday (Day of Week = "2nd Tuesday") or
+     "Every N days/weeks/months"
 
 Need more help? Check your sheet structure matches the setup guide.`;
 
@@ -882,6 +3385,146 @@ function handleError(error, context) {
     );
 }
 
+// ===========================
+// YEAR-END ROLLOVER
+// ===========================
+
+/**
+ * Closes out the operating year and prepares the next one.
+ * Menu entry point; asks whether to create a new workbook or reset this one.
+ *
+ * PROCESS FLOW:
+ * 1. Rebuild this year's monthly sheets to get up-to-date closing balances
+ * 2. Copy the workbook (YES) or work on this workbook in place (NO)
+ * 3. Roll the target workbook forward (see rollWorkbookForward)
+ * 4. Rebuild the target's monthly sheets for the new year
+ *
+ * The original workbook is never modified when a new workbook is created.
+ */
+function startNewYear() {
+    const ui = SpreadsheetApp.getUi();
+
+    try {
+        const ss = SpreadsheetApp.getActiveSpreadsheet();
+        const settings = getSettings(ss);
+        const nextYear = settings.year + 1;
+
+        const choice = ui.alert(
+            'Start New Year',
+            `Close out ${settings.year} and start ${nextYear}?\n\n` +
+            `YES: Create a new workbook for ${nextYear} (this one is kept as-is)\n` +
+            `NO: Reset this workbook for ${nextYear}\n` +
+            'CANCEL: Do nothing',
+            ui.ButtonSet.YES_NO_CANCEL
+        );
+        if (choice !== ui.Button.YES && choice !== ui.Button.NO) return;
+
+        // Step 1: Closing balances from a fresh projection of the current year
+        const closing = rebuildMonthlySheets(ss, settings);
+
+        // Step 2: Pick the workbook that becomes next year's tracker
+        const name = ss.getName();
+        const target = choice === ui.Button.YES
+            ? ss.copy(name.includes(String(settings.year))
+                ? name.replace(String(settings.year), String(nextYear))
+                : `${name} ${nextYear}`)
+            : ss;
+
+        // Steps 3-4: Roll forward and rebuild for the new year
+        rollWorkbookForward(target, nextYear, closing);
+        rebuildMonthlySheets(target, getSettings(target));
+
+        ui.alert(choice === ui.Button.YES
+            ? `✅ Created "${target.getName()}" for ${nextYear}:\n${target.getUrl()}`
+            : `✅ This workbook now tracks ${nextYear}`);
+
+    } catch (error) {
+        handleError(error, 'startNewYear');
+    }
+}
+
+/**
+ * Moves a workbook's inputs from one year to the next.
+ *
+ * @param {Spreadsheet} target - Workbook to roll forward
+ * @param {number} nextYear - The new operating year
+ * @param {Object} closing - Result of rebuildMonthlySheets for the closing year
+ *
+ * ROLLOVER RULES:
+ * - Accounts: Balance (Column C) becomes each account's closing balance
+ * - Settings: Year = nextYear, Start Month = 1
+ * - Recurring Transactions: Only active items with no End Date, or one in the new
+ *   year or later, carry over (unchanged); inactive and ended items are removed
+ * - Single Transactions / Recurring Overrides: Only rows dated in the new year or
+ *   later are kept
+ * - Monthly sheets: Cleared
+ * - Engine State: Emptied, so last year's month fingerprints and alert digest
+ *   do not carry over
+ */
+function rollWorkbookForward(target, nextYear, closing) {
+    const yearStart = new Date(nextYear, 0, 1);
+
+    // Accounts: carry closing balances into the starting balance column
+    const accountsSheet = target.getSheetByName(CONFIG.sheets.accounts);
+    const accountRows = accountsSheet.getRange(2, 1, accountsSheet.getLastRow() - 1, 3).getValues();
+    accountsSheet.getRange(2, 3, accountRows.length, 1).setValues(accountRows.map(row => {
+        const index = closing.accounts.findIndex(acc => acc.name === row[0].toString().trim());
+        return [index !== -1 ? closing.endBalances[index] : row[2]];
+    }));
+
+    // Settings: the new year starts in January
+    writeSetting(target, CONFIG.settingKeys.year, nextYear);
+    writeSetting(target, CONFIG.settingKeys.startMonth, 1);
+
+    // Recurring: drop inactive items and items that ended during the closing year
+    removeSheetRows(target.getSheetByName(CONFIG.sheets.recurring), 15, row =>
+        row[0] &&
+        !row[0].toString().includes('===') &&
+        row[0] !== 'Description' &&
+        (row[9] !== true || (row[6] && new Date(row[6]) < yearStart)));
+
+    // Single transactions and overrides: keep anything already dated in the new year.
+    // Undated split parts go with their Split row.
+    const closedSplits = new Set();
+    removeSheetRows(target.getSheetByName(CONFIG.sheets.single), 10, row => {
+        const old = Boolean(row[0]) && new Date(row[0]) < yearStart;
+        if (old && row[2] === 'Split') closedSplits.add(row[9].toString().trim());
+        return old;
+    });
+    removeSheetRows(target.getSheetByName(CONFIG.sheets.single), 10, row =>
+        !row[0] && row[9] !== '' && closedSplits.has(row[9].toString().trim()));
+    removeSheetRows(target.getSheetByName(CONFIG.sheets.overrides), 7, row =>
+        row[1] && new Date(row[1]) < yearStart);
+
+    clearAllMonthlySheets(target);
+    writeEngineState(target, {});
+}
+
+/**
+ * Removes data rows (row 2 onward) matching a predicate.
+ * Consecutive matches are deleted as one block, bottom-up, so row numbers stay
+ * valid and a sorted sheet with thousands of old rows needs only a few calls.
+ *
+ * @param {Sheet} sheet - Sheet to prune (ignored when missing)
+ * @param {number} numColumns - Number of columns passed to the predicate
+ * @param {function(Array): boolean} shouldRemove - Returns true for rows to delete
+ */
+function removeSheetRows(sheet, numColumns, shouldRemove) {
+    if (!sheet || sheet.getLastRow() <= 1) return;
+
+    const data = sheet.getRange(2, 1, sheet.getLastRow() - 1, numColumns).getValues();
+    let blockEnd = -1;
+
+    for (let i = data.length - 1; i >= -1; i--) {
+        const remove = i >= 0 && shouldRemove(data[i]);
+        if (remove && blockEnd === -1) blockEnd = i;
+        if (!remove && blockEnd !== -1) {
+            sheet.deleteRows(i + 3, blockEnd - i);
+            blockEnd = -1;
+        }
+    }
+}
+
 /**
  * ===========================
  * KNOWN LIMITATIONS AND FUTURE ENHANCEMENTS
@@ -889,29 +3532,7 @@ function handleError(error, context) {
  *
  * CURRENT LIMITATIONS:
  *
- * 1. TRANSFER ACCOUNT HANDLING
- *    - Recurring Transactions sheet lacks "Transfer To Account" column
- *    - Credit card payments appear as expenses instead of balance transfers
- *    - Workaround: Manual reconciliation required
- *
- * 2. VARIABLE PAYMENT AMOUNTS
- *    - No streamlined way to handle amounts different from recurring setup
- *    - Current process: adjust start date, create single transaction, re-run script
- *    - Enhancement needed: Variable amount override system
- *
- * 3. YEAR-END ROLLOVER
- *    - Script hardcoded to start in September 2025
- *    - May not handle year transitions or fresh starts properly
- *    - Template usability limited for different start dates
- *
- * 4. DATA TRANSPORT TO NEW YEAR
- *    - No automated process for moving data to next year's workbook
- *    - Risk of manual transfer errors
- *    - Need: Year-end summary sheet and import process
- *
- * FUTURE ENHANCEMENT PRIORITIES:
- * - High: Implement transfer account functionality
- * - Medium: Variable payment amount system
- * - Medium: Dynamic start date and year handling
- * - Low: End-of-year data transport automation
+ * 1. OVERRIDE MATCHING
+ *    - Recurring Overrides are matched by Description, not by row
+ *    - Recurring items sharing a Description also share their overrides
  */
\ No newline at end of file
@@ -0,0 +1,858 @@
+/**
+ * Unit tests for the platform-independent engine core (FinanceTrackerCore.js).
+ * Run with: node --test test/
+ */
+
+// Pin a time zone with daylight saving so DST transitions are exercised
+process.env.TZ = 'America/New_York';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const core = require('../FinanceTrackerCore.js');
+
+const D = (year, month, day) => new Date(year, month - 1, day);
+const keys = dates => dates.map(core.formatDateKey);
+
+/**
+ * Builds a recurring item shaped like getRecurringItems output.
+ */
+function item(fields) {
+    return Object.assign({
+        description: 'Item',
+        category: 'Bills',
+        amount: 100,
+        account: 'Checking',
+        frequency: 'Monthly',
+        startDate: D(2024, 1, 1),
+        endDate: null,
+        dayOfMonth: '',
+        dayOfWeek: '',
+        transferTo: null,
+        rollRule: 'none',
+        monthEndPolicy: 'clamp'
+    }, fields);
+}
+
+function datesInMonth(recurring, year, month) {
+    return keys(core.calculateRecurringDates(recurring, D(year, month, 1), D(year, month + 1, 0)));
+}
+
+// ===========================
+// RECURRENCE EXPANSION
+// ===========================
+
+test('bi-weekly dates keep their weekday across the November DST change', () => {
+    const paycheck = item({ frequency: 'Bi-weekly', startDate: D(2025, 10, 24) });
+
+    assert.deepEqual(datesInMonth(paycheck, 2025, 11), ['2025-11-07', '2025-11-21']);
+    core.calculateRecurringDates(paycheck, D(2025, 11, 1), D(2025, 11, 30))
+        .forEach(date => assert.equal(date.getHours(), 0));
+});
+
+test('weekly dates keep their weekday across the March DST change', () => {
+    const weekly = item({ frequency: 'Weekly', startDate: D(2025, 1, 3) });
+
+    assert.deepEqual(datesInMonth(weekly, 2025, 3),
+        ['2025-03-07', '2025-03-14', '2025-03-21', '2025-03-28']);
+});
+
+test('daysBetween counts calendar days, not 24-hour periods', () => {
+    assert.equal(core.daysBetween(D(2025, 3, 8), D(2025, 3, 10)), 2);
+    assert.equal(core.daysBetween(D(2025, 11, 1), D(2025, 11, 3)), 2);
+    assert.equal(core.daysBetween(D(2025, 1, 1), D(2026, 1, 1)), 365);
+    assert.equal(core.daysBetween(D(2024, 1, 1), D(2025, 1, 1)), 366);
+});
+
+test('the 31st follows the month-end policy in short months', () => {
+    const clamp = item({ dayOfMonth: 31, monthEndPolicy: 'clamp' });
+    const roll = item({ dayOfMonth: 31, monthEndPolicy: 'roll' });
+    const skip = item({ dayOfMonth: 31, monthEndPolicy: 'skip' });
+
+    assert.deepEqual(datesInMonth(clamp, 2025, 4), ['2025-04-30']);
+    assert.deepEqual(datesInMonth(roll, 2025, 4), []);
+    assert.deepEqual(datesInMonth(roll, 2025, 5), ['2025-05-01', '2025-05-31']);
+    assert.deepEqual(datesInMonth(skip, 2025, 4), []);
+    assert.deepEqual(datesInMonth(skip, 2025, 5), ['2025-05-31']);
+});
+
+test('February respects leap years', () => {
+    const monthly = item({ dayOfMonth: 29 });
+    assert.deepEqual(datesInMonth(monthly, 2024, 2), ['2024-02-29']);
+    assert.deepEqual(datesInMonth(monthly, 2025, 2), ['2025-02-28']);
+
+    const anniversary = item({ frequency: 'Yearly', startDate: D(2024, 2, 29), monthEndPolicy: 'skip' });
+    assert.deepEqual(datesInMonth(anniversary, 2025, 2), []);
+    assert.deepEqual(datesInMonth(anniversary, 2028, 2), ['2028-02-29']);
+
+    const lastDay = item({ frequency: 'Last Day of Month' });
+    assert.deepEqual(datesInMonth(lastDay, 2024, 2), ['2024-02-29']);
+    assert.deepEqual(datesInMonth(lastDay, 2100, 2), ['2100-02-28']);
+});
+
+test('interval, semi-monthly and nth-weekday patterns', () => {
+    const quarterly = item({ frequency: 'Quarterly', startDate: D(2025, 2, 10), dayOfMonth: 10 });
+    assert.deepEqual([1, 2, 3, 4, 5].map(m => datesInMonth(quarterly, 2025, m).length), [0, 1, 0, 0, 1]);
+
+    const semiMonthly = item({ frequency: 'Semi-monthly', dayOfMonth: '15, 31' });
+    assert.deepEqual(datesInMonth(semiMonthly, 2025, 2), ['2025-02-15', '2025-02-28']);
+
+    const secondTuesday = item({ frequency: 'Nth Weekday', dayOfWeek: '2nd Tuesday' });
+    assert.deepEqual(datesInMonth(secondTuesday, 2025, 9), ['2025-09-09']);
+
+    const lastFriday = item({ frequency: 'Nth Weekday', dayOfWeek: 'Last Friday' });
+    assert.deepEqual(datesInMonth(lastFriday, 2025, 10), ['2025-10-31']);
+});
+
+test('start and end dates bound the occurrences', () => {
+    const limited = item({ startDate: D(2025, 3, 15), endDate: D(2025, 5, 14), dayOfMonth: 15 });
+    assert.deepEqual(datesInMonth(limited, 2025, 3), ['2025-03-15']);
+    assert.deepEqual(datesInMonth(limited, 2025, 5), []);
+});
+
+test('unknown frequencies are rejected with the item name', () => {
+    assert.throws(
+        () => core.calculateRecurringDates(item({ description: 'Gym', frequency: 'Fortnightly-ish' }),
+            D(2025, 1, 1), D(2025, 1, 31)),
+        /"Gym": unrecognized frequency/);
+});
+
+// ===========================
+// SCHEDULE AND MONTH BOUNDARIES
+// ===========================
+
+test('business-day rolls move occurrences across month boundaries', () => {
+    // Nov 1 2025 is a Saturday; the previous business day is Oct 31
+    const rent = item({ description: 'Rent', dayOfMonth: 1, rollRule: 'previous' });
+    const inputs = { recurringItems: [rent], overrides: {}, holidays: new Set() };
+
+    const october = core.buildRecurringTransactions(inputs, D(2025, 10, 1), D(2025, 10, 31));
+    const november = core.buildRecurringTransactions(inputs, D(2025, 11, 1), D(2025, 11, 30));
+
+    assert.deepEqual(keys(october.map(t => t.date)), ['2025-10-01', '2025-10-31']);
+    assert.deepEqual(keys(november.map(t => t.date)), []);
+});
+
+test('holidays push next-business-day items past the holiday', () => {
+    const bill = item({ dayOfMonth: 1, rollRule: 'next' });
+    const holidays = new Set(core.getFederalReserveHolidays(2026).map(h => core.formatDateKey(h.date)));
+    const inputs = { recurringItems: [bill], overrides: {}, holidays: holidays };
+
+    // Jan 1 2026 is New Year's Day (Thursday)
+    const january = core.buildRecurringTransactions(inputs, D(2026, 1, 1), D(2026, 1, 31));
+    assert.deepEqual(keys(january.map(t => t.date)), ['2026-01-02']);
+});
+
+test('overrides skip, re-price and move single occurrences', () => {
+    const rent = item({ description: 'Rent', dayOfMonth: 1, amount: 1200 });
+    const overrides = {};
+    overrides[core.overrideKey('Rent', D(2025, 9, 1))] =
+        { description: 'Rent', date: D(2025, 9, 1), skip: true, amount: null, moveTo: null };
+    overrides[core.overrideKey('Rent', D(2025, 10, 1))] =
+        { description: 'Rent', date: D(2025, 10, 1), skip: false, amount: 1300, moveTo: D(2025, 9, 30) };
+    const inputs = { recurringItems: [rent], overrides: overrides, holidays: new Set() };
+
+    const september = core.buildRecurringTransactions(inputs, D(2025, 9, 1), D(2025, 9, 30));
+    assert.deepEqual(september.map(t => [core.formatDateKey(t.date), t.amount, t.source]),
+        [['2025-09-30', -1300, 'Recurring (Override)']]);
+    assert.equal(core.buildRecurringTransactions(inputs, D(2025, 10, 1), D(2025, 10, 31)).length, 0);
+});
+
+test('the schedule covers start month through December and groups by month', () => {
+    const inputs = {
+        settings: { year: 2025, startMonth: 11 },
+        recurringItems: [item({ dayOfMonth: 5 })],
+        singleTransactions: [
+            { date: D(2025, 10, 31), description: 'Too early', category: 'Bills', account: 'Checking', amount: -1, source: 'Single', transferTo: null },
+            { date: D(2025, 12, 31), description: 'Last day', category: 'Bills', account: 'Checking', amount: -2, source: 'Single', transferTo: null },
+            { date: D(2026, 1, 1), description: 'Next year', category: 'Bills', account: 'Checking', amount: -3, source: 'Single', transferTo: null }
+        ],
+        overrides: {},
+        holidays: new Set()
+    };
+
+    const months = core.groupTransactionsByMonth(core.buildTransactionSchedule(inputs));
+    assert.equal(months.length, 12);
+    assert.deepEqual(months.map(m => m.length), [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 2]);
+    assert.deepEqual(months[11].map(t => t.description).sort(), ['Item', 'Last day']);
+});
+
+// ===========================
+// SIGN RULES AND LEDGER
+// ===========================
+
+test('normalizeAmount applies the sign rules', () => {
+    assert.equal(core.normalizeAmount(-500, 'Income', null), 500);
+    assert.equal(core.normalizeAmount(80, 'Groceries', null), -80);
+    assert.equal(core.normalizeAmount(-80, 'Groceries', null), -80);
+    assert.equal(core.normalizeAmount(250, 'Transfer', null), 250);
+    assert.equal(core.normalizeAmount(-250, 'Transfer', null), -250);
+    assert.equal(core.normalizeAmount(300, 'Income', 'Savings'), -300);
+});
+
+test('sortTransactions orders by date with income first on the same day', () => {
+    const sorted = core.sortTransactions([
+        { date: D(2025, 9, 5), category: 'Bills', description: 'b' },
+        { date: D(2025, 9, 5), category: 'Income', description: 'a' },
+        { date: D(2025, 9, 1), category: 'Bills', description: 'c' }
+    ]);
+    assert.deepEqual(sorted.map(t => t.description), ['c', 'a', 'b']);
+});
+
+test('buildMonthLedger keeps running balances, net worth and transfers straight', () => {
+    const accounts = ['Checking', 'Savings'];
+    const ledger = core.buildMonthLedger(2025, 8, [1000, 500], accounts, [
+        { date: D(2025, 9, 10), description: 'Sweep', category: 'Transfer', account: 'Checking', amount: -200, source: 'Recurring', transferTo: 'Savings' },
+        { date: D(2025, 9, 5), description: 'Pay', category: 'Income', account: 'Checking', amount: 2000, source: 'Recurring', transferTo: null },
+        { date: D(2025, 9, 5), description: 'Rent', category: 'Rent', account: 'Checking', amount: -1200, source: 'Recurring', transferTo: null }
+    ]);
+
+    assert.deepEqual(ledger.rows.map(row => [row[1], row[3], row[6], row[7], row[8]]), [
+        ['Starting Balance', '', 1000, 500, 1500],
+        ['Pay', 'Checking', 3000, 500, 3500],
+        ['Rent', 'Checking', 1800, 500, 2300],
+        ['Sweep', 'Checking → Savings', 1600, 700, 2300]
+    ]);
+    assert.equal(core.formatDateKey(ledger.rows[0][0]), '2025-09-01');
+    assert.deepEqual(ledger.endBalances, [1600, 700]);
+    assert.deepEqual(ledger.startingBalances, [1000, 500]);
+});
+
+test('transfers to untracked or identical accounts are rejected', () => {
+    const transfer = { date: D(2025, 9, 10), description: 'Sweep', category: 'Transfer', account: 'Checking', amount: -1, source: 'Single' };
+
+    assert.throws(() => core.buildMonthLedger(2025, 8, [0], ['Checking'], [Object.assign({ transferTo: 'Vault' }, transfer)]),
+        /Single transfer "Sweep" on 09\/10\/2025: destination "Vault" is not a tracked account/);
+    assert.throws(() => core.buildMonthLedger(2025, 8, [0], ['Checking'], [Object.assign({ transferTo: 'Checking' }, transfer)]),
+        /source and destination are both "Checking"/);
+});
+
+test('buildYearLedger carries ending balances into the next month', () => {
+    const byMonth = Array.from({ length: 12 }, () => []);
+    byMonth[10].push({ date: D(2025, 11, 30), description: 'Bonus', category: 'Income', account: 'Checking', amount: 100, source: 'Single', transferTo: null });
+    byMonth[11].push({ date: D(2025, 12, 1), description: 'Gift', category: 'Gifts', account: 'Checking', amount: -40, source: 'Single', transferTo: null });
+
+    const months = core.buildYearLedger(byMonth, [10], ['Checking'], 2025, 10);
+
+    assert.deepEqual(months.map(m => m.monthIndex), [9, 10, 11]);
+    assert.deepEqual(months.map(m => [m.startingBalances[0], m.endBalances[0]]), [[10, 10], [10, 110], [110, 70]]);
+    assert.deepEqual(months.map(m => m.rows.length), [1, 2, 2]);
+});
+
+// ===========================
+// DAILY PROJECTION
+// ===========================
+
+test('the daily projection answers balance and minimum queries by date', () => {
+    const byMonth = Array.from({ length: 12 }, () => []);
+    byMonth[10].push(
+        { date: D(2025, 11, 5), description: 'Pay', category: 'Income', account: 'Checking', amount: 500, source: 'Single', transferTo: null },
+        { date: D(2025, 11, 5), description: 'Card', category: 'Transfer', account: 'Checking', amount: -700, source: 'Single', transferTo: 'Card' },
+        { date: D(2025, 11, 20), description: 'Rent', category: 'Rent', account: 'Checking', amount: -900, source: 'Single', transferTo: null });
+    byMonth[11].push(
+        { date: D(2025, 12, 1), description: 'Pay', category: 'Income', account: 'Checking', amount: 1000, source: 'Single', transferTo: null });
+
+    const accounts = ['Checking', 'Card'];
+    const projection = core.buildDailyProjection(core.buildYearLedger(byMonth, [1000, -700], accounts, 2025, 11), accounts);
+
+    assert.equal(projection.start, '2025-11-01');
+    assert.equal(projection.end, '2025-12-31');
+    assert.deepEqual(projection.days.map(day => day[0]), ['2025-11-05', '2025-11-20', '2025-12-01']);
+
+    assert.deepEqual(core.projectedBalancesOn(projection, D(2025, 11, 1)), [1000, -700]);
+    assert.deepEqual(core.projectedBalancesOn(projection, D(2025, 11, 5)), [800, 0]);
+    assert.deepEqual(core.projectedBalancesOn(projection, D(2025, 11, 30)), [-100, 0]);
+    assert.deepEqual(core.projectedBalancesOn(projection, D(2025, 12, 31)), [900, 0]);
+
+    assert.equal(core.minProjectedBalance(projection, 0, D(2025, 11, 1), D(2025, 11, 19)), 800);
+    assert.equal(core.minProjectedBalance(projection, 0, D(2025, 11, 21), D(2025, 12, 31)), -100);
+    assert.equal(core.minProjectedBalance(projection, 1, D(2025, 11, 1), D(2025, 11, 1)), -700);
+
+    assert.throws(() => core.projectedBalancesOn(projection, D(2025, 10, 31)), /outside the projected period/);
+    assert.throws(() => core.minProjectedBalance(projection, 0, D(2025, 12, 1), D(2026, 1, 1)), /outside the projected period/);
+    assert.throws(() => core.minProjectedBalance(projection, 0, D(2025, 12, 2), D(2025, 12, 1)), /before start date/);
+});
+
+// ===========================
+// BALANCE ALERTS
+// ===========================
+
+test('balance alerts report the first crossing of each threshold from a date', () => {
+    const byMonth = Array.from({ length: 12 }, () => []);
+    byMonth[10].push(
+        { date: D(2025, 11, 5), description: 'Rent', category: 'Rent', account: 'Checking', amount: -900, source: 'Single', transferTo: null },
+        { date: D(2025, 11, 5), description: 'Pay', category: 'Income', account: 'Checking', amount: 300, source: 'Single', transferTo: null },
+        { date: D(2025, 11, 10), description: 'TV', category: 'Shopping', account: 'Card', amount: -900, source: 'Single', transferTo: null },
+        { date: D(2025, 11, 20), description: 'Car', category: 'Auto', account: 'Checking', amount: -300, source: 'Single', transferTo: null });
+
+    const accounts = [
+        { name: 'Checking', active: true, minBalance: 500, creditLimit: null },
+        { name: 'Card', active: true, minBalance: null, creditLimit: 1000 },
+        { name: 'Old', active: false, minBalance: 1000, creditLimit: null }
+    ];
+    const ledgers = core.buildYearLedger(byMonth, [1000, -200, 0], ['Checking', 'Card', 'Old'], 2025, 11);
+
+    // Income sorts first on Nov 5, so Checking ends the day at 400
+    const fromStart = core.findBalanceAlerts(ledgers, accounts, D(2025, 10, 1));
+    assert.deepEqual(fromStart.map(a => [a.account, a.type, a.threshold, core.formatDateKey(a.date), a.balance, a.lowest, core.formatDateKey(a.lowestDate)]), [
+        ['Checking', 'Min Balance', 500, '2025-11-05', 400, 100, '2025-11-20'],
+        ['Card', 'Credit Limit', -1000, '2025-11-10', -1100, -1100, '2025-11-10']
+    ]);
+
+    // A balance already below the threshold alerts on the first day checked
+    const fromLater = core.findBalanceAlerts(ledgers, accounts, D(2025, 11, 15));
+    assert.deepEqual(fromLater.map(a => [a.account, core.formatDateKey(a.date), a.balance]),
+        [['Checking', '2025-11-15', 400], ['Card', '2025-11-15', -1100]]);
+
+    assert.deepEqual(core.findBalanceAlerts(ledgers, accounts, D(2026, 1, 1)), []);
+});
+
+// ===========================
+// RECONCILIATION
+// ===========================
+
+test('reconcileStatement compares cleared balances and points at likely culprits', () => {
+    const trans = (day, description, amount, status, transferTo) => ({
+        date: D(2025, 11, day), description: description, category: amount > 0 ? 'Income' : 'Bills',
+        account: 'Checking', amount: amount, source: 'Single', transferTo: transferTo || null, status: status
+    });
+    const transactions = [
+        trans(3, 'Pay', 1000, 'Reconciled'),
+        trans(4, 'Power', -80, 'Cleared'),
+        trans(6, 'Water', -45, ''),
+        trans(7, 'Refund', -30, 'Cleared'),
+        trans(8, 'To savings', -200, 'Cleared', 'Savings'),
+        trans(20, 'Later', -500, '')
+    ];
+
+    assert.equal(core.clearedBalanceOn(100, 'Checking', transactions, D(2025, 11, 30)), 790);
+    assert.equal(core.clearedBalanceOn(0, 'Savings', transactions, D(2025, 11, 30)), 200);
+
+    const balanced = core.reconcileStatement('Checking', 100, transactions, D(2025, 11, 10), 790);
+    assert.equal(balanced.balanced, true);
+    assert.deepEqual(balanced.issues.map(i => [i.transaction.description, i.issue]), [['Water', 'Not cleared']]);
+    assert.deepEqual(balanced.toReconcile.map(t => t.description), ['Power', 'Refund', 'To savings']);
+
+    const missing = core.reconcileStatement('Checking', 100, transactions, D(2025, 11, 10), 745);
+    assert.equal(missing.difference, -45);
+    assert.deepEqual(missing.issues.map(i => i.issue), ['Not cleared - amount matches the difference']);
+
+    const wrongSign = core.reconcileStatement('Checking', 100, transactions, D(2025, 11, 10), 850);
+    assert.deepEqual(wrongSign.issues.map(i => [i.transaction.description, i.issue]), [
+        ['Water', 'Not cleared'],
+        ['Refund', 'Cleared - reversing its sign would balance the statement']
+    ]);
+});
+
+// ===========================
+// BANK IMPORT
+// ===========================
+
+test('parseCsv handles quoted commas, doubled quotes and CRLF line endings', () => {
+    assert.deepEqual(core.parseCsv('Date,Description,Amount\r\n09/15/2025,"SHELL, #42","-45.00"\r\n\r\n' +
+        '9/16/25,"Joe\'s ""Diner""",-12\n'), [
+        ['Date', 'Description', 'Amount'],
+        ['09/15/2025', 'SHELL, #42', '-45.00'],
+        ['9/16/25', 'Joe\'s "Diner"', '-12']
+    ]);
+    assert.equal(core.formatDateKey(core.parseImportDate('2025-09-15')), '2025-09-15');
+    assert.equal(core.parseImportDate('Pending'), null);
+    assert.deepEqual(['$1,234.56', '(45.00)', '-$3', '12.50-', '.75', '', 'n/a'].map(core.parseImportAmount),
+        [1234.56, -45, -3, -12.5, 0.75, null, null]);
+    assert.deepEqual(['1.234,56', '45.00 CR', '4-5', '--3', '(-45)', '1,23.4'].map(core.parseImportAmount),
+        [null, null, null, null, null, null]);
+});
+
+test('mapImportRows applies bank, card and debit/credit sign conventions', () => {
+    const rows = [['Date', 'Description', 'Amount'], ['11/02/2025', 'KROGER  #123', '75.00'], ['bad', 'X', '1']];
+    const bank = core.mapImportRows(rows, { date: 'date', description: 'Description', amount: 'Amount', sign: 'bank' });
+    const card = core.mapImportRows(rows, { date: 'Date', description: 'Description', amount: 'Amount', sign: 'card' });
+
+    assert.deepEqual(bank.transactions.map(t => [t.line, t.description, t.amount]), [[2, 'KROGER #123', 75]]);
+    assert.equal(card.transactions[0].amount, -75);
+    assert.deepEqual(bank.errors, [{ line: 3, message: 'Unreadable date "bad"' }]);
+
+    const split = core.mapImportRows([
+        ['Transaction Date', 'Description', 'Debit', 'Credit'],
+        ['2025-11-03', 'Payment', '', '200.00'],
+        ['2025-11-04', 'Coffee', '4.50', '']
+    ], { date: 'Transaction Date', description: 'Description', debit: 'Debit', credit: 'Credit' });
+    assert.deepEqual(split.transactions.map(t => t.amount), [200, -4.5]);
+
+    const headerless = core.mapImportRows([['11/05/2025', '-20.00', '*', '', 'ATM']],
+        { date: 1, description: 5, amount: 2, sign: 'bank', header: false });
+    assert.deepEqual(headerless.transactions.map(t => [t.line, t.description, t.amount]), [[1, 'ATM', -20]]);
+
+    assert.throws(() => core.mapImportRows(rows, { date: 'Posted', description: 'Description', amount: 'Amount' }),
+        /Column "Posted" was not found/);
+});
+
+test('findImportDuplicates matches amount, nearby date and similar description once each', () => {
+    const existing = [
+        { date: D(2025, 11, 2), description: 'Groceries - Kroger', account: 'Checking', amount: -75, transferTo: null },
+        { date: D(2025, 11, 15), description: 'Sweep', account: 'Checking', amount: -100, transferTo: 'Savings' }
+    ];
+    const candidate = (day, description, amount, account) =>
+        ({ date: D(2025, 11, day), description: description, amount: amount, account: account || 'Checking' });
+
+    assert.ok(core.descriptionSimilarity('KROGER #0123 CINCINNATI', 'Kroger Cincinnati') >= 0.6);
+    assert.ok(core.descriptionSimilarity('KROGER', 'SHELL OIL') < 0.6);
+
+    const matches = core.findImportDuplicates([
+        candidate(3, 'KROGER #123', -75),
+        candidate(3, 'KROGER #123', -75),          // Second identical purchase: new
+        candidate(9, 'KROGER #123', -75),          // Too far from the recorded date
+        candidate(16, 'Sweep from checking', 100, 'Savings')
+    ], existing, { dayTolerance: 2, minSimilarity: 0.6 });
+
+    assert.deepEqual(matches, [existing[0], null, null, existing[1]]);
+});
+
+test('parseOfx reads SGML and XML statements with their ledger balance', () => {
+    const sgml = core.parseOfx('OFXHEADER:100\nDATA:OFXSGML\n\n<OFX><CREDITCARDMSGSRSV1><CCSTMTTRNRS><CCSTMTRS>\n' +
+        '<CCACCTFROM><ACCTID>XXXX1234</CCACCTFROM><BANKTRANLIST>\n' +
+        '<STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20251103120000.000[-5:EST]<TRNAMT>-12.50<FITID>9001\n' +
+        '<NAME>BARNES &amp; NOBLE</STMTTRN></BANKTRANLIST>\n' +
+        '<LEDGERBAL><BALAMT>-312.50<DTASOF>20251105</LEDGERBAL></CCSTMTRS></CCSTMTTRNRS></CREDITCARDMSGSRSV1></OFX>');
+    assert.equal(sgml.length, 1);
+    assert.equal(sgml[0].accountId, 'XXXX1234');
+    assert.equal(sgml[0].ledgerBalance, -312.5);
+    assert.equal(core.formatDateKey(sgml[0].ledgerDate), '2025-11-05');
+    assert.deepEqual(sgml[0].transactions.map(t => [t.importId, core.formatDateKey(t.date), t.description, t.amount]),
+        [['9001', '2025-11-03', 'BARNES & NOBLE', -12.5]]);
+
+    const xml = core.parseOfx('<?xml version="1.0"?><?OFX OFXHEADER="200" VERSION="220"?><OFX><BANKMSGSRSV1>' +
+        '<STMTTRNRS><STMTRS><BANKACCTFROM><BANKID>1</BANKID><ACCTID>55</ACCTID></BANKACCTFROM><BANKTRANLIST>' +
+        '<STMTTRN><DTPOSTED>20251201</DTPOSTED><TRNAMT>100</TRNAMT><FITID>x</FITID><MEMO>Deposit</MEMO></STMTTRN>' +
+        '</BANKTRANLIST></STMTRS></STMTTRNRS></BANKMSGSRSV1></OFX>');
+    assert.deepEqual(xml.map(st => [st.accountId, st.ledgerBalance, st.transactions[0].description]), [['55', null, 'Deposit']]);
+
+    assert.throws(() => core.parseOfx('<OFX></OFX>'), /No bank or credit card statements/);
+    assert.throws(() => core.parseOfx('<OFX><STMTRS><ACCTID>55</ACCTID><STMTTRN><DTPOSTED>20251201' +
+        '<TRNAMT><FITID>y<NAME>Refund</STMTTRN></STMTRS></OFX>'), /"Refund" needs DTPOSTED, TRNAMT and FITID/);
+});
+
+test('findImportDuplicates trusts bank IDs over fuzzy matching when both sides have one', () => {
+    const recorded = { date: D(2025, 11, 3), description: 'COFFEE', account: 'Card', amount: -4.5, importId: 'A' };
+    const coffee = importId => ({ date: D(2025, 11, 3), description: 'COFFEE', account: 'Card', amount: -4.5, importId });
+    const options = { dayTolerance: 2, minSimilarity: 0.6 };
+
+    assert.deepEqual(core.findImportDuplicates([coffee('B'), coffee('A')], [recorded], options), [null, recorded]);
+    assert.deepEqual(core.findImportDuplicates([coffee('')], [recorded], options), [recorded]);
+});
+
+// ===========================
+// CATEGORY RULES
+// ===========================
+
+test('categorizeTransaction applies the first matching rule and reports overlaps', () => {
+    const rule = (row, fields) => core.compileRule(Object.assign({
+        row: row, matchType: '', minAmount: null, maxAmount: null, account: '',
+        category: 'Dining', setAccount: '', setDescription: ''
+    }, fields));
+    const rules = [
+        rule(2, { pattern: 'STARBUCKS', setDescription: 'Coffee' }),
+        rule(3, { pattern: '^(shell|exxon)\\b', matchType: 'Regex', category: 'Gas', maxAmount: 150 }),
+        rule(4, { pattern: 'star', category: 'Shopping', account: 'Card' }),
+        rule(5, { pattern: 'payroll', category: 'Income' })
+    ];
+    const trans = (description, amount, account) => ({ description, amount, account: account || 'Card' });
+
+    const coffee = core.categorizeTransaction(rules, trans('STARBUCKS #112', -4.5));
+    assert.deepEqual(coffee.result, { description: 'Coffee', category: 'Dining', account: 'Card' });
+    assert.deepEqual(coffee.matches.map(r => r.row), [2, 4]);
+
+    assert.equal(core.categorizeTransaction(rules, trans('Shell Oil 5521', -40)).result.category, 'Gas');
+    assert.equal(core.categorizeTransaction(rules, trans('Shell Oil 5521', -400)).result, null);
+    assert.equal(core.categorizeTransaction(rules, trans('STARS CAFE', -9, 'Checking')).matches.length, 0);
+
+    const reversed = core.categorizeTransaction(rules, trans('PAYROLL CORRECTION', -20));
+    assert.equal(reversed.result, null);
+    assert.match(reversed.conflict, /Rules row 5 \(Income\) would turn money out into money in/);
+
+    assert.throws(() => rule(6, { pattern: '(', matchType: 'regex' }), /not a valid regular expression/);
+    assert.throws(() => rule(6, { pattern: 'x', matchType: 'glob' }), /Match must be Contains or Regex/);
+    assert.deepEqual([core.enteredAmount(-20, 'Transfer', null), core.enteredAmount(-20, 'Dining', null)], [-20, 20]);
+});
+
+// ===========================
+// BUDGETS
+// ===========================
+
+test('buildBudgetReport sums spending per category with monthly budgets and YTD totals', () => {
+    const trans = (month, day, category, amount, status, transferTo) => ({
+        date: D(2025, month, day), description: category, category: category, account: 'Checking',
+        amount: amount, source: 'Single', transferTo: transferTo || null, status: status || ''
+    });
+    const ledgers = [
+        { monthIndex: 9, transactions: [trans(10, 1, 'Groceries', -60, 'Cleared'), trans(10, 3, 'Income', 900),
+            trans(10, 5, 'Transfer', -100, '', 'Savings'), trans(10, 9, 'Gifts', -25)] },
+        { monthIndex: 10, transactions: [trans(11, 2, 'Groceries', -75)] }
+    ];
+    const budgets = [
+        { category: 'Groceries', amounts: [...Array(10).fill(100), 50, 100] },
+        { category: 'Rent', amounts: [...Array(11).fill(null), 1200] }
+    ];
+
+    const report = core.buildBudgetReport(ledgers, budgets, 10);
+    assert.deepEqual(report.months[0].lines, [
+        { category: 'Groceries', budget: 100, projected: 60, cleared: 60, remaining: 40 },
+        { category: 'Gifts', budget: null, projected: 25, cleared: 0, remaining: -25 }
+    ]);
+    assert.deepEqual(report.months[1].lines, [
+        { category: 'Groceries', budget: 50, projected: 75, cleared: 0, remaining: -25 }
+    ]);
+    assert.deepEqual(report.yearToDate, [
+        { category: 'Groceries', budget: 150, projected: 135, cleared: 60, remaining: 15 },
+        { category: 'Gifts', budget: null, projected: 25, cleared: 0, remaining: -25 }
+    ]);
+    assert.deepEqual(core.buildBudgetReport(ledgers, budgets, 9).yearToDate.map(line => line.projected), [60, 25]);
+    assert.deepEqual(core.buildBudgetReport(ledgers, budgets, 5).yearToDate, []);
+});
+
+// ===========================
+// INPUT VALIDATION
+// ===========================
+
+test('validateRecurringRows and validateSingleRows report cell-level problems', () => {
+    const lists = { accounts: ['Checking', 'Savings', 'Old Card'], tracked: ['Checking', 'Savings'], categories: ['Rent'] };
+    const recurring = (fields) => {
+        const row = ['Item', 'Rent', 100, 'Checking', 'Monthly', D(2025, 1, 1), '', '', '', true,
+            '', '', '', '', '', '', ''];
+        Object.keys(fields).forEach(column => { row[column] = fields[column]; });
+        return row;
+    };
+    const found = issues => issues.map(issue => `${issue.severity} ${issue.row}:${issue.column} ${issue.message}`);
+
+    assert.deepEqual(found(core.validateRecurringRows([
+        ['Description'],
+        ['=== BILLS ==='],
+        recurring({}),
+        recurring({ 0: 'Pay', 1: 'income', 3: 'checking', 4: 'Fortnightly' }),
+        recurring({ 0: 'Gym', 2: 'ten', 5: '', 15: 'Sometimes' }),
+        recurring({ 0: 'Sweep', 1: 'Transfer', 4: 'Nth Weekday', 8: 'Tuesday', 14: 'Old Card' }),
+        recurring({ 0: 'Off', 4: 'Whenever', 9: false })
+    ], lists)), [
+        'Error 4:2 "Pay": Category "income" must be spelled exactly "Income" for its sign rule',
+        'Error 4:4 "Pay": Account "checking" is not on the Accounts sheet (did you mean "Checking"?)',
+        'Error 4:5 "Pay": unrecognized frequency "Fortnightly"',
+        'Warning 5:6 "Gym": no Start Date, so the item is skipped',
+        'Error 5:3 "Gym": Amount "ten" is not a number',
+        'Error 5:16 "Gym": unrecognized Roll Rule "Sometimes" (use None, Previous Business Day or Next Business Day)',
+        'Error 6:9 "Sweep": Day of Week "Tuesday" must look like "2nd Tuesday" or "Last Friday"',
+        'Error 6:15 "Sweep": Transfer To "Old Card" is inactive, so the transfer cannot be recorded'
+    ]);
+
+    assert.deepEqual(found(core.validateSingleRows([
+        [D(2025, 11, 2), 'Groceries', 'Food', 'Old Card', 75, '', '', 'Cleared'],
+        ['', 'Forgot the date', 'Rent', 'Checking', 10, '', '', ''],
+        ['soon', 'Bad date', 'Rent', 'Checking', '', 'Checking', '', 'maybe'],
+        ['', '', '', '', '', '', 'just a note', '']
+    ], lists)), [
+        'Warning 2:3 "Groceries": Category "Food" is not on the Categories sheet',
+        'Warning 2:4 "Groceries": Account "Old Card" is inactive, so this row changes no balance',
+        'Warning 3:1 "Forgot the date": no Date, so the row is skipped',
+        'Error 4:1 "Bad date": Date is not a date',
+        'Warning 4:5 "Bad date": Amount is blank and counts as 0',
+        'Error 4:6 "Bad date": Transfer To is the same as Account',
+        'Error 4:8 "Bad date": Status: status "maybe" must be blank, Cleared or Reconciled'
+    ]);
+});
+
+// ===========================
+// SPLIT TRANSACTIONS
+// ===========================
+
+test('split parts fold into one ledger row that moves each account and feeds budgets by part', () => {
+    const single = (fields) => Object.assign({
+        date: null, description: '', category: '', account: '', amount: 0, source: 'Single',
+        transferTo: null, status: '', statusRow: 0, splitId: ''
+    }, fields);
+    const combined = core.combineSplitTransactions([
+        single({ date: D(2025, 11, 7), description: 'Paycheck', category: 'Split', account: 'Checking',
+            amount: -2000, status: 'Cleared', statusRow: 2, splitId: 'P1' }),
+        single({ category: 'Income', amount: 1800, statusRow: 3, splitId: 'P1' }),
+        single({ description: 'To savings', category: 'Income', account: 'Savings', amount: 200, statusRow: 4, splitId: 'P1' }),
+        single({ date: D(2025, 11, 8), description: 'Costco', category: 'Split', account: 'Checking',
+            amount: -250, statusRow: 5, splitId: 'C1' }),
+        single({ category: 'Groceries', amount: -180, statusRow: 6, splitId: 'C1' }),
+        single({ category: 'Household', amount: -70, statusRow: 7, splitId: 'C1' })
+    ]);
+
+    assert.deepEqual(combined.map(t => [t.description, t.amount, t.parts.length]), [['Paycheck', 2000, 2], ['Costco', -250, 2]]);
+    assert.deepEqual(combined[0].parts.map(p => [core.formatDateKey(p.date), p.description, p.account, p.status]), [
+        ['2025-11-07', 'Paycheck', 'Checking', 'Cleared'],
+        ['2025-11-07', 'To savings', 'Savings', 'Cleared']
+    ]);
+    assert.equal(core.accountEffect(combined[0], 'Savings'), 200);
+
+    const ledger = core.buildMonthLedger(2025, 10, [0, 0], ['Checking', 'Savings'], combined);
+    assert.deepEqual(ledger.rows.slice(1).map(row => row.slice(1, 5).concat(row.slice(6))), [
+        ['Paycheck', 'Split', 'Checking + Savings', 2000, 1800, 200, 2000],
+        ['Costco', 'Split', 'Checking', -250, 1550, 200, 1750]
+    ]);
+    assert.deepEqual(core.buildBudgetReport([ledger], [], 10).months[0].lines.map(l => [l.category, l.projected]),
+        [['Groceries', 180], ['Household', 70]]);
+
+    assert.throws(() => core.combineSplitTransactions([single({ category: 'Gas', splitId: 'X', statusRow: 9 })]),
+        /Split ID "X" \(row 9\) has no row with Category "Split"/);
+});
+
+test('validateSingleRows checks that split parts add up to the Split row', () => {
+    const lists = { accounts: ['Checking'], tracked: ['Checking'], categories: [] };
+    const issues = core.validateSingleRows([
+        [D(2025, 11, 8), 'Costco', 'Split', 'Checking', 250, '', '', '', '', 'C1'],
+        ['', '', 'Groceries', '', 180, '', '', '', '', 'C1'],
+        ['', '', 'Household', '', 60, '', '', '', '', 'C1'],
+        [D(2025, 11, 9), 'Gas', 'split', 'Checking', 40, '', '', '', '', ''],
+        ['', '', 'Gifts', '', 10, '', '', '', '', 'Z9']
+    ], lists);
+
+    assert.deepEqual(issues.map(issue => `${issue.row}:${issue.column} ${issue.message}`), [
+        '5:3 "Gas": Category "split" must be spelled exactly "Split" to group its parts',
+        '2:5 "Costco": parts add up to 240.00, not 250.00',
+        '6:10 Split ID "Z9" has no row with Category "Split"'
+    ]);
+});
+
+// ===========================
+// INCOME ALLOCATION
+// ===========================
+
+test('allocateIncome takes percentages and fixed shares and leaves the rest in the primary account', () => {
+    const paycheck = {
+        date: D(2025, 10, 10), description: 'Paycheck', category: 'Income', account: 'Checking',
+        amount: 2000.05, source: 'Recurring', transferTo: null, status: '', statusRow: null
+    };
+    const rows = core.allocateIncome(paycheck, [
+        { account: 'Acorns', percent: 20, fixed: null },
+        { account: 'Chase', percent: 10, fixed: null },
+        { account: 'Brokerage', percent: null, fixed: 100 }
+    ]);
+
+    assert.deepEqual(rows.map(row => [row.description, row.account, row.amount, row.allocatedFrom]), [
+        ['Paycheck', 'Checking', 1300.03, 'Paycheck'],
+        ['Paycheck (20% to Acorns)', 'Acorns', 400.01, 'Paycheck'],
+        ['Paycheck (10% to Chase)', 'Chase', 200.01, 'Paycheck'],
+        ['Paycheck ($100.00 to Brokerage)', 'Brokerage', 100, 'Paycheck']
+    ]);
+    assert.equal(core.allocateIncome(paycheck, [{ account: 'Acorns', percent: 100, fixed: null }]).length, 1);
+    assert.throws(() => core.allocateIncome(paycheck, [{ account: 'Acorns', percent: null, fixed: 2500 }]),
+        /Allocation Rules for "Paycheck" take 2500\.00 of a 2000\.05 occurrence on 10\/10\/2025/);
+});
+
+// ===========================
+// CARD STATEMENTS
+// ===========================
+
+test('buildGeneratedTransactions pays each statement balance on its due date', () => {
+    const statement = { closingDay: 25, dueDay: 20, strategy: 'statement', amount: 25, minimumPercent: 2, payFrom: 'Checking' };
+    const accounts = [
+        { name: 'Checking', balance: 1000, statement: null },
+        { name: 'Card', balance: -300, statement: statement }
+    ];
+    const charge = (date, amount) => ({
+        date: date, description: 'Charge', category: 'Shopping', account: 'Card', amount: -amount,
+        source: 'Single', transferTo: null
+    });
+    const payments = core.buildGeneratedTransactions(accounts,
+        [charge(D(2025, 10, 10), 200), charge(D(2025, 10, 26), 50), charge(D(2025, 11, 3), 100)],
+        D(2025, 10, 1), D(2025, 12, 31));
+
+    // The September statement uses the opening balance; December's is paid off by then
+    assert.deepEqual(payments.map(p => [core.formatDateKey(p.date), p.description, p.account, p.transferTo, p.amount]), [
+        ['2025-10-20', 'Card payment (statement 09/25/2025)', 'Checking', 'Card', -300],
+        ['2025-11-20', 'Card payment (statement 10/25/2025)', 'Checking', 'Card', -200],
+        ['2025-12-20', 'Card payment (statement 11/25/2025)', 'Checking', 'Card', -150]
+    ]);
+    assert.equal(payments[0].source, 'Statement');
+});
+
+test('statementPayment applies the minimum and fixed strategies and statementDates clamps short months', () => {
+    const card = strategy => ({
+        name: 'Card',
+        statement: { closingDay: 31, dueDay: 5, strategy: strategy, amount: 25, minimumPercent: 2, payFrom: 'Checking' }
+    });
+    const closing = D(2025, 2, 28);
+
+    assert.equal(core.statementPayment(card('minimum'), closing, 2000).amount, -40);
+    assert.equal(core.statementPayment(card('minimum'), closing, 600).amount, -25);
+    assert.equal(core.statementPayment(card('minimum'), closing, 10).amount, -10);
+    assert.equal(core.statementPayment(card('fixed'), closing, 20).amount, -20);
+    assert.equal(core.statementPayment(card('statement'), closing, 0), null);
+    assert.equal(core.formatDateKey(core.statementPayment(card('statement'), closing, 5).date), '2025-03-05');
+
+    const sameMonth = core.statementDates({ closingDay: 5, dueDay: 28 }, 2025, 1);
+    assert.deepEqual([core.formatDateKey(sameMonth.closing), core.formatDateKey(sameMonth.due)], ['2025-02-05', '2025-02-28']);
+});
+
+test('buildGeneratedTransactions pays savings APY monthly and charges APR once a statement is not paid in full', () => {
+    const generated = core.buildGeneratedTransactions([
+        { name: 'Savings', balance: 10000, statement: null, rate: 4 },
+        {
+            name: 'Card', balance: -1000, rate: 24,
+            statement: { closingDay: 25, dueDay: 20, strategy: 'minimum', amount: 25, minimumPercent: 2, payFrom: 'Savings' }
+        }
+    ], [], D(2025, 10, 1), D(2025, 11, 30));
+
+    const rows = generated
+        .sort((a, b) => a.date - b.date)
+        .map(t => [core.formatDateKey(t.date), t.description, t.category, t.amount, t.source]);
+    assert.deepEqual(rows, [
+        ['2025-10-20', 'Card payment (statement 09/25/2025)', 'Transfer', -25, 'Statement'],
+        ['2025-10-25', 'Card interest (24% APR)', 'Interest', -16.34, 'Interest'],
+        ['2025-10-31', 'Savings interest (4% APY)', 'Income', 33.28, 'Interest'],
+        ['2025-11-20', 'Card payment (statement 10/25/2025)', 'Transfer', -25, 'Statement'],
+        ['2025-11-25', 'Card interest (24% APR)', 'Interest', -20.11, 'Interest'],
+        ['2025-11-30', 'Savings interest (4% APY)', 'Income', 32.24, 'Interest']
+    ]);
+
+    // Paying the statement balance keeps the grace period
+    const paidInFull = core.buildGeneratedTransactions([
+        { name: 'Savings', balance: 10000, statement: null, rate: null },
+        {
+            name: 'Card', balance: -1000, rate: 24,
+            statement: { closingDay: 25, dueDay: 20, strategy: 'statement', amount: 25, minimumPercent: 2, payFrom: 'Savings' }
+        }
+    ], [], D(2025, 10, 1), D(2025, 12, 31));
+    assert.deepEqual(paidInFull.map(t => t.source), ['Statement']);
+});
+
+// ===========================
+// DEBT PAYOFF
+// ===========================
+
+test('simulateDebtPayoff compares avalanche and snowball and rolls paid-off minimums forward', () => {
+    const debts = [
+        { name: 'Aspire', balance: 1000, apr: 24, minimum: 25, paymentDay: 20 },
+        { name: 'Indigo', balance: 300, apr: 12, minimum: 25, paymentDay: 31 }
+    ];
+    assert.deepEqual(core.orderDebts(debts, 'avalanche'), ['Aspire', 'Indigo']);
+    assert.deepEqual(core.orderDebts(debts, 'snowball'), ['Indigo', 'Aspire']);
+    assert.deepEqual(core.orderDebts(debts, 'custom', [' indigo']), ['Indigo', 'Aspire']);
+    assert.throws(() => core.orderDebts(debts, 'custom', ['Milestone']), /"Milestone" is not one of the cards/);
+
+    const avalanche = core.simulateDebtPayoff(debts, 300, ['Aspire', 'Indigo'], D(2026, 1, 15));
+    assert.deepEqual(avalanche.months.map(month => month.payments), [
+        [275, 25], [275, 25], [275, 25], [223.99, 76.01], [0, 161.26]
+    ]);
+    assert.deepEqual(avalanche.cards.map(card => [card.name, core.formatDateKey(card.payoffDate), card.interest]), [
+        ['Aspire', '2026-04-20', 48.99],
+        ['Indigo', '2026-05-31', 12.27]
+    ]);
+    assert.equal(core.formatDateKey(avalanche.debtFreeDate), '2026-05-31');
+    assert.equal(avalanche.totalInterest, 61.26);
+
+    const snowball = core.simulateDebtPayoff(debts, 300, ['Indigo', 'Aspire'], D(2026, 1, 15));
+    assert.equal(snowball.totalInterest, 70.54);
+    assert.equal(core.formatDateKey(snowball.cards[1].payoffDate), '2026-02-28');
+
+    assert.deepEqual(core.payoffPaymentRuns(debts, avalanche)
+        .map(run => [run.name, run.amount, core.formatDateKey(run.start), core.formatDateKey(run.end)]), [
+        ['Aspire', 275, '2026-01-20', '2026-03-20'],
+        ['Aspire', 223.99, '2026-04-20', '2026-04-20'],
+        ['Indigo', 25, '2026-01-31', '2026-03-31'],
+        ['Indigo', 76.01, '2026-04-30', '2026-04-30'],
+        ['Indigo', 161.26, '2026-05-31', '2026-05-31']
+    ]);
+
+    assert.throws(() => core.simulateDebtPayoff(debts, 40, ['Aspire', 'Indigo'], D(2026, 1, 1)),
+        /\$40\.00 does not cover the minimum payments \(\$50\.00\)/);
+    assert.throws(() => core.simulateDebtPayoff([{ name: 'Aspire', balance: 5000, apr: 30, minimum: 25, paymentDay: 1 }],
+        100, ['Aspire'], D(2026, 1, 1)), /does not pay off the cards within 50 years/);
+});
+
+// ===========================
+// SAVINGS GOALS
+// ===========================
+
+test('evaluateGoals fills shared accounts in order and extends the projection past the year', () => {
+    const projection = {
+        accounts: ['Checking', 'Savings'],
+        start: '2025-10-01',
+        end: '2025-12-31',
+        opening: [500, 1000],
+        days: [['2025-10-15', 500, 1500], ['2025-11-15', 500, 2000], ['2025-12-15', 500, 2500]]
+    };
+    const goal = (name, target, targetDate, account, contribution) => ({
+        name: name, target: target, targetDate: targetDate, account: account, contribution: contribution
+    });
+
+    const results = core.evaluateGoals([
+        goal('Emergency', 1200, D(2025, 12, 31), 'Savings', null),
+        goal('Car', 1000, D(2025, 12, 1), 'Savings', null),
+        goal('Vacation', 2000, D(2026, 6, 30), 'Savings', null),
+        goal('Laptop', 800, D(2026, 3, 1), 'Checking', 100)
+    ], projection, D(2025, 10, 20));
+
+    // Vacation grows by Savings' average $495.92 a month after December; Laptop by its $100
+    assert.deepEqual(results.map(r => [r.name, r.saved, r.progress, core.formatDateKey(r.reachDate), r.shortfall, r.status]), [
+        ['Emergency', 1200, 1, '2025-10-20', 0, 'Reached'],
+        ['Car', 300, 0.3, '2025-12-15', 144.84, 'Behind'],
+        ['Vacation', 0, 0, '2026-04-15', 0, 'On Track'],
+        ['Laptop', 500, 0.625, '2026-04-02', 23.67, 'Behind']
+    ]);
+    assert.throws(() => core.evaluateGoals([goal('Boat', 10, D(2026, 1, 1), 'Brokerage', null)], projection, D(2025, 10, 20)),
+        /Goal "Boat": "Brokerage" is not a tracked account/);
+});
+
+// ===========================
+// ANNUAL SUMMARY
+// ===========================
+
+test('buildAnnualSummary totals cash flow per month and spending per category', () => {
+    const trans = (date, description, category, account, amount, transferTo) => ({
+        date: date, description: description, category: category, account: account, amount: amount,
+        source: 'Single', transferTo: transferTo || null, status: ''
+    });
+    const byMonth = Array.from({ length: 12 }, () => []);
+    byMonth[10].push(
+        trans(D(2025, 11, 1), 'Pay', 'Income', 'Checking', 1000),
+        trans(D(2025, 11, 2), 'Sweep', 'Transfer', 'Checking', -200, 'Savings'),
+        trans(D(2025, 11, 3), 'Rent', 'Rent', 'Checking', -600));
+    byMonth[11].push(
+        Object.assign(trans(D(2025, 12, 4), 'Costco', 'Split', 'Checking', -150), {
+            parts: [
+                trans(D(2025, 12, 4), 'Costco', 'Groceries', 'Checking', -120),
+                trans(D(2025, 12, 4), 'Costco', 'Household', 'Checking', -30)
+            ]
+        }),
+        trans(D(2025, 12, 5), 'Refund', 'Household', 'Checking', 10));
+
+    const summary = core.buildAnnualSummary(
+        core.buildYearLedger(byMonth, [100, 50], ['Checking', 'Savings'], 2025, 11), ['Checking', 'Savings']);
+
+    assert.deepEqual(summary.months, [
+        { monthIndex: 10, income: 1000, expenses: 600, net: 400, netWorth: 550 },
+        { monthIndex: 11, income: 0, expenses: 140, net: -140, netWorth: 410 }
+    ]);
+    assert.deepEqual(summary.totals, { income: 1000, expenses: 740, net: 260 });
+    assert.deepEqual(summary.categories, [
+        { category: 'Rent', total: 600 },
+        { category: 'Groceries', total: 120 },
+        { category: 'Household', total: 20 }
+    ]);
+    assert.deepEqual(summary.accounts, [
+        { name: 'Checking', starting: 100, ending: 160 },
+        { name: 'Savings', starting: 50, ending: 250 }
+    ]);
+});
+
+test('buildGeneratedTransactions leaves statements due during a payoff plan to the plan', () => {
+    const statement = {
+        closingDay: 25, dueDay: 20, strategy: 'statement', amount: 25, minimumPercent: 2, payFrom: 'Checking',
+        paidByPlan: [{ start: D(2025, 11, 20), end: D(2025, 11, 20) }]
+    };
+    const payments = core.buildGeneratedTransactions([
+        { name: 'Checking', balance: 1000, statement: null, rate: null },
+        { name: 'Card', balance: -300, statement: statement, rate: null }
+    ], [
+        { date: D(2025, 10, 10), description: 'Charge', category: 'Shopping', account: 'Card', amount: -200, source: 'Single', transferTo: null },
+        { date: D(2025, 11, 20), description: 'Debt Payoff: Card', category: 'Transfer', account: 'Checking', amount: -100, source: 'Recurring', transferTo: 'Card' }
+    ], D(2025, 10, 1), D(2025, 12, 31));
+
+    // October's payment comes before the plan and December's after it
+    assert.deepEqual(payments.map(p => [core.formatDateKey(p.date), p.amount]), [
+        ['2025-10-20', -300],
+        ['2025-12-20', -100]
+    ]);
+});
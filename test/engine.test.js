@@ -0,0 +1,635 @@
+/**
+ * End-to-end tests for the Apps Script adapter (FnanceTrackerEngine.js) running
+ * against the in-memory spreadsheet stand-in.
+ * Run with: node --test test/
+ */
+
+// Pin a time zone with daylight saving so DST transitions are exercised
+process.env.TZ = 'America/New_York';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { FakeSpreadsheet, loadAppsScript } = require('./fake-spreadsheet');
+
+const D = (year, month, day) => new Date(year, month - 1, day);
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Builds a small workbook: two accounts, a paycheck, rent and one single transaction.
+ */
+function sampleWorkbook() {
+    const sheets = {
+        'Settings': [['Setting', 'Value'], ['Year', 2025], ['Start Month', 'Oct']],
+        'Accounts': [
+            ['Account', 'Type', 'Balance', 'Active', 'Closed Date'],
+            ['Checking', 'Checking', 1000, true, ''],
+            ['Savings', 'Savings', 500, true, '']
+        ],
+        'Recurring Transactions': [
+            ['Description', 'Category', 'Amount', 'Account', 'Frequency', 'Start Date', 'End Date',
+                'Day of Month', 'Day of Week', 'Active', '', '', '', '', 'Transfer To', 'Roll Rule', 'Month-End Policy'],
+            ['=== INCOME ===', '', '', '', '', '', '', '', '', '', '', '', '', '', '', '', ''],
+            ['Paycheck', 'Income', 2000, 'Checking', 'Bi-weekly', D(2025, 10, 10), '', '', '', true, '', '', '', '', '', '', ''],
+            ['Rent', 'Rent', 1200, 'Checking', 'Monthly', D(2025, 1, 1), '', 31, '', true, '', '', '', '', '', '', ''],
+            ['Sweep', 'Transfer', 100, 'Checking', 'Monthly', D(2025, 1, 1), '', 15, '', true, '', '', '', '', 'Savings', '', '']
+        ],
+        'Single Transactions': [
+            ['Date', 'Description', 'Category', 'Account', 'Amount', 'Transfer To', 'Notes'],
+            [D(2025, 11, 2), 'Groceries', 'Groceries', 'Checking', 75, '', '']
+        ]
+    };
+    MONTHS.forEach(month => { sheets[month] = [['Date']]; });
+    return new FakeSpreadsheet(sheets);
+}
+
+const summary = rows => rows.slice(1).map(row => `${row[0].getMonth() + 1}/${row[0].getDate()} ${row[1]}`);
+
+test('a full update writes headers, ledgers and carried-forward balances', () => {
+    const ss = sampleWorkbook();
+    const script = loadAppsScript(ss);
+
+    script.updateAllMonthlySheets();
+
+    assert.match(script.alerts[0], /All monthly sheets updated successfully/);
+    assert.deepEqual(ss.values('Oct')[0],
+        ['Date', 'Description', 'Category', 'Account', 'Amount', 'Source', 'Checking', 'Savings', 'Net Worth']);
+    assert.deepEqual(summary(ss.values('Oct')),
+        ['10/1 Starting Balance', '10/10 Paycheck', '10/15 Sweep', '10/24 Paycheck', '10/31 Rent']);
+
+    // Nov 2 is the DST change; Nov 30 is the clamped 31st
+    assert.deepEqual(summary(ss.values('Nov')),
+        ['11/1 Starting Balance', '11/2 Groceries', '11/7 Paycheck', '11/15 Sweep', '11/21 Paycheck', '11/30 Rent']);
+
+    const october = ss.values('Oct');
+    const november = ss.values('Nov');
+    assert.deepEqual(october[october.length - 1].slice(6), [3700, 600, 4300]);
+    assert.deepEqual(november[1].slice(6), [3700, 600, 4300]);
+    assert.deepEqual(november[2].slice(6), [3625, 600, 4225]);
+    assert.equal(ss.values('Sep').length, 1);
+});
+
+test('an incremental update leaves unchanged months alone', () => {
+    const ss = sampleWorkbook();
+    const script = loadAppsScript(ss);
+    script.updateAllMonthlySheets();
+
+    // Hand-edited cells survive when a month's inputs have not changed
+    ss.getSheetByName('Oct').getRange(2, 2).setValue('Starting Balance (checked)');
+    ss.getSheetByName('Dec').getRange(2, 2).setValue('Starting Balance (checked)');
+    ss.getSheetByName('Single Transactions').appendRow([D(2025, 12, 24), 'Gifts', 'Gifts', 'Checking', 300, '', '']);
+
+    const settings = script.getSettings(ss);
+    const result = script.rebuildMonthlySheets(ss, settings, 13);
+
+    assert.deepEqual(Array.from(result.writtenMonths), ['Dec']);
+    assert.equal(ss.values('Oct')[1][1], 'Starting Balance (checked)');
+    assert.equal(ss.values('Dec')[1][1], 'Starting Balance');
+    assert.ok(summary(ss.values('Dec')).includes('12/24 Gifts'));
+
+    // December starts from November's stored ending balances...
+    const state = script.readEngineState(ss);
+    assert.deepEqual(Array.from(state['month:2025-11'].endBalances), [6325, 700]);
+    state['month:2025-11'].endBalances = [6000, 700];
+    script.writeEngineState(ss, state);
+    script.rebuildMonthlySheets(ss, settings, 12);
+    assert.deepEqual(ss.values('Dec')[1].slice(6), [6000, 700, 6700]);
+
+    // ...unless an earlier month's inputs changed, which recomputes the whole year
+    ss.getSheetByName('Single Transactions').appendRow([D(2025, 10, 20), 'Books', 'Books', 'Checking', 25, '', '']);
+    script.rebuildMonthlySheets(ss, settings, 12);
+    assert.deepEqual(ss.values('Dec')[1].slice(6), [6300, 700, 7000]);
+});
+
+test('overrides moved into the period are Applied and the rest are Orphan', () => {
+    const ss = sampleWorkbook();
+    ss.insertSheet('Recurring Overrides').getRange(1, 1, 4, 7).setValues([
+        ['Recurring Item', 'Occurrence Date', 'Skip', 'Amount', 'Move To Date', 'Notes', 'Status'],
+        ['Sweep', D(2025, 9, 15), '', '', D(2025, 10, 2), '', ''],
+        ['Sweep', D(2025, 8, 15), '', '', '', '', ''],
+        ['Sweep', D(2025, 10, 16), true, '', '', '', '']
+    ]);
+    const script = loadAppsScript(ss);
+
+    script.updateAllMonthlySheets();
+
+    assert.deepEqual(ss.values('Recurring Overrides').slice(1).map(row => row[6]), ['Applied', 'Orphan', 'Orphan']);
+    assert.ok(summary(ss.values('Oct')).includes('10/2 Sweep'));
+});
+
+test('a workbook without Settings keeps the September 2025 period', () => {
+    const ss = sampleWorkbook();
+    ss.sheets = ss.sheets.filter(sheet => sheet.getName() !== 'Settings');
+    const script = loadAppsScript(ss);
+
+    const settings = script.getSettings(ss);
+
+    assert.equal(settings.year, 2025);
+    assert.equal(settings.startMonth, 9);
+    assert.deepEqual(ss.values('Settings').slice(1, 3), [['Year', 2025], ['Start Month', 9]]);
+});
+
+test('configuration errors are reported instead of thrown', () => {
+    const ss = sampleWorkbook();
+    ss.getSheetByName('Recurring Transactions').getRange(3, 5).setValue('Every so often');
+    const script = loadAppsScript(ss);
+
+    script.updateAllMonthlySheets();
+
+    assert.match(script.alerts[0], /❌ Error: .*"Paycheck": unrecognized frequency "Every so often"/);
+});
+
+test('balance custom functions read the projection cached by the last update', () => {
+    const ss = sampleWorkbook();
+    const script = loadAppsScript(ss);
+    script.updateAllMonthlySheets();
+
+    assert.ok(script.cache.has('dailyProjection'));
+    assert.equal(script.BALANCE_ON('Checking', D(2025, 10, 31)), 3700);
+    assert.equal(script.BALANCE_ON('Savings', '2025-11-16T12:00:00'), 700);
+    assert.equal(script.NETWORTH_ON(D(2025, 11, 2)), 4225);
+    assert.equal(script.MIN_BALANCE_BETWEEN('Checking', D(2025, 10, 1), D(2025, 10, 31)), 1000);
+    assert.ok(ss.values('Settings').some(row => row[0] === 'Last Updated' && row[1] instanceof Date));
+
+    // Cached values win until the next update refreshes them
+    ss.getSheetByName('Accounts').getRange(2, 3).setValue(0);
+    assert.equal(script.BALANCE_ON('Checking', D(2025, 10, 1)), 1000);
+    script.updateAllMonthlySheets();
+    assert.equal(script.BALANCE_ON('Checking', D(2025, 10, 1)), 0);
+
+    assert.throws(() => script.BALANCE_ON('Brokerage', D(2025, 10, 1)), /Unknown account "Brokerage"/);
+    assert.throws(() => script.NETWORTH_ON(''), /"date" must be a date/);
+});
+
+test('custom functions rebuild the projection when the cache is empty', () => {
+    const ss = sampleWorkbook();
+    const script = loadAppsScript(ss);
+
+    assert.equal(script.NETWORTH_ON(D(2025, 10, 31)), 4300);
+    assert.ok(script.cache.has('dailyProjection:0'));
+    assert.equal(ss.values('Oct').length, 1);
+
+    // Custom functions may not insert sheets, so a missing Settings sheet is an error
+    ss.sheets = ss.sheets.filter(sheet => sheet.getName() !== 'Settings');
+    const fresh = loadAppsScript(ss);
+    assert.throws(() => fresh.NETWORTH_ON(D(2025, 10, 31)), /"Settings" sheet is missing/);
+    assert.equal(ss.getSheetByName('Settings'), null);
+});
+
+test('balance alerts are written to the Alerts sheet and emailed only when they change', () => {
+    const ss = sampleWorkbook();
+    ss.getSheetByName('Accounts').getRange(1, 6, 2, 2).setValues([['Min Balance', 'Credit Limit'], [3650, '']]);
+    const script = loadAppsScript(ss);
+    const settings = script.getSettings(ss);
+    const inputs = script.loadEngineInputs(ss, settings);
+    const ledgers = script.projectYear(inputs);
+    const state = {};
+
+    // Groceries on Nov 2 takes Checking from 3700 to 3625
+    const alerts = script.updateBalanceAlerts(ss, settings, inputs.accounts, ledgers, state, D(2025, 10, 25));
+    assert.deepEqual(Array.from(alerts, a => [a.account, a.type, script.formatDateKey(a.date), a.balance]),
+        [['Checking', 'Min Balance', '2025-11-02', 3625]]);
+    assert.deepEqual(ss.values('Alerts')[1].slice(0, 3), ['Checking', 'Min Balance', 3650]);
+    assert.equal(script.mails.length, 1);
+    assert.equal(script.mails[0].recipient, 'owner@example.com');
+    assert.match(script.mails[0].body, /Checking: below Min Balance \$3650\.00 on 11\/02\/2025/);
+
+    // Same alerts on the next run: no new email
+    script.updateBalanceAlerts(ss, settings, inputs.accounts, ledgers, state, D(2025, 10, 26));
+    assert.equal(script.mails.length, 1);
+
+    // Past the dip the alert clears, which is a change worth an email
+    script.updateBalanceAlerts(ss, settings, inputs.accounts, ledgers, state, D(2025, 11, 8));
+    assert.equal(script.mails.length, 2);
+    assert.match(script.mails[1].subject, /balance alerts cleared/);
+    assert.equal(ss.values('Alerts')[1][0], 'No projected threshold crossings');
+});
+
+test('Reconcile Account reports differences and marks a balanced statement reconciled', () => {
+    const ss = sampleWorkbook();
+    ss.getSheetByName('Single Transactions').getRange(2, 8).setValue('Cleared');
+    ss.insertSheet('Recurring Overrides').getRange(1, 1, 2, 8).setValues([
+        ['Recurring Item', 'Occurrence Date', 'Skip', 'Amount', 'Move To Date', 'Notes', 'Status', 'Cleared'],
+        ['Rent', D(2025, 10, 31), '', '', '', '', '', 'Cleared']
+    ]);
+
+    // Opening 1000, cleared rent -1200 and groceries -75; the 10/10 paycheck is missing
+    const unbalanced = loadAppsScript(ss, { prompts: ['checking', '11/05/2025', '$1,725.00'] });
+    unbalanced.reconcileAccount();
+
+    assert.match(unbalanced.alerts[0], /Checking is off by \$2000\.00/);
+    const report = ss.values('Reconciliation');
+    assert.deepEqual(report.slice(2, 5).map(row => row[1]), [1725, -275, 2000]);
+    assert.deepEqual(report.slice(8).map(row => [row[1], row[7]]), [
+        ['Paycheck', 'Not cleared - amount matches the difference'],
+        ['Sweep', 'Not cleared'],
+        ['Paycheck', 'Not cleared - amount matches the difference']
+    ]);
+
+    const balanced = loadAppsScript(ss, { prompts: ['Checking', '11/05/2025', '(275)'], responses: ['YES'] });
+    balanced.reconcileAccount();
+
+    assert.match(balanced.alerts[0], /balances with the statement/);
+    assert.equal(ss.values('Single Transactions')[1][7], 'Reconciled');
+    assert.equal(ss.values('Recurring Overrides')[1][7], 'Reconciled');
+
+    // A status-only override row leaves the occurrence unchanged in the ledger
+    balanced.updateAllMonthlySheets();
+    const rent = ss.values('Oct').find(row => row[1] === 'Rent');
+    assert.deepEqual([rent[4], rent[5]], [-1200, 'Recurring']);
+    assert.deepEqual(ss.values('Accounts')[0].slice(7, 9), ['Projected Today', 'Cleared Today']);
+    assert.deepEqual(ss.values('Accounts').slice(1).map(row => row[8]), [-275, 500]);
+});
+
+test('Import CSV previews the mapped rows and appends only new ones', () => {
+    const ss = sampleWorkbook();
+    ss.insertSheet('CSV Import').getRange(1, 1, 4, 1).setValues([
+        ['Details,Posting Date,Description,Amount,Type,Balance,Check or Slip #'],
+        ['DEBIT,11/03/2025,"GROCERIES #44, CINCINNATI",-75.00,DEBIT_CARD,,'],
+        ['DEBIT,11/04/2025,BLUE BOTTLE COFFEE,-4.50,DEBIT_CARD,,'],
+        ['CREDIT,11/05/2025,IRS TREAS 310 TAX REF,250.00,ACH_CREDIT,,']
+    ]);
+
+    const script = loadAppsScript(ss, { prompts: ['chase checking', 'Checking', ''], responses: ['YES'] });
+    script.importCsv();
+
+    assert.deepEqual(ss.values('Import Preview').slice(1).map(row => [row[1], row[2], row[4], row[9]]), [
+        ['GROCERIES #44, CINCINNATI', 'Uncategorized', 75, 'Skip: already on Single Transactions row 2'],
+        ['BLUE BOTTLE COFFEE', 'Uncategorized', 4.5, 'New'],
+        ['IRS TREAS 310 TAX REF', 'Income', 250, 'New']
+    ]);
+    assert.match(script.alerts[0], /Import 2 new transaction\(s\) into Checking\?\n\n1 already recorded/);
+    assert.deepEqual(ss.values('Single Transactions').slice(2).map(row => row.slice(1, 8)), [
+        ['BLUE BOTTLE COFFEE', 'Uncategorized', 'Checking', 4.5, '', 'Imported (Chase Checking)', 'Cleared'],
+        ['IRS TREAS 310 TAX REF', 'Income', 'Checking', 250, '', 'Imported (Chase Checking)', 'Cleared']
+    ]);
+
+    // Importing the same file again from Drive finds nothing new
+    const again = loadAppsScript(ss, {
+        prompts: ['Chase Checking', 'Checking', 'export.csv'],
+        driveFiles: { 'export.csv': ss.values('CSV Import').map(row => row[0]).join('\n') }
+    });
+    again.importCsv();
+    assert.match(again.alerts[0], /Nothing to import: 3 row\(s\) are already recorded and 0 could not be read/);
+    assert.equal(ss.values('Single Transactions').length, 4);
+});
+
+test('Import OFX skips known FITIDs and reconciles against the ledger balance', () => {
+    const ss = sampleWorkbook();
+    ss.getSheetByName('Accounts').getRange(1, 10, 2, 1).setValues([['Bank Account ID'], ['4417']]);
+    const ofx = [
+        'OFXHEADER:100', 'DATA:OFXSGML', '', '<OFX><BANKMSGSRSV1><STMTTRNRS><STMTRS><CURDEF>USD',
+        '<BANKACCTFROM><BANKID>021000021<ACCTID>000012344417<ACCTTYPE>CHECKING</BANKACCTFROM>',
+        '<BANKTRANLIST>',
+        '<STMTTRN><TRNTYPE>CREDIT<DTPOSTED>20251010<TRNAMT>250.00<FITID>A1<NAME>IRS TREAS 310 TAX REF</STMTTRN>',
+        '<STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20251012120000[-5:EST]<TRNAMT>-42.10<FITID>A2<NAME>SHELL OIL</STMTTRN>',
+        '</BANKTRANLIST>',
+        '<LEDGERBAL><BALAMT>1207.90<DTASOF>20251013</LEDGERBAL>',
+        '</STMTRS></STMTTRNRS></BANKMSGSRSV1></OFX>'
+    ].join('\n');
+
+    const script = loadAppsScript(ss, { prompts: ['statement.qfx'], driveFiles: { 'statement.qfx': ofx } });
+    script.importOfx();
+
+    assert.deepEqual(ss.values('Single Transactions').slice(2).map(row => [row[1], row[4], row[7], row[8]]), [
+        ['IRS TREAS 310 TAX REF', 250, 'Reconciled', 'A1'],
+        ['SHELL OIL', 42.1, 'Reconciled', 'A2']
+    ]);
+    assert.match(script.alerts[2], /Checking balances with the statement/);
+    assert.equal(ss.values('Reconciliation')[2][1], 1207.9);
+
+    // The same file again: both FITIDs are known, and the balance still matches
+    const again = loadAppsScript(ss, { prompts: ['statement.qfx'], driveFiles: { 'statement.qfx': ofx } });
+    again.importOfx();
+    assert.match(again.alerts[0], /Nothing to import: 2 row\(s\) are already recorded/);
+    assert.equal(ss.values('Import Preview')[1][9], 'Skip: already imported (Single Transactions row 3)');
+    assert.match(again.alerts[1], /Checking balances with the statement/);
+    assert.equal(ss.values('Single Transactions').length, 4);
+
+    ss.getSheetByName('Accounts').getRange(2, 10).setValue('9999');
+    const unmapped = loadAppsScript(ss, { prompts: ['statement.qfx'], driveFiles: { 'statement.qfx': ofx } });
+    unmapped.importOfx();
+    assert.match(unmapped.alerts[0], /OFX account 000012344417 is not on the Accounts sheet/);
+});
+
+test('category rules run on import and from Categorize Uncategorized', () => {
+    const ss = sampleWorkbook();
+    ss.insertSheet('Rules').getRange(1, 1, 4, 8).setValues([
+        ['Pattern', 'Match', 'Min Amount', 'Max Amount', 'Account', 'Category', 'Set Account', 'Set Description'],
+        ['coffee', '', '', 10, '', 'Dining', '', 'Coffee'],
+        ['^IRS TREAS', 'Regex', '', '', '', 'Income', '', 'Tax refund'],
+        ['blue bottle', '', '', '', '', 'Treats', '', '']
+    ]);
+    ss.insertSheet('CSV Import').getRange(1, 1, 3, 3).setValues([
+        ['Date', 'Description', 'Amount'],
+        ['11/04/2025', 'BLUE BOTTLE COFFEE', '-4.50'],
+        ['11/05/2025', 'IRS TREAS 310 TAX REF', '250.00']
+    ]);
+    ss.getSheetByName('Single Transactions').appendRow([D(2025, 11, 9), 'Coffee shop', '', 'Checking', 6, '', '']);
+    ss.getSheetByName('Single Transactions').appendRow([D(2025, 11, 9), 'Hardware store', 'Uncategorized', 'Checking', 30, '', '']);
+
+    const script = loadAppsScript(ss, { prompts: ['Generic', 'Checking', ''] });
+    script.importCsv();
+
+    assert.deepEqual(ss.values('Import Preview').slice(1).map(row => [row[1], row[2], row[9]]), [
+        ['Coffee', 'Dining', 'New - check: Matches Rules rows 2, 4; row 2 was used'],
+        ['Tax refund', 'Income', 'New']
+    ]);
+    const single = ss.getSheetByName('Single Transactions');
+    assert.deepEqual(ss.values('Single Transactions').slice(4).map(row => [row[1], row[2], row[4]]), [
+        ['Coffee', 'Dining', 4.5],
+        ['Tax refund', 'Income', 250]
+    ]);
+    assert.match(single.notes['5,3'], /Matches Rules rows 2, 4/);
+
+    script.categorizeUncategorized();
+    assert.deepEqual(ss.values('Single Transactions').slice(2, 4).map(row => [row[1], row[2], row[4]]), [
+        ['Coffee', 'Dining', 6],
+        ['Hardware store', 'Uncategorized', 30]
+    ]);
+    assert.match(script.alerts[script.alerts.length - 1], /Categorized 1 of 2 uncategorized/);
+
+    ss.getSheetByName('Rules').getRange(2, 2).setValue('Glob');
+    script.categorizeUncategorized();
+    assert.match(script.alerts[script.alerts.length - 1], /❌ Error: .*Rules row 2: Match must be Contains or Regex/);
+});
+
+test('updates write the Budget report from Categories budgets', () => {
+    const ss = sampleWorkbook();
+    ss.insertSheet('Categories').getRange(1, 1, 4, 4).setValues([
+        ['Category', 'Type', 'Monthly Budget', 'Nov'],
+        ['Groceries', 'Expense', 100, 50],
+        ['Rent', 'Expense', 1200, ''],
+        ['Income', 'Income', '', '']
+    ]);
+    const script = loadAppsScript(ss);
+    const settings = script.getSettings(ss);
+    const ledgers = script.projectYear(script.loadEngineInputs(ss, settings));
+
+    script.updateBudgetReport(ss, settings, ledgers, D(2025, 11, 20));
+
+    const rows = ss.values('Budget').slice(1).map(row => row.slice(0, 2).concat(row[2], row[3], row[5]));
+    assert.deepEqual(rows.filter(row => row[1] === 'YTD'), [
+        ['Groceries', 'YTD', 150, 75, 75],
+        ['Rent', 'YTD', 2400, 2400, 0]
+    ]);
+    assert.deepEqual(rows.filter(row => row[1] === 'Nov'), [
+        ['Groceries', 'Nov', 50, 75, -25],
+        ['Rent', 'Nov', 1200, 1200, 0]
+    ]);
+    assert.equal(rows.filter(row => row[1] === 'Dec').length, 2);
+
+    // Without a Monthly Budget column there is no report
+    const plain = sampleWorkbook();
+    plain.insertSheet('Categories').getRange(1, 1, 2, 2).setValues([['Category', 'Type'], ['Groceries', 'Expense']]);
+    loadAppsScript(plain).updateAllMonthlySheets();
+    assert.equal(plain.getSheetByName('Budget'), null);
+});
+
+test('Validate Inputs writes the Validation sheet and updates stop on errors', () => {
+    const ss = sampleWorkbook();
+    const script = loadAppsScript(ss);
+
+    script.validateInputs();
+    assert.match(script.alerts[0], /No problems found/);
+    assert.equal(ss.values('Validation')[1][0], 'No problems found');
+
+    ss.getSheetByName('Single Transactions').appendRow([D(2025, 12, 1), 'Book', 'Books', 'Chequing', 'twelve', '', '']);
+    script.validateInputs();
+    assert.match(script.alerts[1], /2 error\(s\) and 0 warning\(s\)/);
+    assert.deepEqual(ss.values('Validation').slice(1, 3).map(row => row.slice(0, 3)), [
+        ['Single Transactions', 'D3', 'Error'],
+        ['Single Transactions', 'E3', 'Error']
+    ]);
+
+    script.updateAllMonthlySheets();
+    assert.match(script.alerts[2],
+        /❌ Error: .*2 input error\(s\) found, so balances were not updated .* First: Single Transactions!D3 "Book": Account "Chequing"/);
+    assert.equal(ss.values('Oct').length, 1);
+});
+
+test('a split receipt shows as one ledger row and its parts reach the Budget report', () => {
+    const ss = sampleWorkbook();
+    const single = ss.getSheetByName('Single Transactions');
+    single.getRange(1, 10).setValue('Split ID');
+    single.appendRow([D(2025, 11, 8), 'Costco', 'Split', 'Checking', 250, '', '', '', '', 'C1']);
+    single.appendRow(['', '', 'Groceries', '', 180, '', '', '', '', 'C1']);
+    single.appendRow(['', 'Patio chairs', 'Household', '', 70, '', '', '', '', 'C1']);
+    ss.insertSheet('Categories').getRange(1, 1, 3, 2).setValues([
+        ['Category', 'Monthly Budget'], ['Groceries', 200], ['Household', 50]
+    ]);
+    const script = loadAppsScript(ss);
+
+    script.updateAllMonthlySheets();
+
+    const november = ss.values('Nov');
+    const costco = november.filter(row => row[1] === 'Costco' || row[2] === 'Household');
+    assert.deepEqual(costco.map(row => row.slice(1, 7)), [['Costco', 'Split', 'Checking', -250, 'Single', 5375]]);
+    assert.deepEqual(ss.values('Budget').slice(1).filter(row => row[1] === 'Nov').map(row => [row[0], row[3], row[5]]), [
+        ['Groceries', 255, -55],
+        ['Household', 70, -20],
+        ['Rent', 1200, -1200]
+    ]);
+
+    // Parts that no longer add up block the update
+    single.getRange(5, 5).setValue(60);
+    script.updateAllMonthlySheets();
+    assert.match(script.alerts[1], /Single Transactions!E3 "Costco": parts add up to 240\.00, not 250\.00/);
+});
+
+test('Allocation Rules split each paycheck into linked ledger rows', () => {
+    const ss = sampleWorkbook();
+    ss.insertSheet('Allocation Rules').getRange(1, 1, 3, 4).setValues([
+        ['Income Item', 'Account', 'Percent', 'Fixed Amount'],
+        ['Paycheck', 'Savings', 0.2, ''],
+        ['Rent', 'Savings', '', 50]
+    ]);
+    ss.getSheetByName('Recurring Transactions').getRange(4, 10).setValue(false); // Rent inactive: rule ignored
+    const script = loadAppsScript(ss);
+
+    script.updateAllMonthlySheets();
+
+    const october = ss.values('Oct');
+    assert.deepEqual(october.slice(1).filter(row => row[0].getDate() === 10).map(row => row.slice(1, 5).concat(row.slice(6))), [
+        ['Paycheck', 'Income', 'Checking', 1600, 2600, 500, 3100],
+        ['Paycheck (20% to Savings)', 'Income', 'Savings', 400, 2600, 900, 3500]
+    ]);
+
+    ss.getSheetByName('Allocation Rules').getRange(2, 2).setValue('Checking');
+    script.updateAllMonthlySheets();
+    assert.match(script.alerts[1], /Allocation Rules row 2: "Checking" is the item's own account/);
+});
+
+test('a card with a statement cycle gets its payments scheduled from Pay From', () => {
+    const ss = sampleWorkbook();
+    const accounts = ss.getSheetByName('Accounts');
+    accounts.getRange(1, 11, 1, 5).setValues([['Closing Day', 'Due Day', 'Payment', 'Payment Amount', 'Pay From']]);
+    accounts.appendRow(['Card', 'Credit Card', -400, true, '', '', '', '', '', '', 5, 28, 'Minimum', '', 'Checking']);
+    ss.getSheetByName('Single Transactions').appendRow([D(2025, 10, 3), 'Dinner', 'Dining', 'Card', 100, '', '']);
+    const script = loadAppsScript(ss);
+
+    script.updateAllMonthlySheets();
+
+    const payments = ss.values('Oct').concat(ss.values('Nov')).filter(row => row[5] === 'Statement');
+    assert.deepEqual(payments.map(row => [row[0].getDate(), row[1], row[3], row[4]]), [
+        [28, 'Card payment (statement 10/05/2025)', 'Checking → Card', -25],
+        [28, 'Card payment (statement 11/05/2025)', 'Checking → Card', -25]
+    ]);
+
+    accounts.getRange(4, 15).setValue('Card');
+    script.updateAllMonthlySheets();
+    assert.match(script.alerts[1], /Pay From for "Card" must be another tracked account, not "Card"/);
+});
+
+test('Rate % adds monthly interest rows to savings', () => {
+    const ss = sampleWorkbook();
+    ss.getSheetByName('Accounts').getRange(1, 16, 3, 1).setValues([['Rate %'], [''], ['4.5%']]);
+    const script = loadAppsScript(ss);
+
+    script.updateAllMonthlySheets();
+
+    const interest = ss.values('Oct').filter(row => row[5] === 'Interest');
+    assert.equal(interest.length, 1);
+    assert.deepEqual(interest[0].slice(1, 4), ['Savings interest (4.5% APY)', 'Income', 'Savings']);
+    assert.equal(interest[0][0].getDate(), 31);
+    assert.ok(interest[0][4] > 1.9 && interest[0][4] < 2.1, `October interest was ${interest[0][4]}`);
+
+    // A percent-formatted 4.5% cell holds 0.045
+    ss.getSheetByName('Accounts').getRange(3, 16).setValue(0.045);
+    script.updateAllMonthlySheets();
+    assert.deepEqual(ss.values('Oct').filter(row => row[5] === 'Interest').map(row => [row[1], row[4]]),
+        [['Savings interest (4.5% APY)', interest[0][4]]]);
+
+    ss.getSheetByName('Accounts').appendRow(['Card', 'Credit Card', -400, true, '', '', '', '', '', '', '', '', '', '', '', 19.99]);
+    script.updateAllMonthlySheets();
+    assert.match(script.alerts[2], /"Card" needs a Closing Day and Due Day to charge its APR/);
+});
+
+test('Plan Debt Payoff writes the Payoff Plan and can push it to Recurring Transactions', () => {
+    const ss = sampleWorkbook();
+    const accounts = ss.getSheetByName('Accounts');
+    accounts.getRange(1, 11, 1, 6).setValues([['Closing Day', 'Due Day', 'Payment', 'Payment Amount', 'Pay From', 'Rate %']]);
+    accounts.appendRow(['Aspire', 'Credit Card', -1000, true, '', '', '', '', '', '', 25, 20, 'None', '', 'Checking', 24]);
+    accounts.appendRow(['Indigo', 'Credit Card', -300, true, '', '', '', '', '', '', 10, 5, 'Minimum', '', 'Checking', 0]);
+    const script = loadAppsScript(ss, { prompts: ['$300', 'Indigo, Aspire'], responses: ['YES'] });
+
+    script.planDebtPayoff();
+
+    assert.match(script.alerts[0], /Custom: debt-free by .* with \$\d/);
+    const plan = ss.values('Payoff Plan');
+    assert.deepEqual(plan.slice(0, 4).map(row => row.slice(0, 2)), [
+        ['Strategy', 'Payoff Order'],
+        ['Avalanche', 'Aspire, Indigo'],
+        ['Snowball', 'Indigo, Aspire'],
+        ['Custom (chosen)', 'Indigo, Aspire']
+    ]);
+    assert.deepEqual(plan[5].slice(0, 4), ['Card', 'Balance', 'APR', 'Minimum']);
+    // Aspire's statements go unpaid until the plan starts, so it accrues interest
+    assert.deepEqual(plan[6].slice(0, 4), ['Aspire', 1057.62, 0.24, 25]);
+
+    const recurring = ss.values('Recurring Transactions');
+    const payoff = recurring.filter(row => row[0].toString().startsWith('Debt Payoff: '));
+    assert.ok(recurring.some(row => row[0] === '=== DEBT PAYOFF ==='));
+    assert.deepEqual(payoff[0].slice(0, 5), ['Debt Payoff: Aspire', 'Transfer', 75, 'Checking', 'Monthly']);
+    assert.ok(payoff.every(row => row[14] === 'Aspire' || row[14] === 'Indigo'));
+    assert.match(script.alerts[1], new RegExp(`Added ${payoff.length} recurring transfer`));
+
+    // The cards' own Payment settings are left alone
+    assert.deepEqual(ss.values('Accounts').slice(3).map(row => row[12]), ['None', 'Minimum']);
+
+    // Planning again replaces the earlier rows
+    loadAppsScript(ss, { prompts: ['$300', 'Indigo, Aspire'], responses: ['YES'] }).planDebtPayoff();
+    assert.equal(ss.values('Recurring Transactions').filter(row => row[0].toString().startsWith('Debt Payoff: ')).length,
+        payoff.length);
+    assert.equal(ss.values('Recurring Transactions').filter(row => row[0] === '=== DEBT PAYOFF ===').length, 1);
+});
+
+test('every update writes goal progress and warns about goals that fall behind', () => {
+    const ss = sampleWorkbook();
+    ss.insertSheet('Goals').getRange(1, 1, 4, 5).setValues([
+        ['Goal', 'Target Amount', 'Target Date', 'Account', 'Monthly Contribution'],
+        ['Emergency Fund', 500, D(2025, 12, 31), 'Savings', ''],
+        ['', '', '', '', ''],
+        ['Car', 1000, D(2025, 12, 31), 'Savings', '']
+    ]);
+    const script = loadAppsScript(ss);
+
+    script.updateAllMonthlySheets();
+
+    // Savings ends the year at 800: the Emergency Fund is full, the car is $700 short
+    const goals = ss.values('Goals');
+    assert.deepEqual(goals[0].slice(5), ['Saved Today', 'Progress', 'Projected Date', 'Monthly Shortfall', 'Status']);
+    assert.deepEqual(goals[1].slice(5).filter((value, i) => i !== 2), [500, 1, 0, 'Reached']);
+    assert.deepEqual(goals[2].slice(5), ['', '', '', '', '']);
+    assert.deepEqual(goals[3].slice(5, 7), [300, 0.3]);
+    assert.equal(goals[3][9], 'Behind');
+    assert.equal(goals[3][8], 700);
+    assert.match(script.alerts[0], /1 savings goal\(s\) will not be reached by their target date/);
+
+    ss.getSheetByName('Goals').getRange(4, 4).setValue('Brokerage');
+    script.updateAllMonthlySheets();
+    assert.match(script.alerts[1], /Goals row 4: "Brokerage" is not a tracked account/);
+});
+
+test('every update rewrites the Annual Summary and refreshes its charts in place', () => {
+    const ss = sampleWorkbook();
+    const script = loadAppsScript(ss);
+
+    script.updateAllMonthlySheets();
+
+    const summary = ss.values('Annual Summary');
+    assert.deepEqual(summary.slice(0, 5).map(row => row.slice(0, 5)), [
+        ['Month', 'Income', 'Expenses', 'Net Cash Flow', 'Net Worth'],
+        ['Oct', 4000, 1200, 2800, 4300],
+        ['Nov', 4000, 1275, 2725, 7025],
+        ['Dec', 4000, 1200, 2800, 9825],
+        ['Total', 12000, 3675, 8325, 9825]
+    ]);
+    assert.deepEqual(summary.slice(0, 3).map(row => row.slice(6, 8)),
+        [['Category', 'Spending'], ['Rent', 3600], ['Groceries', 75]]);
+    assert.deepEqual(summary.slice(0, 3).map(row => row.slice(9, 12)),
+        [['Account', 'Starting Balance', 'Ending Balance'], ['Checking', 1000, 9025], ['Savings', 500, 800]]);
+
+    const sheet = ss.getSheetByName('Annual Summary');
+    assert.deepEqual(sheet.getCharts().map(chart => [chart.options.title, chart.type]),
+        [['Net Worth', 'LINE'], ['Spending by Category', 'PIE']]);
+
+    // A new category and a second update: same two charts, wider ranges
+    ss.getSheetByName('Single Transactions').appendRow([D(2025, 12, 24), 'Gifts', 'Gifts', 'Checking', 300, '', '']);
+    script.updateAllMonthlySheets();
+    const charts = sheet.getCharts();
+    assert.equal(charts.length, 2);
+    assert.equal(charts[1].getRanges()[0].getNumRows(), 4);
+    assert.deepEqual(charts[0].getRanges().map(range => [range.getColumn(), range.getNumRows()]), [[1, 4], [5, 4]]);
+});
+
+test('rolling forward keeps only active recurring items that are still running', () => {
+    const ss = sampleWorkbook();
+    const recurring = ss.getSheetByName('Recurring Transactions');
+    recurring.appendRow(['Gym', 'Fitness', 40, 'Checking', 'Monthly', D(2025, 1, 1), '', 5, '', false, '', '', '', '', '', '', '']);
+    recurring.appendRow(['Lease', 'Car', 300, 'Checking', 'Monthly', D(2025, 1, 1), D(2025, 12, 31), 20, '', true, '', '', '', '', '', '', '']);
+    recurring.appendRow(['Loan', 'Car', 250, 'Checking', 'Monthly', D(2025, 1, 1), D(2026, 6, 30), 20, '', true, '', '', '', '', '', '', '']);
+    const script = loadAppsScript(ss);
+    const closing = script.rebuildMonthlySheets(ss, script.getSettings(ss));
+
+    script.rollWorkbookForward(ss, 2026, closing);
+
+    assert.deepEqual(ss.values('Recurring Transactions').slice(2).map(row => row[0]),
+        ['Paycheck', 'Rent', 'Sweep', 'Loan']);
+    assert.deepEqual(ss.values('Accounts').slice(1).map(row => row[2]), Array.from(closing.endBalances));
+    assert.deepEqual(ss.values('Engine State'), [['Key', 'Value', 'Updated']]);
+});
+
+test('two override rows for the same occurrence stop the update', () => {
+    const ss = sampleWorkbook();
+    ss.insertSheet('Recurring Overrides').getRange(1, 1, 3, 7).setValues([
+        ['Recurring Item', 'Occurrence Date', 'Skip', 'Amount', 'Move To Date', 'Notes', 'Status'],
+        ['Rent', D(2025, 10, 31), '', 1250, '', '', ''],
+        ['Rent', D(2025, 10, 31), true, '', '', '', '']
+    ]);
+    const script = loadAppsScript(ss);
+
+    script.updateAllMonthlySheets();
+
+    assert.match(script.alerts[0], /❌ Error: .*Recurring Overrides row 3: "Rent" on 2025-10-31 is already overridden in row 2/);
+    assert.equal(ss.values('Oct').length, 1);
+});
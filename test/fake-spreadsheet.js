@@ -0,0 +1,450 @@
+/**
+ * ===========================
+ * IN-MEMORY SPREADSHEET STAND-IN
+ * ===========================
+ *
+ * PURPOSE:
+ * Lets the Apps Script adapter (FnanceTrackerEngine.js) run under Node without a
+ * live workbook. Sheets are plain 2D arrays of cell values; formatting calls are
+ * accepted and ignored. Only the parts of SpreadsheetApp, Utilities, Session and
+ * ScriptApp the tracker actually calls are implemented, plus a document cache,
+ * an outbox for MailApp, a few Drive files and embedded charts.
+ *
+ * USAGE:
+ *   const { FakeSpreadsheet, loadAppsScript } = require('./fake-spreadsheet');
+ *   const ss = new FakeSpreadsheet({ Accounts: [['Account', 'Type', 'Balance'], ...] });
+ *   const script = loadAppsScript(ss);
+ *   script.updateAllMonthlySheets();
+ *   ss.values('Sep');       // -> rows written to the Sep sheet
+ *   script.alerts;          // -> messages passed to ui.alert()
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const crypto = require('crypto');
+
+// Formatting methods the tracker calls on ranges; they only need to chain
+const FORMATTING_METHODS = [
+    'setNumberFormat', 'setFontColor', 'setFontWeight', 'setBackground',
+    'setHorizontalAlignment', 'setWrap', 'setDataValidation', 'clearFormat'
+];
+
+// ===========================
+// SHEETS AND RANGES
+// ===========================
+
+class FakeRange {
+    constructor(sheet, row, column, numRows, numColumns) {
+        this.sheet = sheet;
+        this.row = row;
+        this.column = column;
+        this.numRows = numRows;
+        this.numColumns = numColumns;
+    }
+
+    getRow() { return this.row; }
+    getColumn() { return this.column; }
+    getNumRows() { return this.numRows; }
+    getNumColumns() { return this.numColumns; }
+    getSheet() { return this.sheet; }
+
+    getValues() {
+        const values = [];
+        for (let r = 0; r < this.numRows; r++) {
+            const row = [];
+            for (let c = 0; c < this.numColumns; c++) {
+                row.push(this.sheet.getCell(this.row + r, this.column + c));
+            }
+            values.push(row);
+        }
+        return values;
+    }
+
+    getValue() {
+        return this.sheet.getCell(this.row, this.column);
+    }
+
+    getDisplayValues() {
+        return this.getValues().map(row => row.map(value => String(value)));
+    }
+
+    setValues(values) {
+        if (values.length !== this.numRows || values.some(row => row.length !== this.numColumns)) {
+            throw new Error(`The data has ${values.length} rows but the range has ${this.numRows} ` +
+                `(or a row does not have ${this.numColumns} columns)`);
+        }
+        values.forEach((row, r) => row.forEach((value, c) =>
+            this.sheet.setCell(this.row + r, this.column + c, value)));
+        return this;
+    }
+
+    setValue(value) {
+        this.sheet.setCell(this.row, this.column, value);
+        return this;
+    }
+
+    clear() {
+        for (let r = 0; r < this.numRows; r++) {
+            for (let c = 0; c < this.numColumns; c++) {
+                this.sheet.setCell(this.row + r, this.column + c, '');
+            }
+        }
+        return this;
+    }
+
+    clearContent() {
+        return this.clear();
+    }
+
+    setNote(note) {
+        this.sheet.notes[`${this.row},${this.column}`] = note;
+        return this;
+    }
+
+    applyRowBanding() {
+        const banding = { remove: () => { this.sheet.bandings.splice(this.sheet.bandings.indexOf(banding), 1); } };
+        this.sheet.bandings.push(banding);
+        return banding;
+    }
+}
+
+FORMATTING_METHODS.forEach(name => {
+    FakeRange.prototype[name] = function () { return this; };
+});
+
+class FakeSheet {
+    constructor(spreadsheet, name, rows) {
+        this.spreadsheet = spreadsheet;
+        this.name = name;
+        this.rows = (rows || []).map(row => row.slice());
+        this.hidden = false;
+        this.notes = {};
+        this.bandings = [];
+        this.conditionalFormatRules = [];
+        this.charts = [];
+    }
+
+    getName() { return this.name; }
+    getParent() { return this.spreadsheet; }
+
+    getCell(row, column) {
+        const cells = this.rows[row - 1];
+        const value = cells ? cells[column - 1] : undefined;
+        return value === undefined || value === null ? '' : value;
+    }
+
+    setCell(row, column, value) {
+        while (this.rows.length < row) this.rows.push([]);
+        const cells = this.rows[row - 1];
+        while (cells.length < column) cells.push('');
+        cells[column - 1] = value;
+    }
+
+    getLastRow() {
+        for (let r = this.rows.length; r > 0; r--) {
+            if (this.rows[r - 1].some(value => value !== '' && value !== null && value !== undefined)) return r;
+        }
+        return 0;
+    }
+
+    getLastColumn() {
+        return this.rows.reduce((last, cells) => {
+            for (let c = cells.length; c > last; c--) {
+                if (cells[c - 1] !== '' && cells[c - 1] !== null && cells[c - 1] !== undefined) return c;
+            }
+            return last;
+        }, 0);
+    }
+
+    getMaxRows() { return Math.max(1000, this.rows.length); }
+    getMaxColumns() { return Math.max(26, this.getLastColumn()); }
+
+    getRange(row, column, numRows, numColumns) {
+        if (typeof row !== 'number') throw new Error('FakeSheet.getRange only supports numeric coordinates');
+        return new FakeRange(this, row, column, numRows || 1, numColumns || 1);
+    }
+
+    getDataRange() {
+        return this.getRange(1, 1, Math.max(1, this.getLastRow()), Math.max(1, this.getLastColumn()));
+    }
+
+    appendRow(values) {
+        this.getRange(this.getLastRow() + 1, 1, 1, values.length).setValues([values]);
+        return this;
+    }
+
+    deleteRows(row, count) { this.rows.splice(row - 1, count); }
+    deleteRow(row) { this.deleteRows(row, 1); }
+
+    clear() { this.rows = []; return this; }
+    clearContents() { this.rows = []; return this; }
+
+    hideSheet() { this.hidden = true; return this; }
+    isSheetHidden() { return this.hidden; }
+
+    getBandings() { return this.bandings.slice(); }
+    setConditionalFormatRules(rules) { this.conditionalFormatRules = rules; return this; }
+    setFrozenRows() { return this; }
+    autoResizeColumns() { return this; }
+
+    getCharts() { return this.charts.slice(); }
+    newChart() { return new FakeChartBuilder({ id: null, type: null, ranges: [], options: {}, position: null }); }
+    insertChart(chart) {
+        chart.id = `chart-${this.name}-${this.charts.length + 1}`;
+        this.charts.push(chart);
+    }
+    updateChart(chart) {
+        const index = this.charts.findIndex(existing => existing.id === chart.id);
+        if (index === -1) throw new Error('The chart is not on this sheet');
+        this.charts[index] = chart;
+    }
+    removeChart(chart) { this.charts = this.charts.filter(existing => existing.id !== chart.id); }
+}
+
+// ===========================
+// CHARTS
+// ===========================
+
+/**
+ * Stand-in for EmbeddedChartBuilder: records the chart type, data ranges,
+ * options and anchor position.
+ */
+class FakeChartBuilder {
+    constructor(state) {
+        this.state = Object.assign({}, state, { ranges: state.ranges.slice(), options: Object.assign({}, state.options) });
+    }
+
+    addRange(range) { this.state.ranges.push(range); return this; }
+    clearRanges() { this.state.ranges = []; return this; }
+    setChartType(type) { this.state.type = type; return this; }
+    setNumHeaders() { return this; }
+    setOption(name, value) { this.state.options[name] = value; return this; }
+    setPosition(row, column) { this.state.position = { row: row, column: column }; return this; }
+    build() { return new FakeChart(this.state); }
+}
+
+/**
+ * Stand-in for EmbeddedChart. `type`, `ranges`, `options` and `position` can be
+ * inspected by tests.
+ */
+class FakeChart {
+    constructor(state) {
+        Object.assign(this, state, { ranges: state.ranges.slice(), options: Object.assign({}, state.options) });
+    }
+
+    getChartId() { return this.id; }
+    getOptions() { return { get: name => this.options[name] }; }
+    getRanges() { return this.ranges.slice(); }
+    modify() { return new FakeChartBuilder(this); }
+}
+
+class FakeSpreadsheet {
+    /**
+     * @param {Object<string, Array<Array<*>>>} sheets - Initial rows keyed by sheet name
+     */
+    constructor(sheets) {
+        this.sheets = Object.keys(sheets || {}).map(name => new FakeSheet(this, name, sheets[name]));
+        this.name = 'Test Workbook';
+    }
+
+    getName() { return this.name; }
+    getId() { return `fake-${this.name}`; }
+    getUrl() { return `https://example.invalid/${encodeURIComponent(this.name)}`; }
+    getSheets() { return this.sheets.slice(); }
+    getSheetByName(name) { return this.sheets.find(sheet => sheet.name === name) || null; }
+
+    insertSheet(name) {
+        if (this.getSheetByName(name)) throw new Error(`A sheet with the name "${name}" already exists`);
+        const sheet = new FakeSheet(this, name, []);
+        this.sheets.push(sheet);
+        return sheet;
+    }
+
+    copy(name) {
+        const copy = new FakeSpreadsheet({});
+        copy.name = name;
+        copy.sheets = this.sheets.map(sheet => new FakeSheet(copy, sheet.name, sheet.rows));
+        return copy;
+    }
+
+    toast() { }
+
+    /**
+     * Returns a sheet's rows trimmed to its data (test convenience, not Apps Script API).
+     *
+     * @param {string} name - Sheet name
+     * @returns {Array<Array<*>>} - Rows 1..getLastRow(), each getLastColumn() wide
+     */
+    values(name) {
+        const sheet = this.getSheetByName(name);
+        if (!sheet || sheet.getLastRow() === 0) return [];
+        return sheet.getRange(1, 1, sheet.getLastRow(), sheet.getLastColumn()).getValues();
+    }
+}
+
+// ===========================
+// APPS SCRIPT GLOBALS
+// ===========================
+
+/**
+ * Minimal Utilities.formatDate supporting the yyyy, MM, M, dd and d tokens.
+ * Dates are formatted from their local components (tests pin TZ instead).
+ */
+function formatDate(date, timeZone, pattern) {
+    const tokens = {
+        yyyy: String(date.getFullYear()),
+        MM: String(date.getMonth() + 1).padStart(2, '0'),
+        M: String(date.getMonth() + 1),
+        dd: String(date.getDate()).padStart(2, '0'),
+        d: String(date.getDate())
+    };
+    return pattern.replace(/yyyy|MM|M|dd|d/g, token => tokens[token]);
+}
+
+/**
+ * Chainable builder stand-in for SpreadsheetApp.newConditionalFormatRule() and friends.
+ */
+function chainableBuilder() {
+    const builder = new Proxy({}, {
+        get: (target, property) => property === 'build'
+            ? () => ({})
+            : () => builder
+    });
+    return builder;
+}
+
+/**
+ * Runs the tracker's script files in a fresh context backed by a fake workbook.
+ *
+ * @param {FakeSpreadsheet} ss - Workbook returned by SpreadsheetApp.getActiveSpreadsheet()
+ * @param {Object} [options]
+ * @param {Array<string>} [options.responses] - Buttons returned by successive ui.alert calls
+ *   that ask a question (defaults to 'YES')
+ * @param {Array<string|null>} [options.prompts] - Texts entered in successive ui.prompt
+ *   dialogs; null cancels the dialog
+ * @param {Array<string>} [options.files] - Script files to load, relative to the repo root
+ * @param {Object} [options.driveFiles] - Drive file contents by file name (IDs are the names)
+ * @returns {Object} - The script's global scope, plus `alerts` (messages shown),
+ *   `triggers` (installed triggers), `cache` (document cache entries) and `mails`
+ *   (emails sent)
+ */
+function loadAppsScript(ss, options = {}) {
+    const files = options.files || ['FinanceTrackerCore.js', 'FnanceTrackerEngine.js'];
+    const responses = (options.responses || []).slice();
+    const prompts = (options.prompts || []).slice();
+    const alerts = [];
+    const triggers = [];
+    const cache = new Map();
+    const mails = [];
+    const driveFiles = options.driveFiles || {};
+    const driveFile = name => ({
+        getName: () => name,
+        getBlob: () => ({ getDataAsString: () => driveFiles[name] })
+    });
+
+    const Button = { OK: 'OK', CANCEL: 'CANCEL', YES: 'YES', NO: 'NO', CLOSE: 'CLOSE' };
+    const ButtonSet = { OK: 'OK', OK_CANCEL: 'OK_CANCEL', YES_NO: 'YES_NO', YES_NO_CANCEL: 'YES_NO_CANCEL' };
+
+    const ui = {
+        Button: Button,
+        ButtonSet: ButtonSet,
+        alert: (...args) => {
+            alerts.push(args.filter(arg => typeof arg === 'string' && !(arg in ButtonSet)).join('\n'));
+            const asksQuestion = args.some(arg => arg in ButtonSet && arg !== ButtonSet.OK);
+            return asksQuestion ? (responses.shift() || Button.YES) : Button.OK;
+        },
+        prompt: () => {
+            const text = prompts.shift();
+            return {
+                getSelectedButton: () => (text === null || text === undefined ? Button.CANCEL : Button.OK),
+                getResponseText: () => (text === null || text === undefined ? '' : String(text))
+            };
+        },
+        createMenu: () => {
+            const menu = { addItem: () => menu, addSeparator: () => menu, addSubMenu: () => menu, addToUi: () => menu };
+            return menu;
+        }
+    };
+
+    const context = {
+        console: options.console || { log() { }, warn() { }, error() { } },
+        Date: Date,
+        SpreadsheetApp: {
+            getActiveSpreadsheet: () => ss,
+            getUi: () => ui,
+            flush: () => { },
+            newConditionalFormatRule: chainableBuilder,
+            newDataValidation: chainableBuilder,
+            BandingTheme: { LIGHT_GREY: 'LIGHT_GREY' }
+        },
+        Utilities: {
+            formatDate: formatDate,
+            computeDigest: (algorithm, input) =>
+                Array.from(crypto.createHash('md5').update(String(input), 'utf8').digest()).map(b => (b << 24) >> 24),
+            base64Encode: bytes => Buffer.from(bytes.map(b => b & 255)).toString('base64'),
+            DigestAlgorithm: { MD5: 'MD5' },
+            Charset: { UTF_8: 'UTF_8' }
+        },
+        CacheService: {
+            getDocumentCache: () => ({
+                get: key => (cache.has(key) ? cache.get(key) : null),
+                getAll: keys => keys.reduce((found, key) => {
+                    if (cache.has(key)) found[key] = cache.get(key);
+                    return found;
+                }, {}),
+                put: (key, value) => { cache.set(key, String(value)); },
+                putAll: entries => Object.keys(entries).forEach(key => cache.set(key, String(entries[key]))),
+                remove: key => { cache.delete(key); },
+                removeAll: keys => keys.forEach(key => cache.delete(key))
+            })
+        },
+        DriveApp: {
+            getFileById: id => {
+                if (!(id in driveFiles)) throw new Error(`No item with the given ID could be found: ${id}`);
+                return driveFile(id);
+            },
+            getFilesByName: name => {
+                const found = name in driveFiles ? [driveFile(name)] : [];
+                return { hasNext: () => found.length > 0, next: () => found.shift() };
+            }
+        },
+        Charts: {
+            ChartType: { LINE: 'LINE', PIE: 'PIE', COLUMN: 'COLUMN', BAR: 'BAR' }
+        },
+        MailApp: {
+            sendEmail: (recipient, subject, body) => { mails.push({ recipient, subject, body }); }
+        },
+        Session: {
+            getScriptTimeZone: () => process.env.TZ || 'UTC',
+            getEffectiveUser: () => ({ getEmail: () => 'owner@example.com' })
+        },
+        ScriptApp: {
+            getProjectTriggers: () => triggers.slice(),
+            deleteTrigger: trigger => triggers.splice(triggers.indexOf(trigger), 1),
+            newTrigger: handler => {
+                const trigger = { handler: handler, getHandlerFunction: () => handler };
+                const builder = new Proxy({}, {
+                    get: (target, property) => property === 'create'
+                        ? () => { triggers.push(trigger); return trigger; }
+                        : () => builder
+                });
+                return builder;
+            }
+        }
+    };
+
+    vm.createContext(context);
+    files.forEach(file => {
+        const fullPath = path.join(__dirname, '..', file);
+        vm.runInContext(fs.readFileSync(fullPath, 'utf8'), context, { filename: fullPath });
+    });
+
+    context.alerts = alerts;
+    context.triggers = triggers;
+    context.cache = cache;
+    context.mails = mails;
+    return context;
+}
+
+module.exports = { FakeSpreadsheet, FakeSheet, FakeRange, loadAppsScript };